@@ -0,0 +1,109 @@
+import AdmZip from 'adm-zip';
+
+/**
+ * Helpers for the archive and text formats used by EDINET and DART downloads
+ * (ZIP packages, Shift_JIS / UTF-16 encoded CSV files)
+ */
+
+/**
+ * Check whether a buffer holds a ZIP archive
+ * @param {Buffer} buffer - Raw data
+ * @returns {boolean} True for ZIP data
+ */
+export function isZip(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.length >= 4 &&
+    buffer[0] === 0x50 && buffer[1] === 0x4b && buffer[2] === 0x03 && buffer[3] === 0x04;
+}
+
+/**
+ * Read the file entries of a ZIP archive
+ * @param {Buffer} buffer - ZIP data
+ * @returns {Array<Object>} Entries with name, size and a getData() accessor
+ */
+export function readZipEntries(buffer) {
+  const zip = new AdmZip(buffer);
+
+  return zip.getEntries()
+    .filter(entry => !entry.isDirectory)
+    .map(entry => ({
+      name: entry.entryName,
+      size: entry.header.size,
+      getData: () => entry.getData()
+    }));
+}
+
+/**
+ * Decode text, honouring a byte order mark when present
+ * @param {Buffer} buffer - Raw text data
+ * @param {string} encoding - Encoding to use without BOM (utf-8, shift_jis, utf-16le, ...)
+ * @returns {string} Decoded text
+ */
+export function decodeText(buffer, encoding = 'utf-8') {
+  if (buffer.length >= 2 && buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return new TextDecoder('utf-16le').decode(buffer.subarray(2));
+  }
+  if (buffer.length >= 2 && buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return new TextDecoder('utf-16be').decode(buffer.subarray(2));
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return new TextDecoder('utf-8').decode(buffer.subarray(3));
+  }
+  return new TextDecoder(encoding).decode(buffer);
+}
+
+/**
+ * Parse delimited text (CSV/TSV) with optional double-quoted fields
+ * @param {string} text - Delimited text
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+export function parseDelimited(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.length > 1 || r[0] !== '');
+}
+
+export default {
+  isZip,
+  readZipEntries,
+  decodeText,
+  parseDelimited
+};
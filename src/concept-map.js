@@ -0,0 +1,451 @@
+/**
+ * Canonical financial metrics across J-GAAP, IFRS, US GAAP and K-IFRS
+ *
+ * Each metric lists the concepts that report it, in order of preference: primary statement
+ * elements of J-GAAP (jppfs_cor), Japanese IFRS (jpigp_cor) and full IFRS (ifrs-full), DART
+ * account IDs (ifrs-full_, dart_), US GAAP elements, and last the summary of business results
+ * (jpcrp_cor ...SummaryOfBusinessResults) which is the only tagged source for US GAAP filers on
+ * EDINET. DART accounts without a standard account ID are matched by account name. A filing
+ * reports a metric through the first listed concept it contains, read from the metric's primary
+ * statement, so a figure is never summed with its own disclosure in a note, a summary or another
+ * statement.
+ */
+
+// Primary statements a metric is read from, in order of preference: DART sj_div codes, which
+// EDINET presentation roles are classified into as well (edinet-statements.js)
+const INCOME_STATEMENT = ['IS', 'CIS'];
+const BALANCE_SHEET = ['BS'];
+const CASH_FLOW_STATEMENT = ['CF'];
+
+export const METRICS = {
+  Revenue: {
+    definition: 'Revenue from the main operations (売上高, 営業収益, 매출액); banks and insurers: ordinary income (経常収益)',
+    category: 'Revenue',
+    periodType: 'duration',
+    statements: INCOME_STATEMENT,
+    concepts: [
+      'jppfs_cor:NetSales', 'jppfs_cor:OperatingRevenue1', 'jppfs_cor:OperatingRevenue2', 'jppfs_cor:Revenue',
+      'jpigp_cor:RevenueIFRS', 'jpigp_cor:NetSalesIFRS', 'ifrs-full:Revenue',
+      'dart:Revenue', 'us-gaap:Revenues', 'us-gaap:RevenueFromContractWithCustomerExcludingAssessedTax',
+      'jppfs_cor:OrdinaryIncomeBNK', 'jppfs_cor:OrdinaryIncomeINS',
+      'jpcrp_cor:NetSalesSummaryOfBusinessResults', 'jpcrp_cor:OperatingRevenue1SummaryOfBusinessResults',
+      'jpcrp_cor:RevenueIFRSSummaryOfBusinessResults', 'jpcrp_cor:RevenuesUSGAAPSummaryOfBusinessResults'
+    ],
+    accountNames: ['매출액', '수익(매출액)', '영업수익', '매출']
+  },
+  CostOfSales: {
+    definition: 'Cost of the goods and services sold (売上原価, 매출원가)',
+    category: 'Cost of Sales',
+    periodType: 'duration',
+    statements: INCOME_STATEMENT,
+    concepts: ['jppfs_cor:CostOfSales', 'jpigp_cor:CostOfSalesIFRS', 'ifrs-full:CostOfSales', 'us-gaap:CostOfRevenue', 'us-gaap:CostOfGoodsAndServicesSold'],
+    accountNames: ['매출원가']
+  },
+  GrossProfit: {
+    definition: 'Revenue less cost of sales (売上総利益, 매출총이익)',
+    category: 'Gross Profit',
+    periodType: 'duration',
+    statements: INCOME_STATEMENT,
+    concepts: ['jppfs_cor:GrossProfit', 'jpigp_cor:GrossProfitIFRS', 'ifrs-full:GrossProfit', 'us-gaap:GrossProfit'],
+    accountNames: ['매출총이익', '매출총이익(손실)']
+  },
+  OperatingIncome: {
+    definition: 'Operating profit or loss (営業利益, 영업이익); under IFRS the operating profit the company presents',
+    category: 'Operating Income',
+    periodType: 'duration',
+    statements: INCOME_STATEMENT,
+    concepts: [
+      'jppfs_cor:OperatingIncome', 'jpigp_cor:OperatingProfitLossIFRS', 'dart:OperatingIncomeLoss',
+      'ifrs-full:ProfitLossFromOperatingActivities', 'us-gaap:OperatingIncomeLoss',
+      'jpcrp_cor:OperatingIncomeLossUSGAAPSummaryOfBusinessResults'
+    ],
+    accountNames: ['영업이익', '영업이익(손실)']
+  },
+  OrdinaryIncome: {
+    definition: 'Ordinary income (経常利益), a J-GAAP subtotal after non-operating items and before extraordinary items',
+    category: 'Net Income/Profit',
+    periodType: 'duration',
+    statements: INCOME_STATEMENT,
+    concepts: ['jppfs_cor:OrdinaryIncome', 'jpcrp_cor:OrdinaryIncomeLossSummaryOfBusinessResults'],
+    accountNames: []
+  },
+  IncomeBeforeTax: {
+    definition: 'Profit or loss before income taxes (税引前当期純利益, 법인세비용차감전순이익)',
+    category: 'Net Income/Profit',
+    periodType: 'duration',
+    statements: INCOME_STATEMENT,
+    concepts: [
+      'jppfs_cor:IncomeBeforeIncomeTaxes', 'jpigp_cor:ProfitLossBeforeTaxIFRS', 'ifrs-full:ProfitLossBeforeTax',
+      'us-gaap:IncomeLossFromContinuingOperationsBeforeIncomeTaxesExtraordinaryItemsNoncontrollingInterest',
+      'jpcrp_cor:ProfitLossBeforeTaxIFRSSummaryOfBusinessResults', 'jpcrp_cor:ProfitLossBeforeTaxUSGAAPSummaryOfBusinessResults'
+    ],
+    accountNames: ['법인세비용차감전순이익', '법인세비용차감전순이익(손실)']
+  },
+  NetIncome: {
+    definition: 'Profit or loss for the period including non-controlling interests (当期純利益, 당기순이익)',
+    category: 'Net Income/Profit',
+    periodType: 'duration',
+    statements: INCOME_STATEMENT,
+    concepts: ['jppfs_cor:ProfitLoss', 'jpigp_cor:ProfitLossIFRS', 'ifrs-full:ProfitLoss', 'us-gaap:ProfitLoss'],
+    accountNames: ['당기순이익', '당기순이익(손실)']
+  },
+  NetIncomeAttributableToParent: {
+    definition: 'Profit or loss attributable to owners of the parent (親会社株主に帰属する当期純利益, 지배기업 소유주지분 순이익)',
+    category: 'Net Income/Profit',
+    periodType: 'duration',
+    statements: INCOME_STATEMENT,
+    concepts: [
+      'jppfs_cor:ProfitLossAttributableToOwnersOfParent', 'jpigp_cor:ProfitLossAttributableToOwnersOfParentIFRS',
+      'ifrs-full:ProfitLossAttributableToOwnersOfParent', 'us-gaap:NetIncomeLoss',
+      'jpcrp_cor:ProfitLossAttributableToOwnersOfParentSummaryOfBusinessResults',
+      'jpcrp_cor:ProfitLossAttributableToOwnersOfParentIFRSSummaryOfBusinessResults',
+      'jpcrp_cor:NetIncomeLossAttributableToOwnersOfParentUSGAAPSummaryOfBusinessResults'
+    ],
+    accountNames: ['지배기업의 소유주에게 귀속되는 당기순이익', '지배기업 소유주지분']
+  },
+  EPSBasic: {
+    definition: 'Basic earnings per share (1株当たり当期純利益, 기본주당이익)',
+    category: 'Other',
+    periodType: 'duration',
+    statements: INCOME_STATEMENT,
+    concepts: [
+      'jpigp_cor:BasicEarningsLossPerShareIFRS', 'ifrs-full:BasicEarningsLossPerShare', 'us-gaap:EarningsPerShareBasic',
+      'jpcrp_cor:BasicEarningsLossPerShareSummaryOfBusinessResults',
+      'jpcrp_cor:BasicEarningsLossPerShareIFRSSummaryOfBusinessResults',
+      'jpcrp_cor:BasicEarningsLossPerShareUSGAAPSummaryOfBusinessResults'
+    ],
+    accountNames: ['기본주당이익', '기본주당이익(손실)']
+  },
+  TotalAssets: {
+    definition: 'Total assets at the end of the period (資産合計, 자산총계)',
+    category: 'Total Assets',
+    periodType: 'instant',
+    statements: BALANCE_SHEET,
+    concepts: [
+      'jppfs_cor:Assets', 'jpigp_cor:AssetsIFRS', 'ifrs-full:Assets', 'us-gaap:Assets',
+      'jpcrp_cor:TotalAssetsSummaryOfBusinessResults', 'jpcrp_cor:TotalAssetsIFRSSummaryOfBusinessResults',
+      'jpcrp_cor:TotalAssetsUSGAAPSummaryOfBusinessResults'
+    ],
+    accountNames: ['자산총계']
+  },
+  CurrentAssets: {
+    definition: 'Current assets (流動資産合計, 유동자산)',
+    category: 'Current Assets',
+    periodType: 'instant',
+    statements: BALANCE_SHEET,
+    concepts: ['jppfs_cor:CurrentAssets', 'jpigp_cor:CurrentAssetsIFRS', 'ifrs-full:CurrentAssets', 'us-gaap:AssetsCurrent'],
+    accountNames: ['유동자산']
+  },
+  NoncurrentAssets: {
+    definition: 'Non-current assets (固定資産合計, 비유동자산)',
+    category: 'Non-current Assets',
+    periodType: 'instant',
+    statements: BALANCE_SHEET,
+    concepts: ['jppfs_cor:NoncurrentAssets', 'jpigp_cor:NonCurrentAssetsIFRS', 'ifrs-full:NoncurrentAssets', 'us-gaap:AssetsNoncurrent'],
+    accountNames: ['비유동자산']
+  },
+  TotalLiabilities: {
+    definition: 'Total liabilities at the end of the period (負債合計, 부채총계)',
+    category: 'Total Liabilities',
+    periodType: 'instant',
+    statements: BALANCE_SHEET,
+    concepts: ['jppfs_cor:Liabilities', 'jpigp_cor:LiabilitiesIFRS', 'ifrs-full:Liabilities', 'us-gaap:Liabilities'],
+    accountNames: ['부채총계']
+  },
+  CurrentLiabilities: {
+    definition: 'Current liabilities (流動負債合計, 유동부채)',
+    category: 'Current Liabilities',
+    periodType: 'instant',
+    statements: BALANCE_SHEET,
+    concepts: ['jppfs_cor:CurrentLiabilities', 'jpigp_cor:TotalCurrentLiabilitiesIFRS', 'ifrs-full:CurrentLiabilities', 'us-gaap:LiabilitiesCurrent'],
+    accountNames: ['유동부채']
+  },
+  NoncurrentLiabilities: {
+    definition: 'Non-current liabilities (固定負債合計, 비유동부채)',
+    category: 'Non-current Liabilities',
+    periodType: 'instant',
+    statements: BALANCE_SHEET,
+    concepts: ['jppfs_cor:NoncurrentLiabilities', 'jpigp_cor:NonCurrentLiabilitiesIFRS', 'ifrs-full:NoncurrentLiabilities', 'us-gaap:LiabilitiesNoncurrent'],
+    accountNames: ['비유동부채']
+  },
+  TotalEquity: {
+    definition: 'Total equity including non-controlling interests; J-GAAP net assets (純資産合計, 자본총계)',
+    category: 'Equity',
+    periodType: 'instant',
+    statements: BALANCE_SHEET,
+    concepts: [
+      'jppfs_cor:NetAssets', 'jpigp_cor:EquityIFRS', 'ifrs-full:Equity',
+      'us-gaap:StockholdersEquityIncludingPortionAttributableToNoncontrollingInterest',
+      'jpcrp_cor:NetAssetsSummaryOfBusinessResults'
+    ],
+    accountNames: ['자본총계']
+  },
+  EquityAttributableToParent: {
+    definition: 'Equity attributable to owners of the parent (親会社の所有者に帰属する持分, 지배기업 소유주지분)',
+    category: 'Equity',
+    periodType: 'instant',
+    statements: BALANCE_SHEET,
+    concepts: [
+      'jpigp_cor:EquityAttributableToOwnersOfParentIFRS', 'ifrs-full:EquityAttributableToOwnersOfParent',
+      'us-gaap:StockholdersEquity', 'jppfs_cor:ShareholdersEquity',
+      'jpcrp_cor:EquityAttributableToOwnersOfParentIFRSSummaryOfBusinessResults',
+      'jpcrp_cor:EquityAttributableToOwnersOfParentUSGAAPSummaryOfBusinessResults'
+    ],
+    accountNames: ['지배기업 소유주지분', '지배기업의 소유주에게 귀속되는 자본']
+  },
+  CashAndEquivalents: {
+    definition: 'Cash and cash equivalents at the end of the period (現金及び現金同等物, 현금및현금성자산)',
+    category: 'Cash & Equivalents',
+    periodType: 'instant',
+    statements: [...BALANCE_SHEET, ...CASH_FLOW_STATEMENT],
+    concepts: [
+      'jppfs_cor:CashAndCashEquivalents', 'jpigp_cor:CashAndCashEquivalentsIFRS', 'ifrs-full:CashAndCashEquivalents',
+      'us-gaap:CashAndCashEquivalentsAtCarryingValue',
+      'jpcrp_cor:CashAndCashEquivalentsSummaryOfBusinessResults',
+      'jpcrp_cor:CashAndCashEquivalentsIFRSSummaryOfBusinessResults',
+      'jpcrp_cor:CashAndCashEquivalentsUSGAAPSummaryOfBusinessResults'
+    ],
+    accountNames: ['현금및현금성자산']
+  },
+  OperatingCashFlow: {
+    definition: 'Net cash from (used in) operating activities (営業活動によるキャッシュ・フロー, 영업활동현금흐름)',
+    category: 'Cash Flow - Operating',
+    periodType: 'duration',
+    statements: CASH_FLOW_STATEMENT,
+    concepts: [
+      'jppfs_cor:NetCashProvidedByUsedInOperatingActivities', 'jpigp_cor:NetCashProvidedByUsedInOperatingActivitiesIFRS',
+      'ifrs-full:CashFlowsFromUsedInOperatingActivities', 'us-gaap:NetCashProvidedByUsedInOperatingActivities',
+      'jpcrp_cor:NetCashProvidedByUsedInOperatingActivitiesSummaryOfBusinessResults',
+      'jpcrp_cor:CashFlowsFromUsedInOperatingActivitiesIFRSSummaryOfBusinessResults',
+      'jpcrp_cor:CashFlowsFromUsedInOperatingActivitiesUSGAAPSummaryOfBusinessResults'
+    ],
+    accountNames: ['영업활동현금흐름', '영업활동으로 인한 현금흐름']
+  },
+  InvestingCashFlow: {
+    definition: 'Net cash from (used in) investing activities (投資活動によるキャッシュ・フロー, 투자활동현금흐름)',
+    category: 'Cash Flow - Investing',
+    periodType: 'duration',
+    statements: CASH_FLOW_STATEMENT,
+    concepts: [
+      'jppfs_cor:NetCashProvidedByUsedInInvestmentActivities', 'jpigp_cor:NetCashProvidedByUsedInInvestingActivitiesIFRS',
+      'ifrs-full:CashFlowsFromUsedInInvestingActivities', 'us-gaap:NetCashProvidedByUsedInInvestingActivities',
+      'jpcrp_cor:NetCashProvidedByUsedInInvestingActivitiesSummaryOfBusinessResults',
+      'jpcrp_cor:CashFlowsFromUsedInInvestingActivitiesIFRSSummaryOfBusinessResults',
+      'jpcrp_cor:CashFlowsFromUsedInInvestingActivitiesUSGAAPSummaryOfBusinessResults'
+    ],
+    accountNames: ['투자활동현금흐름', '투자활동으로 인한 현금흐름']
+  },
+  FinancingCashFlow: {
+    definition: 'Net cash from (used in) financing activities (財務活動によるキャッシュ・フロー, 재무활동현금흐름)',
+    category: 'Cash Flow - Financing',
+    periodType: 'duration',
+    statements: CASH_FLOW_STATEMENT,
+    concepts: [
+      'jppfs_cor:NetCashProvidedByUsedInFinancingActivities', 'jpigp_cor:NetCashProvidedByUsedInFinancingActivitiesIFRS',
+      'ifrs-full:CashFlowsFromUsedInFinancingActivities', 'us-gaap:NetCashProvidedByUsedInFinancingActivities',
+      'jpcrp_cor:NetCashProvidedByUsedInFinancingActivitiesSummaryOfBusinessResults',
+      'jpcrp_cor:CashFlowsFromUsedInFinancingActivitiesIFRSSummaryOfBusinessResults',
+      'jpcrp_cor:CashFlowsFromUsedInFinancingActivitiesUSGAAPSummaryOfBusinessResults'
+    ],
+    accountNames: ['재무활동현금흐름', '재무활동으로 인한 현금흐름']
+  }
+};
+
+// Earlier names of canonical metrics accepted in analysis options
+const METRIC_ALIASES = {
+  sales: 'Revenue',
+  netsales: 'Revenue',
+  revenues: 'Revenue',
+  operatingprofit: 'OperatingIncome',
+  assets: 'TotalAssets',
+  liabilities: 'TotalLiabilities',
+  equity: 'TotalEquity',
+  netassets: 'TotalEquity',
+  profitloss: 'NetIncome',
+  netincomeattributabletoowners: 'NetIncomeAttributableToParent',
+  eps: 'EPSBasic',
+  cash: 'CashAndEquivalents',
+  cashflowoperating: 'OperatingCashFlow'
+};
+
+// DART account IDs are "{prefix}_{element}"; K-IFRS IDs of older filings use ifrs_ for ifrs-full_
+const ACCOUNT_ID_PATTERN = /^([a-z][a-z-]*?(?:_cor)?)_(.+)$/i;
+const PREFIX_ALIASES = { ifrs: 'ifrs-full' };
+
+// Index of qualified concept names and DART account names -> [metric, preference]
+const CONCEPT_INDEX = new Map();
+const ACCOUNT_NAME_INDEX = new Map();
+for (const [name, metric] of Object.entries(METRICS)) {
+  metric.concepts.forEach((concept, rank) => {
+    if (!CONCEPT_INDEX.has(concept)) CONCEPT_INDEX.set(concept, { name, rank });
+  });
+  metric.accountNames.forEach((accountName, rank) => {
+    const key = accountName.replace(/\s/g, '');
+    if (!ACCOUNT_NAME_INDEX.has(key)) ACCOUNT_NAME_INDEX.set(key, { name, rank: metric.concepts.length + rank });
+  });
+}
+
+/**
+ * Resolve a metric name or alias ('Revenue', 'TotalAssets', 'Assets') to its canonical name
+ * @param {string} name - Metric name (case and spacing ignored)
+ * @returns {string|null} Canonical metric name, or null when the name is no metric
+ */
+export function resolveMetric(name) {
+  if (!name) return null;
+
+  const key = String(name).replace(/[\s_-]/g, '').toLowerCase();
+  return Object.keys(METRICS).find(metric => metric.toLowerCase() === key) || METRIC_ALIASES[key] || null;
+}
+
+/**
+ * Qualified concept name of a fact ("jppfs_cor:NetSales", "ifrs-full:Revenue")
+ * DART accounts carry their account ID as concept ("ifrs-full_Revenue", "dart_OperatingIncomeLoss")
+ */
+function qualifiedConcept(fact) {
+  const namespace = fact.namespace && fact.namespace !== 'unknown' && fact.namespace !== 'k-gaap' ? fact.namespace : null;
+  if (namespace) return `${PREFIX_ALIASES[namespace] || namespace}:${fact.concept}`;
+
+  const match = String(fact.accountId || fact.concept || '').match(ACCOUNT_ID_PATTERN);
+  return match ? `${PREFIX_ALIASES[match[1]] || match[1]}:${match[2]}` : null;
+}
+
+/**
+ * Find the canonical metric a fact reports
+ * @param {Object} fact - Parsed fact (namespace, concept; DART: accountId, accountName)
+ * @returns {Object|null} Metric name and preference rank (lower is preferred)
+ */
+export function metricOfFact(fact) {
+  const concept = qualifiedConcept(fact);
+  if (concept && CONCEPT_INDEX.has(concept)) return CONCEPT_INDEX.get(concept);
+
+  // DART accounts without a standard account ID
+  if (fact.namespace === 'k-gaap' && !fact.accountId && fact.accountName) {
+    return ACCOUNT_NAME_INDEX.get(fact.accountName.replace(/\s/g, '')) || null;
+  }
+  return null;
+}
+
+/**
+ * Find the canonical metric of a concept name alone (local name or DART account ID)
+ * Local names are matched against every taxonomy the metrics list, then DART account names
+ * @param {string} concept - Concept ("NetSales", "ifrs-full_Revenue", "매출액")
+ * @returns {string|null} Canonical metric name
+ */
+export function metricOfConcept(concept) {
+  if (!concept) return null;
+
+  const qualified = qualifiedConcept({ concept });
+  if (qualified && CONCEPT_INDEX.has(qualified)) return CONCEPT_INDEX.get(qualified).name;
+
+  for (const [key, entry] of CONCEPT_INDEX) {
+    if (key.endsWith(`:${concept}`)) return entry.name;
+  }
+  return ACCOUNT_NAME_INDEX.get(String(concept).replace(/\s/g, ''))?.name || null;
+}
+
+const CONSOLIDATION_AXIS = /ConsolidatedOrNonConsolidatedAxis$/;
+
+/**
+ * Non-consolidated facts of filings that report consolidated figures (ConsolidatedOrNonConsolidatedAxis)
+ */
+function isNonConsolidated(fact) {
+  return Object.entries(fact.dimensions || {}).some(([axis, member]) =>
+    CONSOLIDATION_AXIS.test(axis) && /NonConsolidatedMember$/.test(member));
+}
+
+/**
+ * Statements a fact is presented in: DART rows have one (sj_div), EDINET facts read with
+ * statements list those of their concept; null when unknown
+ */
+function factStatements(fact) {
+  if (Array.isArray(fact.statements)) return fact.statements;
+  return fact.statement ? [fact.statement] : null;
+}
+
+/**
+ * The same amount tagged more than once (a concept in several statements, repeated inline tags);
+ * differing amounts of one concept, period and dimensions are kept, as a conflict to report
+ */
+function factIdentity(fact) {
+  const { startDate = '', endDate = '', instant = '' } = fact.period || {};
+  const dimensions = Object.entries(fact.dimensions || {}).sort(([a], [b]) => a.localeCompare(b));
+  return JSON.stringify([qualifiedConcept(fact) || fact.concept, startDate, endDate, instant, dimensions, fact.value]);
+}
+
+/**
+ * Select the facts reporting a canonical metric in one filing
+ * Facts are consolidated when the filing has consolidated figures for the metric, taken from the
+ * metric's primary statement (income statement, balance sheet or cash flow statement - not the
+ * statement of changes in equity or comprehensive income repeating them), through the most
+ * preferred concept present, and once per period, dimensions and amount. Dimensions other than the
+ * breakdown axes (equity components, classes of shares, ...) are dropped, so the undimensioned
+ * facts give one value per period and breakdowns can be added up by member.
+ * @param {Array} facts - Parsed facts of one filing
+ * @param {string} metric - Canonical metric name
+ * @param {Object} options - Options (breakdownAxis: function telling which axes are breakdowns
+ *   to keep, e.g. segments and regions; default none)
+ * @returns {Array} Facts of the metric, each with its metric name
+ */
+export function selectMetricFacts(facts, metric, options = {}) {
+  const { breakdownAxis = () => false } = options;
+
+  const name = resolveMetric(metric);
+  if (!name) {
+    throw new Error(`Unknown metric "${metric}". Available metrics: ${Object.keys(METRICS).join(', ')}`);
+  }
+
+  const candidates = facts
+    .map(fact => ({ fact, entry: metricOfFact(fact) }))
+    .filter(({ fact, entry }) => entry && entry.name === name &&
+      Object.keys(fact.dimensions || {}).every(axis => CONSOLIDATION_AXIS.test(axis) || breakdownAxis(axis)));
+
+  // Consolidated figures before concept preference: IFRS filers also tag their parent-only
+  // J-GAAP statements (jppfs_cor on NonConsolidatedMember), whose concepts rank first
+  const consolidated = candidates.filter(({ fact }) => !isNonConsolidated(fact));
+  const matches = consolidated.length > 0 ? consolidated : candidates;
+
+  // The first primary statement presenting the metric; facts of unknown statement are kept
+  const presented = METRICS[name].statements.find(statement =>
+    matches.some(({ fact }) => factStatements(fact)?.includes(statement)));
+  const inStatement = matches.filter(({ fact }) => {
+    const statements = factStatements(fact);
+    return !statements || statements.length === 0 ? true : statements.includes(presented);
+  });
+  if (inStatement.length === 0) return [];
+
+  const bestRank = Math.min(...inStatement.map(({ entry }) => entry.rank));
+  const seen = new Set();
+  return inStatement
+    .filter(({ entry }) => entry.rank === bestRank)
+    .map(({ fact }) => fact)
+    .filter(fact => {
+      const identity = factIdentity(fact);
+      if (seen.has(identity)) return false;
+      seen.add(identity);
+      return true;
+    })
+    .map(fact => ({ ...fact, metric: name }));
+}
+
+/**
+ * List the canonical metrics with their definitions
+ * @returns {Array<Object>} Metric name, definition, period type, primary statements and mapped concepts
+ */
+export function listMetrics() {
+  return Object.entries(METRICS).map(([name, metric]) => ({
+    name,
+    definition: metric.definition,
+    periodType: metric.periodType,
+    statements: metric.statements,
+    concepts: metric.concepts
+  }));
+}
+
+export default {
+  METRICS,
+  resolveMetric,
+  metricOfFact,
+  metricOfConcept,
+  selectMetricFacts,
+  listMetrics
+};
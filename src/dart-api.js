@@ -1,68 +1,80 @@
 import axios from 'axios';
 import * as xbrlParser from './xbrl-parser.js';
+import * as dartCorpCodes from './dart-corp-codes.js';
+import * as filingChains from './filing-chains.js';
+import { storePath, readBuffer, writeBuffer } from './local-store.js';
+import { isZip, readZipEntries, decodeText } from './archive-utils.js';
 
 const DART_API_BASE = 'https://opendart.fss.or.kr/api';
 
 // API key should be set via environment variable
 const DART_API_KEY = process.env.DART_API_KEY || '';
 
+// Statement bases (fs_div): consolidated (CFS) and separate (OFS) financial statements
+const STATEMENT_BASES = {
+  CFS: 'consolidated',
+  OFS: 'separate'
+};
+
+// DART status for a query without results
+const NO_DATA_STATUS = '013';
+
+// Periodic report codes (reprt_code)
+const REPORT_TYPES = {
+  '11011': 'Annual',
+  '11013': 'Q1',
+  '11012': 'Q2',
+  '11014': 'Q3'
+};
+
+// Separate statements in DART XBRL are tagged ifrs-full:ConsolidatedAndSeparateFinancialStatementsAxis = SeparateMember
+const CONSOLIDATION_AXIS = /ConsolidatedAndSeparateFinancialStatementsAxis$/;
+const SEPARATE_MEMBER = /SeparateMember$/;
+
 /**
- * Search Korean companies by name
- * @param {string} query - Company name to search
- * @param {Object} options - Search options
- * @returns {Promise<Object>} Search results
+ * Search Korean companies across the DART corporation code list (corpCode.xml)
+ * Matches Korean and English names (with fuzzy matching), corp codes and stock codes;
+ * falls back to recent disclosures (list.json) when the code list is unavailable.
+ * @param {string} query - Company name (Korean or English), corp code or stock code
+ * @param {Object} options - Search options (limit, listedOnly)
+ * @returns {Promise<Object>} Search results ranked by match quality
  */
 export async function searchCompanies(query, options = {}) {
-  const { limit = 10 } = options;
+  const { limit = 10, listedOnly = false } = options;
 
   try {
-    // Get company list (corp_code.xml contains all companies)
-    // For now, we'll search through recent disclosures
-    const response = await axios.get(`${DART_API_BASE}/list.json`, {
-      params: {
-        crtfc_key: DART_API_KEY,
-        corp_name: query,
-        bgn_de: new Date(Date.now() - 365 * 24 * 60 * 60 * 1000).toISOString().split('T')[0].replace(/-/g, ''),
-        end_de: new Date().toISOString().split('T')[0].replace(/-/g, ''),
-        page_count: limit
-      },
-      timeout: 15000
-    });
+    let results;
 
-    if (response.data.status !== '000') {
-      throw new Error(`DART API error: ${response.data.message}`);
-    }
-
-    const companies = [];
-    const seenCodes = new Set();
-
-    if (response.data.list) {
-      for (const item of response.data.list) {
-        if (!seenCodes.has(item.corp_code)) {
-          seenCodes.add(item.corp_code);
-          companies.push({
-            name: item.corp_name,
-            corp_code: item.corp_code,
-            stock_code: item.stock_code || null,
-            recent_filing: {
-              report_name: item.report_nm,
-              receipt_number: item.rcept_no,
-              report_date: item.rcept_dt,
-              remarks: item.rm
-            }
-          });
-
-          if (companies.length >= limit) break;
-        }
-      }
+    try {
+      results = await dartCorpCodes.searchCorpCodes(query, { limit, listedOnly });
+    } catch (error) {
+      const companies = await searchRecentDisclosures(query, limit);
+      return {
+        query,
+        companies: listedOnly ? companies.filter(company => company.stock_code) : companies,
+        total_found: companies.length,
+        country: 'KR',
+        source: 'DART Open API',
+        note: `DART corporation code list unavailable (${error.message}); searched companies with disclosures in the past year only`
+      };
     }
 
     return {
       query,
-      companies,
-      total_found: companies.length,
+      companies: results.companies.map(company => ({
+        name: company.name,
+        name_eng: company.name_eng,
+        corp_code: company.corp_code,
+        stock_code: company.stock_code,
+        listed: company.listed,
+        modify_date: company.modify_date,
+        match_score: company.match_score,
+        matched_field: company.matched_field
+      })),
+      total_found: results.total_matches,
       country: 'KR',
-      source: 'DART Open API'
+      source: 'DART corporation code list',
+      code_list_downloaded_at: results.downloaded_at
     };
 
   } catch (error) {
@@ -73,6 +85,53 @@ export async function searchCompanies(query, options = {}) {
   }
 }
 
+/**
+ * Search companies by name among disclosures of the past year (list.json)
+ * @param {string} query - Company name
+ * @param {number} limit - Maximum number of companies
+ * @returns {Promise<Array>} Companies with their most recent filing
+ */
+async function searchRecentDisclosures(query, limit) {
+  const response = await axios.get(`${DART_API_BASE}/list.json`, {
+    params: {
+      crtfc_key: DART_API_KEY,
+      corp_name: query,
+      bgn_de: new Date(Date.now() - 365 * 24 * 60 * 60 * 1000).toISOString().split('T')[0].replace(/-/g, ''),
+      end_de: new Date().toISOString().split('T')[0].replace(/-/g, ''),
+      page_count: limit
+    },
+    timeout: 15000
+  });
+
+  if (response.data.status !== '000') {
+    throw new Error(`DART API error: ${response.data.message}`);
+  }
+
+  const companies = [];
+  const seenCodes = new Set();
+
+  for (const item of response.data.list || []) {
+    if (!seenCodes.has(item.corp_code)) {
+      seenCodes.add(item.corp_code);
+      companies.push({
+        name: item.corp_name,
+        corp_code: item.corp_code,
+        stock_code: item.stock_code || null,
+        recent_filing: {
+          report_name: item.report_nm,
+          receipt_number: item.rcept_no,
+          report_date: item.rcept_dt,
+          remarks: item.rm
+        }
+      });
+
+      if (companies.length >= limit) break;
+    }
+  }
+
+  return companies;
+}
+
 /**
  * Get company information by corporate code
  * @param {string} corpCode - Corporate code
@@ -115,10 +174,63 @@ export async function getCompanyByCorpCode(corpCode) {
   }
 }
 
+// Report name tags ([기재정정]사업보고서 (2023.12)) of filings that amend an earlier filing
+const AMENDMENT_TAGS = new Set(['기재정정', '첨부정정', '첨부추가', '발행조건확정']);
+
+/**
+ * Split a DART report name into its leading tags and the base name
+ * "[기재정정]사업보고서 (2023.12)" -> { tags: ['기재정정'], base: '사업보고서 (2023.12)' }
+ */
+function parseReportName(reportName) {
+  const tags = [];
+  let base = (reportName || '').trim();
+  let match;
+  while ((match = base.match(/^\[([^\]]+)\]\s*/))) {
+    tags.push(match[1].trim());
+    base = base.substring(match[0].length);
+  }
+  return { tags, base: base.replace(/\s+/g, ' ') };
+}
+
+/**
+ * Link DART filings into amendment chains
+ * DART does not link an amendment to its original; an amendment joins the latest earlier filing
+ * with the same report name. Filings tagged otherwise (e.g. [정정명령부과]) form their own chain.
+ * @param {Array<Object>} filings - Formatted filings
+ * @returns {Array<Object>} Filings with their amendment_chain, in the given order
+ */
+function linkFilingChains(filings) {
+  const chainKeys = new Map();
+  const currentChain = new Map();
+
+  // Receipt numbers start with the receipt date, so they order filings chronologically
+  const ordered = [...filings].sort((a, b) => a.receipt_number.localeCompare(b.receipt_number));
+  for (const filing of ordered) {
+    if (filing.amendment) {
+      const key = currentChain.get(filing.base_report_name) || filing.receipt_number;
+      currentChain.set(filing.base_report_name, key);
+      chainKeys.set(filing.receipt_number, key);
+    } else {
+      if (filing.report_tags.length === 0) currentChain.set(filing.base_report_name, filing.receipt_number);
+      chainKeys.set(filing.receipt_number, filing.receipt_number);
+    }
+  }
+
+  return filingChains.linkAmendmentChains(filings, {
+    id: filing => filing.receipt_number,
+    chainKey: filing => chainKeys.get(filing.receipt_number),
+    date: filing => filing.receipt_number,
+    effective: filing => !filing.withdrawn
+  });
+}
+
 /**
  * Get company filings/disclosures
+ * Filings are linked into amendment chains (the original and its [기재정정] filings); with latestOnly
+ * each chain is resolved to its latest version that was not withdrawn.
+ * Remarks (rm) flags: 정 - amended by a later filing, 철 - withdrawn
  * @param {string} corpCode - Corporate code
- * @param {Object} options - Options (startDate, endDate, reportType, limit)
+ * @param {Object} options - Options (startDate, endDate, reportType, limit, latestOnly)
  * @returns {Promise<Object>} Filings list
  */
 export async function getCompanyFilings(corpCode, options = {}) {
@@ -126,7 +238,8 @@ export async function getCompanyFilings(corpCode, options = {}) {
     startDate,
     endDate,
     reportType = '', // A: Annual, Q: Quarterly, etc.
-    limit = 100
+    limit = 100,
+    latestOnly = false
   } = options;
 
   try {
@@ -140,7 +253,8 @@ export async function getCompanyFilings(corpCode, options = {}) {
         bgn_de: start,
         end_de: end,
         pblntf_ty: reportType,
-        page_count: limit
+        // Read a full page (100 is the DART maximum) when superseded and withdrawn versions are dropped
+        page_count: latestOnly ? Math.max(limit, 100) : limit
       },
       timeout: 15000
     });
@@ -149,25 +263,41 @@ export async function getCompanyFilings(corpCode, options = {}) {
       throw new Error(`DART API error: ${response.data.message}`);
     }
 
-    const filings = (response.data.list || []).map(item => ({
-      corp_code: item.corp_code,
-      corp_name: item.corp_name,
-      stock_code: item.stock_code,
-      report_name: item.report_nm,
-      receipt_number: item.rcept_no,
-      filing_date: item.flr_nm,
-      report_date: item.rcept_dt,
-      remarks: item.rm,
-      urls: {
-        viewer: `https://dart.fss.or.kr/dsaf001/main.do?rcpNo=${item.rcept_no}`,
-        document: `${DART_API_BASE}/document.xml?crtfc_key=${DART_API_KEY}&rcept_no=${item.rcept_no}`
-      }
-    }));
+    const filings = (response.data.list || []).map(item => {
+      const reportName = parseReportName(item.report_nm);
+      const remarks = item.rm || '';
+
+      return {
+        corp_code: item.corp_code,
+        corp_name: item.corp_name,
+        stock_code: item.stock_code,
+        report_name: item.report_nm,
+        base_report_name: reportName.base,
+        report_tags: reportName.tags,
+        amendment: reportName.tags.some(tag => AMENDMENT_TAGS.has(tag)),
+        receipt_number: item.rcept_no,
+        filing_date: item.flr_nm,
+        report_date: item.rcept_dt,
+        remarks: item.rm,
+        amended_later: remarks.includes('정'),
+        withdrawn: remarks.includes('철'),
+        urls: {
+          viewer: `https://dart.fss.or.kr/dsaf001/main.do?rcpNo=${item.rcept_no}`,
+          document: `${DART_API_BASE}/document.xml?crtfc_key=${DART_API_KEY}&rcept_no=${item.rcept_no}`
+        }
+      };
+    });
+
+    const linked = linkFilingChains(filings);
+    const selected = (latestOnly ? filingChains.latestVersions(linked) : linked).slice(0, limit);
 
     return {
       corp_code: corpCode,
-      filings,
-      total_found: filings.length,
+      filings: selected,
+      total_found: selected.length,
+      latest_only: latestOnly,
+      withdrawn_count: linked.filter(filing => filing.withdrawn).length,
+      superseded_count: linked.filter(filing => !filing.amendment_chain.is_latest && !filing.withdrawn).length,
       date_range: {
         start: startDate || start,
         end: endDate || end
@@ -180,41 +310,103 @@ export async function getCompanyFilings(corpCode, options = {}) {
   }
 }
 
+/**
+ * Normalize a requested statement basis to CFS, OFS or auto
+ * @param {string} basis - CFS/consolidated, OFS/separate or auto
+ * @returns {string} 'CFS', 'OFS' or 'auto'
+ */
+export function normalizeStatementBasis(basis) {
+  if (!basis) return 'auto';
+
+  const value = String(basis).trim().toUpperCase();
+  if (value === 'AUTO') return 'auto';
+  if (value === 'CFS' || value === 'CONSOLIDATED') return 'CFS';
+  if (value === 'OFS' || value === 'SEPARATE') return 'OFS';
+
+  throw new Error(`Invalid statement basis "${basis}". Use CFS (consolidated), OFS (separate) or auto`);
+}
+
+/**
+ * Fetch all accounts of one statement basis (fnlttSinglAcntAll.json)
+ * @returns {Promise<Object>} DART response data; an empty list when DART has no statements for the basis
+ */
+async function fetchStatementAccounts(corpCode, businessYear, reportCode, fsDiv) {
+  const response = await axios.get(`${DART_API_BASE}/fnlttSinglAcntAll.json`, {
+    params: {
+      crtfc_key: DART_API_KEY,
+      corp_code: corpCode,
+      bsns_year: businessYear,
+      reprt_code: reportCode,
+      fs_div: fsDiv
+    },
+    timeout: 15000
+  });
+
+  if (response.data.status === NO_DATA_STATUS) {
+    return { ...response.data, list: [] };
+  }
+  if (response.data.status !== '000') {
+    throw new Error(`DART API error: ${response.data.message}`);
+  }
+
+  return response.data;
+}
+
 /**
  * Get financial statements for a company
+ * With basis 'auto', consolidated statements are returned when filed, otherwise separate statements
+ * (companies without subsidiaries only file separate statements)
  * @param {string} corpCode - Corporate code
  * @param {string} businessYear - Business year (YYYY)
  * @param {string} reportCode - Report code (11013: Q1, 11012: Q2, 11014: Q3, 11011: Annual)
- * @returns {Promise<Object>} Financial statements
+ * @param {Object} options - Options (basis: 'CFS' | 'OFS' | 'auto', default auto; fiscalYearEndMonth: settlement
+ *   month (acc_mt) used to date the amounts, default 12)
+ * @returns {Promise<Object>} Financial statements with the basis they came from
  */
-export async function getFinancialStatements(corpCode, businessYear, reportCode = '11011') {
+export async function getFinancialStatements(corpCode, businessYear, reportCode = '11011', options = {}) {
   try {
-    // Get consolidated financial statements
-    const response = await axios.get(`${DART_API_BASE}/fnlttSinglAcntAll.json`, {
-      params: {
-        crtfc_key: DART_API_KEY,
-        corp_code: corpCode,
-        bsns_year: businessYear,
-        reprt_code: reportCode
-      },
-      timeout: 15000
-    });
+    const requestedBasis = normalizeStatementBasis(options.basis);
+    const candidates = requestedBasis === 'auto' ? ['CFS', 'OFS'] : [requestedBasis];
 
-    if (response.data.status !== '000') {
-      throw new Error(`DART API error: ${response.data.message}`);
+    let fsDiv = null;
+    let data = null;
+    for (const candidate of candidates) {
+      data = await fetchStatementAccounts(corpCode, businessYear, reportCode, candidate);
+      if (data.list.length > 0) {
+        fsDiv = candidate;
+        break;
+      }
+    }
+
+    if (!fsDiv) {
+      throw new Error(`No ${candidates.map(c => `${STATEMENT_BASES[c]} (${c})`).join(' or ')} financial statements found`);
     }
 
     // Parse XBRL data
-    const parsed = xbrlParser.parseXBRLJSON(response.data);
+    const parsed = xbrlParser.parseXBRLJSON(data, {
+      fsDiv,
+      basis: STATEMENT_BASES[fsDiv],
+      fiscalYearEndMonth: Number(options.fiscalYearEndMonth) || 12
+    });
+    const fallback = fsDiv !== candidates[0];
 
     return {
       corp_code: corpCode,
       business_year: businessYear,
       report_code: reportCode,
-      report_type: reportCode === '11011' ? 'Annual' : reportCode === '11013' ? 'Q1' : reportCode === '11012' ? 'Q2' : 'Q3',
-      statements: response.data.list || [],
+      report_type: REPORT_TYPES[reportCode] || reportCode,
+      fs_div: fsDiv,
+      statement_basis: STATEMENT_BASES[fsDiv],
+      requested_basis: requestedBasis,
+      basis_fallback: fallback,
+      ...(fallback && { note: 'No consolidated statements filed for this period; separate statements returned' }),
+      receipt_number: data.list[0]?.rcept_no || null,
       ...parsed,
-      summary: xbrlParser.buildSummary(parsed.facts),
+      summary: {
+        ...xbrlParser.buildSummary(parsed.facts),
+        fs_div: fsDiv,
+        statement_basis: STATEMENT_BASES[fsDiv]
+      },
       source: 'DART Open API'
     };
 
@@ -223,17 +415,162 @@ export async function getFinancialStatements(corpCode, businessYear, reportCode
   }
 }
 
+/**
+ * Download the original XBRL filing package of a report (fnlttXbrl.xml), cached in the local store
+ * @param {string} receiptNumber - Receipt number (rcept_no)
+ * @param {string} reportCode - Report code
+ * @returns {Promise<Object>} ZIP buffer and whether it came from the store
+ */
+async function downloadXBRLPackage(receiptNumber, reportCode) {
+  const cacheFile = storePath('dart', 'xbrl', `${receiptNumber}.zip`);
+
+  const cached = await readBuffer(cacheFile);
+  if (cached) {
+    return { buffer: cached, from_cache: true };
+  }
+
+  const response = await axios.get(`${DART_API_BASE}/fnlttXbrl.xml`, {
+    params: {
+      crtfc_key: DART_API_KEY,
+      rcept_no: receiptNumber,
+      reprt_code: reportCode
+    },
+    responseType: 'arraybuffer',
+    timeout: 60000
+  });
+
+  const buffer = Buffer.from(response.data);
+
+  // Errors (unknown receipt number, report without XBRL) come back as an XML status message
+  if (!isZip(buffer)) {
+    const message = decodeText(buffer, 'utf-8').match(/<message>([^<]*)<\/message>/)?.[1];
+    throw new Error(`DART API error: ${message || 'XBRL filing package not available'}`);
+  }
+
+  await writeBuffer(cacheFile, buffer);
+  return { buffer, from_cache: false };
+}
+
+/**
+ * Get XBRL facts from the original filing package (fnlttXbrl.xml)
+ * Unlike the fnlttSinglAcntAll accounts, the instance keeps its contexts, so facts carry their
+ * segment, region, product and equity component dimensions. Facts are labelled from the
+ * Korean and English label linkbases in the package.
+ * @param {string} receiptNumber - Receipt number (rcept_no, 14 digits)
+ * @param {Object} options - Options (reportCode, basis: 'CFS' | 'OFS' | 'auto', includeNonNumeric)
+ * @returns {Promise<Object>} Parsed XBRL facts with the basis of each fact
+ */
+export async function getFilingXBRLFacts(receiptNumber, options = {}) {
+  const { reportCode = '11011', includeNonNumeric = false } = options;
+
+  try {
+    const requestedBasis = normalizeStatementBasis(options.basis);
+    const download = await downloadXBRLPackage(receiptNumber, reportCode);
+    const entries = readZipEntries(download.buffer);
+
+    const instance = entries.find(entry => /\.xbrl$/i.test(entry.name));
+    if (!instance) {
+      throw new Error('No XBRL instance found in filing package');
+    }
+    const labelFiles = entries.filter(entry => /_lab(-[a-z]+)?\.xml$/i.test(entry.name));
+
+    const parsed = xbrlParser.parseXBRLInstance(decodeText(instance.getData(), 'utf-8'), { includeNonNumeric });
+    const labels = xbrlParser.mergeLabels(
+      ...labelFiles.map(entry => xbrlParser.parseLabelLinkbase(decodeText(entry.getData(), 'utf-8'))));
+    const labelled = xbrlParser.applyLabels(parsed.facts, labels, { lang: 'ko' });
+
+    // Filers without subsidiaries only report separate statements, without the axis
+    const consolidationMember = fact =>
+      Object.entries(fact.dimensions || {}).find(([axis]) => CONSOLIDATION_AXIS.test(axis))?.[1];
+    const separateTagged = parsed.facts.some(fact => SEPARATE_MEMBER.test(consolidationMember(fact) || ''));
+
+    for (const fact of parsed.facts) {
+      const member = consolidationMember(fact);
+      const separate = member ? SEPARATE_MEMBER.test(member) : !separateTagged;
+      fact.fs_div = separate ? 'OFS' : 'CFS';
+      fact.basis = STATEMENT_BASES[fact.fs_div];
+    }
+
+    // auto: consolidated facts when the filing has them, otherwise separate facts
+    const fsDiv = requestedBasis !== 'auto' ? requestedBasis
+      : parsed.facts.some(fact => fact.fs_div === 'CFS') ? 'CFS' : 'OFS';
+    const facts = parsed.facts.filter(fact => fact.fs_div === fsDiv);
+
+    return {
+      receipt_number: receiptNumber,
+      report_code: reportCode,
+      fs_div: fsDiv,
+      statement_basis: STATEMENT_BASES[fsDiv],
+      requested_basis: requestedBasis,
+      ...parsed,
+      facts,
+      total_facts: facts.length,
+      numeric_facts: facts.filter(fact => fact.value !== null).length,
+      parsed_from: {
+        source: 'xbrl_instance',
+        files: [instance.name],
+        from_cache: download.from_cache
+      },
+      label_sources: {
+        filing_files: labelFiles.map(entry => entry.name),
+        labelled_facts: labelled
+      },
+      summary: {
+        ...xbrlParser.buildSummary(facts),
+        fs_div: fsDiv,
+        statement_basis: STATEMENT_BASES[fsDiv]
+      },
+      source: 'DART Open API (fnlttXbrl)'
+    };
+
+  } catch (error) {
+    throw new Error(`Failed to get XBRL filing facts: ${error.message}`);
+  }
+}
+
 /**
  * Get dimensional facts from financial statements
+ * By default the facts come from the original XBRL filing (fnlttXbrl.xml), located through the
+ * receipt number of the fnlttSinglAcntAll accounts; the accounts themselves are only used when
+ * the XBRL package is unavailable (source 'auto') or requested (source 'json').
  * @param {string} corpCode - Corporate code
  * @param {string} businessYear - Business year (YYYY)
  * @param {string} reportCode - Report code
  * @param {Object} searchCriteria - Search criteria
+ * @param {Object} options - Options (basis: 'CFS' | 'OFS' | 'auto', source: 'auto' | 'xbrl' | 'json', receiptNumber)
  * @returns {Promise<Object>} Dimensional facts
  */
-export async function getDimensionalFacts(corpCode, businessYear, reportCode, searchCriteria = {}) {
+export async function getDimensionalFacts(corpCode, businessYear, reportCode, searchCriteria = {}, options = {}) {
+  const { source = 'auto', receiptNumber = null } = options;
+
   try {
-    const { facts, ...metadata } = await getFinancialStatements(corpCode, businessYear, reportCode);
+    let statements = null;
+    let data = null;
+    let note = null;
+
+    if (source !== 'json') {
+      try {
+        let rceptNo = receiptNumber;
+        if (!rceptNo) {
+          statements = await getFinancialStatements(corpCode, businessYear, reportCode, options);
+          rceptNo = statements.receipt_number;
+        }
+        if (!rceptNo) {
+          throw new Error('receipt number of the report not found');
+        }
+        data = { ...await getFilingXBRLFacts(rceptNo, { reportCode, basis: options.basis }), facts_source: 'xbrl' };
+      } catch (error) {
+        // Without a business year there is no report to fall back to
+        if (source === 'xbrl' || !businessYear) throw error;
+        note = `XBRL filing unavailable (${error.message}); facts from fnlttSinglAcntAll carry no dimensions except equity components`;
+      }
+    }
+
+    if (!data) {
+      data = { ...(statements || await getFinancialStatements(corpCode, businessYear, reportCode, options)), facts_source: 'json' };
+    }
+
+    const { facts, ...metadata } = data;
 
     // Filter facts based on criteria
     let filteredFacts = facts;
@@ -252,7 +589,8 @@ export async function getDimensionalFacts(corpCode, businessYear, reportCode, se
       facts: filteredFacts,
       total_found: filteredFacts.length,
       dimensions,
-      ...metadata
+      ...metadata,
+      ...(note && { note })
     };
 
   } catch (error) {
@@ -260,76 +598,410 @@ export async function getDimensionalFacts(corpCode, businessYear, reportCode, se
   }
 }
 
+// Large holding reports (주식등의 대량보유상황보고서, majorstock.json): holders of 5% or more
+const MAJOR_HOLDING_FIELDS = {
+  rcept_dt: ['report_date', 'date'],
+  report_tp: ['report_type', 'text'],
+  repror: ['shareholder_name', 'text'],
+  stkqy: ['shares_owned', 'number'],
+  stkqy_irds: ['shares_change', 'number'],
+  stkrt: ['ownership_percent', 'number'],
+  stkrt_irds: ['ownership_change', 'number'],
+  ctr_stkqy: ['contract_shares', 'number'],
+  ctr_stkrt: ['contract_percent', 'number'],
+  report_resn: ['change_reason', 'text']
+};
+
+// Executive and major shareholder ownership reports (임원ㆍ주요주주 소유보고, elestock.json)
+const INSIDER_OWNERSHIP_FIELDS = {
+  rcept_dt: ['report_date', 'date'],
+  repror: ['shareholder_name', 'text'],
+  isu_exctv_rgist_at: ['registered_executive', 'text'],
+  isu_exctv_ofcps: ['position', 'text'],
+  isu_main_shrholdr: ['major_shareholder', 'text'],
+  sp_stock_lmp_cnt: ['shares_owned', 'number'],
+  sp_stock_lmp_irds_cnt: ['shares_change', 'number'],
+  sp_stock_lmp_rate: ['ownership_percent', 'number'],
+  sp_stock_lmp_irds_rate: ['ownership_change', 'number']
+};
+
+/**
+ * Fetch an ownership report list (majorstock.json or elestock.json) mapped to English field names
+ */
+async function fetchOwnershipReports(corpCode, endpoint, fields) {
+  const response = await axios.get(`${DART_API_BASE}/${endpoint}.json`, {
+    params: {
+      crtfc_key: DART_API_KEY,
+      corp_code: corpCode
+    },
+    timeout: 15000
+  });
+
+  if (response.data.status === NO_DATA_STATUS) return [];
+  if (response.data.status !== '000') {
+    throw new Error(`DART API error: ${response.data.message}`);
+  }
+
+  return (response.data.list || []).map(row => mapReportItemRow(row, fields));
+}
+
 /**
- * Get major shareholder information
+ * Get major shareholder information from large holding reports (5% rule)
  * @param {string} corpCode - Corporate code
- * @returns {Promise<Object>} Major shareholder data
+ * @returns {Promise<Object>} Reports with holder, shares, ownership and their changes
  */
 export async function getMajorShareholders(corpCode) {
   try {
-    const response = await axios.get(`${DART_API_BASE}/majorstock.json`, {
-      params: {
-        crtfc_key: DART_API_KEY,
-        corp_code: corpCode
-      },
-      timeout: 15000
-    });
+    return {
+      corp_code: corpCode,
+      shareholders: await fetchOwnershipReports(corpCode, 'majorstock', MAJOR_HOLDING_FIELDS),
+      source: 'DART Open API (majorstock.json)'
+    };
 
-    if (response.data.status !== '000') {
-      throw new Error(`DART API error: ${response.data.message}`);
+  } catch (error) {
+    throw new Error(`Failed to get major shareholders: ${error.message}`);
+  }
+}
+
+/**
+ * Get executive and major shareholder ownership reports (insiders)
+ * @param {string} corpCode - Corporate code
+ * @returns {Promise<Object>} Reports with reporter, position, shares, ownership and their changes
+ */
+export async function getInsiderOwnership(corpCode) {
+  try {
+    return {
+      corp_code: corpCode,
+      insiders: await fetchOwnershipReports(corpCode, 'elestock', INSIDER_OWNERSHIP_FIELDS),
+      source: 'DART Open API (elestock.json)'
+    };
+
+  } catch (error) {
+    throw new Error(`Failed to get insider ownership: ${error.message}`);
+  }
+}
+
+/**
+ * Normalize a holder name for grouping reports of the same holder
+ */
+function holderKey(name) {
+  return (name || '').normalize('NFKC').replace(/[\s·.,()（）]/g, '').toLowerCase();
+}
+
+/**
+ * Get the ownership history of a company's holders
+ * Merges large holding reports (majorstock.json) and executive/major shareholder reports
+ * (elestock.json) into a per-holder timeline. Large holding reports cover the reporter
+ * together with related parties, insider reports the reporter alone.
+ * @param {string} corpCode - Corporate code
+ * @param {Object} options - Options (startDate, endDate: report date range, holder: name filter)
+ * @returns {Promise<Object>} Holders with their reports over time, largest net change first
+ */
+export async function getOwnershipHistory(corpCode, options = {}) {
+  const { startDate, endDate, holder = null } = options;
+
+  try {
+    const sources = [
+      { source: 'major_holding', endpoint: 'majorstock', fields: MAJOR_HOLDING_FIELDS },
+      { source: 'insider', endpoint: 'elestock', fields: INSIDER_OWNERSHIP_FIELDS }
+    ];
+
+    const reports = [];
+    const errors = [];
+
+    for (const { source, endpoint, fields } of sources) {
+      try {
+        for (const report of await fetchOwnershipReports(corpCode, endpoint, fields)) {
+          reports.push({ ...report, source });
+        }
+      } catch (error) {
+        errors.push({ source, endpoint, error: error.message });
+      }
     }
 
+    if (errors.length === sources.length) {
+      throw new Error(errors[0].error);
+    }
+
+    const start = startDate ? parseDartDate(startDate) : null;
+    const end = endDate ? parseDartDate(endDate) : null;
+    const holderFilter = holder ? holderKey(holder) : null;
+
+    const holders = new Map();
+    for (const report of reports) {
+      if (start && (report.report_date || '') < start) continue;
+      if (end && (report.report_date || '') > end) continue;
+
+      const key = holderKey(report.shareholder_name);
+      if (!key || (holderFilter && !key.includes(holderFilter))) continue;
+
+      if (!holders.has(key)) {
+        holders.set(key, { name: report.shareholder_name, positions: new Set(), sources: new Set(), history: [] });
+      }
+
+      const entry = holders.get(key);
+      if (report.position) entry.positions.add(report.position);
+      entry.sources.add(report.source);
+      entry.history.push({
+        report_date: report.report_date,
+        source: report.source,
+        shares_owned: report.shares_owned ?? null,
+        shares_change: report.shares_change ?? null,
+        ownership_percent: report.ownership_percent ?? null,
+        ownership_change: report.ownership_change ?? null,
+        ...(report.position && { position: report.position }),
+        ...(report.change_reason && { change_reason: report.change_reason }),
+        ...(report.report_type && { report_type: report.report_type }),
+        receipt_number: report.receipt_number || null
+      });
+    }
+
+    const results = [...holders.values()].map(entry => {
+      const history = entry.history.sort((a, b) =>
+        (a.report_date || '').localeCompare(b.report_date || '') ||
+        (a.receipt_number || '').localeCompare(b.receipt_number || ''));
+
+      // Both sources can report the same trade, so changes are summed per source and the
+      // headline figure follows the source of the latest report
+      const changeBySource = {};
+      for (const report of history) {
+        changeBySource[report.source] = (changeBySource[report.source] || 0) + (report.shares_change || 0);
+      }
+      const latest = history[history.length - 1];
+      const netChange = changeBySource[latest.source];
+
+      return {
+        holder: entry.name,
+        positions: [...entry.positions],
+        sources: [...entry.sources],
+        reports: history.length,
+        first_report_date: history[0].report_date,
+        latest_report_date: latest.report_date,
+        latest_shares: latest.shares_owned,
+        latest_ownership_percent: latest.ownership_percent,
+        net_shares_change: netChange,
+        net_shares_change_by_source: changeBySource,
+        trend: netChange > 0 ? 'accumulating' : netChange < 0 ? 'selling' : 'unchanged',
+        history
+      };
+    });
+
+    results.sort((a, b) =>
+      Math.abs(b.net_shares_change) - Math.abs(a.net_shares_change) ||
+      (b.latest_report_date || '').localeCompare(a.latest_report_date || ''));
+
     return {
       corp_code: corpCode,
-      shareholders: (response.data.list || []).map(item => ({
-        report_date: item.rcept_dt,
-        shareholder_name: item.nm,
-        relation: item.relate,
-        shares_owned: item.stock_knd,
-        ownership_percent: item.hold_stock_ratio,
-        change_reason: item.change_cause
-      })),
+      holders: results,
+      total_holders: results.length,
+      total_reports: results.reduce((sum, entry) => sum + entry.reports, 0),
+      ...(errors.length > 0 && { errors }),
+      note: 'Large holding reports (major_holding) include related parties of the reporter; insider reports cover the reporter alone',
+      source: 'DART Open API (majorstock.json, elestock.json)'
+    };
+
+  } catch (error) {
+    throw new Error(`Failed to get ownership history: ${error.message}`);
+  }
+}
+
+/**
+ * Get company executives for a report period
+ * @param {string} corpCode - Corporate code
+ * @param {string} businessYear - Business year (YYYY, default: last year)
+ * @param {string} reportCode - Report code (11013: Q1, 11012: Q2, 11014: Q3, 11011: Annual)
+ * @returns {Promise<Object>} Executives with position, director status, responsibilities and tenure
+ */
+export async function getExecutiveInfo(corpCode, businessYear = String(new Date().getFullYear() - 1), reportCode = '11011') {
+  try {
+    const { records, noData } = await fetchReportItem(corpCode, REPORT_ITEMS.executives, businessYear, reportCode);
+
+    return {
+      corp_code: corpCode,
+      business_year: businessYear,
+      report_code: reportCode,
+      report_type: REPORT_TYPES[reportCode] || reportCode,
+      receipt_number: records[0]?.receipt_number || null,
+      settlement_date: records[0]?.settlement_date || null,
+      executives: records,
+      total_executives: records.length,
+      board_members: records.filter(isBoardMember).length,
+      ...(noData && { note: 'No executives reported for this period' }),
       source: 'DART Open API'
     };
 
   } catch (error) {
-    throw new Error(`Failed to get major shareholders: ${error.message}`);
+    throw new Error(`Failed to get executive information: ${error.message}`);
   }
 }
 
 /**
- * Get company executive information
+ * Check whether an executive is a registered director (사내이사, 사외이사, 기타비상무이사)
+ */
+function isBoardMember(executive) {
+  const status = executive.registered_executive || '';
+  return /이사|감사위원/.test(status) && !/미등기/.test(status);
+}
+
+/**
+ * Identify an executive across reports (name and birth month, to tell namesakes apart)
+ */
+function executiveKey(executive) {
+  return `${(executive.name || '').replace(/\s/g, '')}|${executive.birth_year_month || ''}`;
+}
+
+// One report request per period
+const MAX_EXECUTIVE_PERIODS = 20;
+
+/**
+ * Report periods to fetch, newest first
+ */
+function executivePeriods(endYear, periods, includeQuarterly) {
+  const codes = includeQuarterly ? ['11011', '11014', '11012', '11013'] : ['11011'];
+  const result = [];
+
+  for (let year = Number(endYear); result.length < periods; year--) {
+    for (const code of codes) {
+      if (result.length < periods) result.push({ businessYear: String(year), reportCode: code });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Get the executive roster over several report periods
+ * Consecutive rosters are compared to show who joined or left the board and management,
+ * and whose position or director status changed.
  * @param {string} corpCode - Corporate code
- * @returns {Promise<Object>} Executive information
+ * @param {Object} options - Options (endYear (default: last year), periods: number of report periods (default 3, at most 20),
+ *   includeQuarterly: include Q1-Q3 reports)
+ * @returns {Promise<Object>} Periods, changes between them and every executive seen
  */
-export async function getExecutiveInfo(corpCode) {
+export async function getExecutiveHistory(corpCode, options = {}) {
+  const {
+    endYear = String(new Date().getFullYear() - 1),
+    periods = 3,
+    includeQuarterly = false
+  } = options;
+
   try {
-    const response = await axios.get(`${DART_API_BASE}/exctvSttus.json`, {
-      params: {
-        crtfc_key: DART_API_KEY,
-        corp_code: corpCode
-      },
-      timeout: 15000
+    if (!Number.isInteger(periods) || periods < 1 || periods > MAX_EXECUTIVE_PERIODS) {
+      throw new Error(`Invalid periods "${periods}". Use a whole number from 1 to ${MAX_EXECUTIVE_PERIODS}`);
+    }
+
+    const requested = executivePeriods(endYear, periods, includeQuarterly);
+    const rosters = [];
+    const periodsWithoutData = [];
+    const errors = [];
+
+    for (const { businessYear, reportCode } of requested) {
+      const label = `${businessYear} ${REPORT_TYPES[reportCode]}`;
+      try {
+        const { records, noData } = await fetchReportItem(corpCode, REPORT_ITEMS.executives, businessYear, reportCode);
+        if (noData || records.length === 0) {
+          periodsWithoutData.push(label);
+          continue;
+        }
+        rosters.push({ label, businessYear, reportCode, records });
+      } catch (error) {
+        errors.push({ period: label, error: error.message });
+      }
+    }
+
+    if (requested.length > 0 && errors.length === requested.length) {
+      throw new Error(errors[0].error);
+    }
+
+    // Oldest period first
+    rosters.reverse();
+
+    const summary = exec => ({
+      name: exec.name,
+      position: exec.position,
+      registered_executive: exec.registered_executive,
+      board: isBoardMember(exec),
+      ...(exec.responsibilities && { responsibilities: exec.responsibilities })
     });
 
-    if (response.data.status !== '000') {
-      throw new Error(`DART API error: ${response.data.message}`);
+    const timeline = [];
+    for (let i = 1; i < rosters.length; i++) {
+      const before = new Map(rosters[i - 1].records.map(exec => [executiveKey(exec), exec]));
+      const after = new Map(rosters[i].records.map(exec => [executiveKey(exec), exec]));
+
+      const joined = [...after].filter(([key]) => !before.has(key)).map(([, exec]) => summary(exec));
+      const left = [...before].filter(([key]) => !after.has(key)).map(([, exec]) => summary(exec));
+
+      const changed = [];
+      for (const [key, exec] of after) {
+        const previous = before.get(key);
+        if (!previous) continue;
+
+        const changes = {};
+        for (const field of ['position', 'registered_executive', 'full_time']) {
+          if ((previous[field] || null) !== (exec[field] || null)) {
+            changes[field] = { from: previous[field] || null, to: exec[field] || null };
+          }
+        }
+        if (Object.keys(changes).length > 0) changed.push({ name: exec.name, changes });
+      }
+
+      timeline.push({
+        from_period: rosters[i - 1].label,
+        period: rosters[i].label,
+        settlement_date: rosters[i].records[0].settlement_date || null,
+        receipt_number: rosters[i].records[0].receipt_number || null,
+        joined,
+        left,
+        changed,
+        board_joined: joined.filter(exec => exec.board).length,
+        board_left: left.filter(exec => exec.board).length
+      });
+    }
+
+    // Every executive seen, with the periods they appear in
+    const executives = new Map();
+    for (const roster of rosters) {
+      for (const exec of roster.records) {
+        const key = executiveKey(exec);
+        if (!executives.has(key)) {
+          executives.set(key, { name: exec.name, birth_year_month: exec.birth_year_month || null, positions: [], first_seen: roster.label, periods: [] });
+        }
+        const entry = executives.get(key);
+        if (exec.position && !entry.positions.includes(exec.position)) entry.positions.push(exec.position);
+        entry.periods.push(roster.label);
+        entry.last_seen = roster.label;
+        entry.registered_executive = exec.registered_executive || null;
+        entry.board = isBoardMember(exec);
+      }
+    }
+
+    const latest = rosters[rosters.length - 1];
+    for (const entry of executives.values()) {
+      entry.current = Boolean(latest) && entry.last_seen === latest.label;
     }
 
     return {
       corp_code: corpCode,
-      executives: (response.data.list || []).map(item => ({
-        name: item.nm,
-        position: item.sexdstn,
-        registration_date: item.rcept_dt,
-        birth_year: item.birth_ym,
-        career: item.career
+      periods: rosters.map(roster => ({
+        period: roster.label,
+        business_year: roster.businessYear,
+        report_code: roster.reportCode,
+        settlement_date: roster.records[0].settlement_date || null,
+        receipt_number: roster.records[0].receipt_number || null,
+        executives: roster.records.length,
+        board_members: roster.records.filter(isBoardMember).length
       })),
-      source: 'DART Open API'
+      timeline,
+      executives: [...executives.values()],
+      total_executives: executives.size,
+      ...(periodsWithoutData.length > 0 && { periods_without_data: periodsWithoutData }),
+      ...(errors.length > 0 && { errors }),
+      source: 'DART Open API (exctvSttus.json)'
     };
 
   } catch (error) {
-    throw new Error(`Failed to get executive information: ${error.message}`);
+    throw new Error(`Failed to get executive history: ${error.message}`);
   }
 }
 
@@ -366,6 +1038,801 @@ export async function getDividendInfo(corpCode, businessYear) {
   }
 }
 
+// Fields shared by the periodic report key-item APIs (정기보고서 주요정보)
+const REPORT_ITEM_COMMON_FIELDS = {
+  rcept_no: ['receipt_number', 'text'],
+  corp_cls: ['corporation_class', 'text'],
+  corp_name: ['corp_name', 'text'],
+  stlm_dt: ['settlement_date', 'date'],
+  rm: ['remarks', 'text']
+};
+
+// Periodic report key items: DART endpoint and English field names with their types
+export const REPORT_ITEMS = {
+  employees: {
+    endpoint: 'empSttus',
+    name: 'Employee status (직원 현황)',
+    fields: {
+      fo_bbm: ['business_segment', 'text'],
+      sexdstn: ['gender', 'text'],
+      reform_bfe_emp_co_rgllbr: ['employees_before_reform_regular', 'number'],
+      reform_bfe_emp_co_cnttk: ['employees_before_reform_contract', 'number'],
+      reform_bfe_emp_co_etc: ['employees_before_reform_other', 'number'],
+      rgllbr_co: ['regular_employees', 'number'],
+      rgllbr_abacpt_labrr_co: ['regular_part_time_employees', 'number'],
+      cnttk_co: ['contract_employees', 'number'],
+      cnttk_abacpt_labrr_co: ['contract_part_time_employees', 'number'],
+      sm: ['total_employees', 'number'],
+      avrg_cnwk_sdytrn: ['average_tenure', 'text'],
+      fyer_salary_totamt: ['annual_salary_total', 'number'],
+      jan_salary_am: ['average_salary_per_employee', 'number']
+    }
+  },
+  treasury_stock: {
+    endpoint: 'tesstkAcqsDspsSttus',
+    name: 'Treasury stock acquisitions and disposals (자기주식 취득 및 처분 현황)',
+    fields: {
+      acqs_mth1: ['acquisition_method', 'text'],
+      acqs_mth2: ['acquisition_method_detail', 'text'],
+      acqs_mth3: ['acquisition_method_subdetail', 'text'],
+      stock_knd: ['stock_kind', 'text'],
+      bsis_qy: ['beginning_quantity', 'number'],
+      change_qy_acqs: ['acquired_quantity', 'number'],
+      change_qy_dsps: ['disposed_quantity', 'number'],
+      change_qy_incnr: ['retired_quantity', 'number'],
+      trmend_qy: ['ending_quantity', 'number']
+    }
+  },
+  capital_changes: {
+    endpoint: 'irdsSttus',
+    name: 'Capital increases and decreases (증자(감자) 현황)',
+    fields: {
+      isu_dcrs_de: ['date', 'date'],
+      isu_dcrs_stle: ['change_type', 'text'],
+      isu_dcrs_stock_knd: ['stock_kind', 'text'],
+      isu_dcrs_qy: ['quantity', 'number'],
+      isu_dcrs_mstvdv_fval_amount: ['par_value_per_share', 'number'],
+      isu_dcrs_mstvdv_amount: ['price_per_share', 'number']
+    }
+  },
+  shares_outstanding: {
+    endpoint: 'stockTotqySttus',
+    name: 'Total number of shares (주식의 총수 현황)',
+    fields: {
+      se: ['category', 'text'],
+      isu_stock_totqy: ['authorized_shares', 'number'],
+      now_to_isu_stock_totqy: ['shares_issued_to_date', 'number'],
+      now_to_dcrs_stock_totqy: ['shares_decreased_to_date', 'number'],
+      redc: ['decreased_by_capital_reduction', 'number'],
+      profit_incnr: ['decreased_by_profit_retirement', 'number'],
+      rdmstk_repy: ['decreased_by_redemption', 'number'],
+      etc: ['decreased_other', 'number'],
+      istc_totqy: ['issued_shares', 'number'],
+      tesstk_co: ['treasury_shares', 'number'],
+      distb_stock_co: ['outstanding_shares', 'number']
+    }
+  },
+  executives: {
+    endpoint: 'exctvSttus',
+    name: 'Executives (임원 현황)',
+    fields: {
+      nm: ['name', 'text'],
+      sexdstn: ['gender', 'text'],
+      birth_ym: ['birth_year_month', 'text'],
+      ofcps: ['position', 'text'],
+      rgist_exctv_at: ['registered_executive', 'text'],
+      fte_at: ['full_time', 'text'],
+      chrg_job: ['responsibilities', 'text'],
+      main_career: ['career', 'text'],
+      mxmm_shrholdr_relate: ['relation_to_largest_shareholder', 'text'],
+      hffc_pd: ['tenure', 'text'],
+      tenure_end_on: ['term_end_date', 'date']
+    }
+  },
+  outside_directors: {
+    endpoint: 'outcmpnyDrctrNdChangeSttus',
+    name: 'Outside directors and changes (사외이사 및 그 변동현황)',
+    fields: {
+      drctr_co: ['directors', 'number'],
+      otcmp_drctr_co: ['outside_directors', 'number'],
+      apnt: ['appointed', 'number'],
+      rlsofc: ['dismissed', 'number'],
+      mdstrm_resig: ['resigned_midterm', 'number']
+    }
+  }
+};
+
+/**
+ * Convert a DART date ("2023.12.31", "20231231", "2023-12-31") to ISO format
+ * @returns {string|null} ISO date, the original text when not a date, or null when empty
+ */
+function parseDartDate(text) {
+  const value = (text || '').trim();
+  if (!value || value === '-') return null;
+
+  const match = value.match(/^(\d{4})[.\-/년\s]*(\d{1,2})[.\-/월\s]*(\d{1,2})일?\.?$/);
+  return match ? `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}` : value;
+}
+
+/**
+ * Map a DART report item row to English field names with parsed values
+ * Fields without a mapping are kept under their DART name
+ */
+function mapReportItemRow(row, fields) {
+  const record = {};
+
+  for (const [key, raw] of Object.entries(row)) {
+    if (key === 'corp_code') continue;
+
+    const [name, type] = fields[key] || REPORT_ITEM_COMMON_FIELDS[key] || [key, 'text'];
+    const text = typeof raw === 'string' ? raw.trim() : raw;
+
+    if (type === 'number') {
+      record[name] = xbrlParser.parseFactValue(text);
+    } else if (type === 'date') {
+      record[name] = parseDartDate(text);
+    } else {
+      record[name] = text === '' || text === '-' ? null : text;
+    }
+  }
+
+  return record;
+}
+
+/**
+ * Resolve a report item by its name or DART endpoint
+ */
+function resolveReportItem(item) {
+  if (REPORT_ITEMS[item]) return [item, REPORT_ITEMS[item]];
+
+  const entry = Object.entries(REPORT_ITEMS)
+    .find(([, definition]) => definition.endpoint.toLowerCase() === String(item).toLowerCase());
+  if (!entry) {
+    throw new Error(`Unknown report item "${item}". Available: ${Object.keys(REPORT_ITEMS).join(', ')}`);
+  }
+  return entry;
+}
+
+/**
+ * Fetch the rows of a report item for one report period
+ * @returns {Promise<Object>} Mapped records and whether DART reported no data
+ */
+async function fetchReportItem(corpCode, definition, businessYear, reportCode) {
+  const response = await axios.get(`${DART_API_BASE}/${definition.endpoint}.json`, {
+    params: {
+      crtfc_key: DART_API_KEY,
+      corp_code: corpCode,
+      bsns_year: businessYear,
+      reprt_code: reportCode
+    },
+    timeout: 15000
+  });
+
+  const noData = response.data.status === NO_DATA_STATUS;
+  if (!noData && response.data.status !== '000') {
+    throw new Error(`DART API error: ${response.data.message}`);
+  }
+
+  return {
+    records: (response.data.list || []).map(row => mapReportItemRow(row, definition.fields)),
+    noData
+  };
+}
+
+/**
+ * Get a periodic report key item (정기보고서 주요정보) for a company
+ * @param {string} corpCode - Corporate code
+ * @param {string} item - Item name (employees, treasury_stock, capital_changes, shares_outstanding,
+ *   executives, outside_directors) or DART endpoint (empSttus, ...)
+ * @param {string} businessYear - Business year (YYYY)
+ * @param {string} reportCode - Report code (11013: Q1, 11012: Q2, 11014: Q3, 11011: Annual)
+ * @returns {Promise<Object>} Records with English field names and parsed numbers
+ */
+export async function getReportItem(corpCode, item, businessYear, reportCode = '11011') {
+  try {
+    const [itemName, definition] = resolveReportItem(item);
+    const { records, noData } = await fetchReportItem(corpCode, definition, businessYear, reportCode);
+
+    return {
+      corp_code: corpCode,
+      item: itemName,
+      name: definition.name,
+      endpoint: definition.endpoint,
+      business_year: businessYear,
+      report_code: reportCode,
+      report_type: REPORT_TYPES[reportCode] || reportCode,
+      receipt_number: records[0]?.receipt_number || null,
+      records,
+      total_records: records.length,
+      ...(noData && { note: 'No data reported for this period' }),
+      source: 'DART Open API'
+    };
+
+  } catch (error) {
+    throw new Error(`Failed to get report item: ${error.message}`);
+  }
+}
+
+// Use of proceeds of capital increases and bond issues (자금조달의 목적)
+const FUNDING_PURPOSE_FIELDS = {
+  fdpp_fclt: ['funds_facilities', 'number'],
+  fdpp_bsninh: ['funds_business_acquisition', 'number'],
+  fdpp_op: ['funds_operating', 'number'],
+  fdpp_dtrp: ['funds_debt_repayment', 'number'],
+  fdpp_ocsa: ['funds_securities_acquisition', 'number'],
+  fdpp_etc: ['funds_other', 'number']
+};
+
+// Fields shared by the bond issue decisions (CB, BW, EB)
+const BOND_ISSUE_FIELDS = {
+  bd_tm: ['series', 'text'],
+  bd_knd: ['bond_kind', 'text'],
+  bd_fta: ['face_amount', 'number'],
+  ...FUNDING_PURPOSE_FIELDS,
+  bd_intr_ex: ['coupon_rate', 'text'],
+  bd_intr_sf: ['yield_to_maturity', 'text'],
+  bd_mtd: ['maturity_date', 'date'],
+  bdis_mthn: ['issue_method', 'text'],
+  rpmcmp: ['lead_manager', 'text'],
+  grint: ['guarantor', 'text'],
+  pymd: ['payment_date', 'date'],
+  bddd: ['board_resolution_date', 'date']
+};
+
+// Fields shared by the asset and share acquisition/disposal decisions
+const TRANSACTION_FIELDS = {
+  dlptn_cmpnm: ['counterparty_name', 'text'],
+  dlptn_cpt: ['counterparty_capital', 'number'],
+  dlptn_mbsn: ['counterparty_main_business', 'text'],
+  dlptn_hoadd: ['counterparty_address', 'text'],
+  dlptn_rl_cmpn: ['counterparty_relationship', 'text'],
+  bddd: ['board_resolution_date', 'date']
+};
+
+const FUNDING_AMOUNTS = Object.values(FUNDING_PURPOSE_FIELDS).map(([name]) => name);
+
+/**
+ * Material event reports (주요사항보고서 주요정보): DART endpoint, category and English field names with types.
+ * date names the decision date field, amounts the monetary/share fields reported under amounts and
+ * counterparties the fields naming other parties (with their role); unmapped fields are kept under their DART name.
+ */
+export const MATERIAL_EVENTS = {
+  paid_in_capital_increase: {
+    endpoint: 'piicDecsn',
+    name: 'Paid-in capital increase (유상증자 결정)',
+    category: 'financing',
+    fields: {
+      nstk_ostk_cnt: ['new_common_shares', 'number'],
+      nstk_estk_cnt: ['new_other_shares', 'number'],
+      fv_ps: ['par_value_per_share', 'number'],
+      bfic_tisstk_ostk: ['common_shares_before', 'number'],
+      bfic_tisstk_estk: ['other_shares_before', 'number'],
+      ...FUNDING_PURPOSE_FIELDS,
+      ic_mthn: ['issue_method', 'text'],
+      ssl_at: ['short_sale_restriction', 'text'],
+      ssl_bgd: ['short_sale_period_start', 'date'],
+      ssl_edd: ['short_sale_period_end', 'date']
+    },
+    date: 'board_resolution_date',
+    amounts: ['new_common_shares', 'new_other_shares', ...FUNDING_AMOUNTS],
+    counterparties: {}
+  },
+  bonus_issue: {
+    endpoint: 'fricDecsn',
+    name: 'Bonus issue (무상증자 결정)',
+    category: 'financing',
+    fields: {
+      nstk_ostk_cnt: ['new_common_shares', 'number'],
+      nstk_estk_cnt: ['new_other_shares', 'number'],
+      fv_ps: ['par_value_per_share', 'number'],
+      bfic_tisstk_ostk: ['common_shares_before', 'number'],
+      bfic_tisstk_estk: ['other_shares_before', 'number'],
+      nstk_asstd: ['record_date', 'date'],
+      nstk_ascnt_ps_ostk: ['new_common_shares_per_share', 'number'],
+      nstk_ascnt_ps_estk: ['new_other_shares_per_share', 'number'],
+      nstk_dividrk: ['dividend_entitlement', 'text'],
+      nstk_dlprd: ['delivery_date', 'date'],
+      nstk_lstprd: ['listing_date', 'date'],
+      bddd: ['board_resolution_date', 'date']
+    },
+    date: 'board_resolution_date',
+    amounts: ['new_common_shares', 'new_other_shares'],
+    counterparties: {}
+  },
+  capital_reduction: {
+    endpoint: 'crDecsn',
+    name: 'Capital reduction (감자 결정)',
+    category: 'financing',
+    fields: {
+      crstk_ostk_cnt: ['reduced_common_shares', 'number'],
+      crstk_estk_cnt: ['reduced_other_shares', 'number'],
+      fv_ps: ['par_value_per_share', 'number'],
+      bfcr_cpt: ['capital_before', 'number'],
+      atcr_cpt: ['capital_after', 'number'],
+      cr_rt_ostk: ['reduction_ratio_common', 'text'],
+      cr_rt_estk: ['reduction_ratio_other', 'text'],
+      cr_std: ['record_date', 'date'],
+      cr_mth: ['reduction_method', 'text'],
+      cr_rs: ['reduction_reason', 'text'],
+      bddd: ['board_resolution_date', 'date']
+    },
+    date: 'board_resolution_date',
+    amounts: ['reduced_common_shares', 'reduced_other_shares', 'capital_before', 'capital_after'],
+    counterparties: {}
+  },
+  convertible_bond: {
+    endpoint: 'cvbdIsDecsn',
+    name: 'Convertible bond issue (전환사채권 발행결정)',
+    category: 'financing',
+    fields: {
+      ...BOND_ISSUE_FIELDS,
+      cv_rt: ['conversion_ratio', 'text'],
+      cv_prc: ['conversion_price', 'number'],
+      cvisstk_knd: ['conversion_share_kind', 'text'],
+      cvisstk_cnt: ['conversion_shares', 'number'],
+      cvisstk_tisstk_vs: ['conversion_shares_to_total', 'text'],
+      cvrqpd_bgd: ['conversion_period_start', 'date'],
+      cvrqpd_edd: ['conversion_period_end', 'date'],
+      act_mktprcfl_cvprc_lwtrsprc: ['minimum_refixing_price', 'number']
+    },
+    date: 'board_resolution_date',
+    amounts: ['face_amount', 'conversion_price', 'conversion_shares', ...FUNDING_AMOUNTS],
+    counterparties: { lead_manager: 'lead_manager', guarantor: 'guarantor' }
+  },
+  bond_with_warrants: {
+    endpoint: 'bdwtIsDecsn',
+    name: 'Bond with warrants issue (신주인수권부사채권 발행결정)',
+    category: 'financing',
+    fields: {
+      ...BOND_ISSUE_FIELDS,
+      ex_rt: ['exercise_ratio', 'text'],
+      ex_prc: ['exercise_price', 'number'],
+      nstk_isstk_knd: ['warrant_share_kind', 'text'],
+      nstk_isstk_cnt: ['warrant_shares', 'number'],
+      nstk_isstk_tisstk_vs: ['warrant_shares_to_total', 'text'],
+      expd_bgd: ['exercise_period_start', 'date'],
+      expd_edd: ['exercise_period_end', 'date']
+    },
+    date: 'board_resolution_date',
+    amounts: ['face_amount', 'exercise_price', 'warrant_shares', ...FUNDING_AMOUNTS],
+    counterparties: { lead_manager: 'lead_manager', guarantor: 'guarantor' }
+  },
+  exchangeable_bond: {
+    endpoint: 'exbdIsDecsn',
+    name: 'Exchangeable bond issue (교환사채권 발행결정)',
+    category: 'financing',
+    fields: {
+      ...BOND_ISSUE_FIELDS,
+      ex_rt: ['exchange_ratio', 'text'],
+      ex_prc: ['exchange_price', 'number'],
+      extg: ['exchange_target', 'text'],
+      extg_stkcnt: ['exchange_target_shares', 'number'],
+      extg_tisstk_vs: ['exchange_target_to_total', 'text'],
+      exrqpd_bgd: ['exchange_period_start', 'date'],
+      exrqpd_edd: ['exchange_period_end', 'date']
+    },
+    date: 'board_resolution_date',
+    amounts: ['face_amount', 'exchange_price', 'exchange_target_shares', ...FUNDING_AMOUNTS],
+    counterparties: { lead_manager: 'lead_manager', guarantor: 'guarantor' }
+  },
+  merger: {
+    endpoint: 'cmpMgDecsn',
+    name: 'Merger (회사합병 결정)',
+    category: 'mna',
+    fields: {
+      mg_mth: ['merger_method', 'text'],
+      mg_stn: ['merger_form', 'text'],
+      mg_pp: ['merger_purpose', 'text'],
+      mg_rt: ['merger_ratio', 'text'],
+      mg_rt_bs: ['merger_ratio_basis', 'text'],
+      mgnstk_ostk_cnt: ['new_common_shares', 'number'],
+      mgnstk_cstk_cnt: ['new_other_shares', 'number'],
+      mgptncmp_cmpnm: ['target_name', 'text'],
+      mgptncmp_mbsn: ['target_main_business', 'text'],
+      mgptncmp_rl_cmpn: ['target_relationship', 'text'],
+      rbsnfdtl_tast: ['target_total_assets', 'number'],
+      rbsnfdtl_tdbt: ['target_total_liabilities', 'number'],
+      rbsnfdtl_teqt: ['target_total_equity', 'number'],
+      rbsnfdtl_cpt: ['target_capital', 'number'],
+      rbsnfdtl_sl: ['target_revenue', 'number'],
+      rbsnfdtl_nic: ['target_net_income', 'number'],
+      mgsc_mgctrd: ['contract_date', 'date'],
+      mgsc_shddstd: ['record_date', 'date'],
+      mgsc_mgdt: ['merger_date', 'date'],
+      bddd: ['board_resolution_date', 'date']
+    },
+    date: 'board_resolution_date',
+    amounts: ['new_common_shares', 'new_other_shares', 'target_total_assets', 'target_total_liabilities',
+      'target_total_equity', 'target_revenue', 'target_net_income'],
+    counterparties: { target_name: 'merger_counterparty' }
+  },
+  split: {
+    endpoint: 'cmpDvDecsn',
+    name: 'Company split (회사분할 결정)',
+    category: 'mna',
+    fields: {
+      dv_mth: ['split_method', 'text'],
+      dv_impef: ['split_effect', 'text'],
+      dv_rt: ['split_ratio', 'text'],
+      dv_trfbsnprt_cn: ['transferred_business', 'text'],
+      atdv_excmp_cmpnm: ['surviving_company_name', 'text'],
+      dvfcmp_cmpnm: ['new_company_name', 'text'],
+      dvfcmp_mbsn: ['new_company_main_business', 'text'],
+      dvfcmp_rlst_atn: ['new_company_listing', 'text'],
+      dvfcmp_ftast: ['new_company_total_assets', 'number'],
+      dvfcmp_ftdbt: ['new_company_total_liabilities', 'number'],
+      dvfcmp_ftteqt: ['new_company_total_equity', 'number'],
+      dvdt: ['split_date', 'date'],
+      bddd: ['board_resolution_date', 'date']
+    },
+    date: 'board_resolution_date',
+    amounts: ['new_company_total_assets', 'new_company_total_liabilities', 'new_company_total_equity'],
+    counterparties: { new_company_name: 'new_company', surviving_company_name: 'surviving_company' }
+  },
+  share_exchange: {
+    endpoint: 'stkExtrDecsn',
+    name: 'Share exchange or transfer (주식교환·이전 결정)',
+    category: 'mna',
+    fields: {
+      extr_sen: ['exchange_type', 'text'],
+      extr_stn: ['exchange_form', 'text'],
+      extr_tgcmp_cmpnm: ['target_name', 'text'],
+      extr_tgcmp_mbsn: ['target_main_business', 'text'],
+      extr_rt: ['exchange_ratio', 'text'],
+      extr_rt_bs: ['exchange_ratio_basis', 'text'],
+      extr_pp: ['exchange_purpose', 'text'],
+      bddd: ['board_resolution_date', 'date']
+    },
+    date: 'board_resolution_date',
+    amounts: [],
+    counterparties: { target_name: 'exchange_counterparty' }
+  },
+  business_acquisition: {
+    endpoint: 'bsnInhDecsn',
+    name: 'Business acquisition (영업양수 결정)',
+    category: 'mna',
+    fields: {
+      inh_bsn: ['acquired_business', 'text'],
+      inh_bsn_mc: ['acquired_business_description', 'text'],
+      inh_prc: ['acquisition_price', 'number'],
+      inh_pp: ['acquisition_purpose', 'text'],
+      inh_af: ['acquisition_effect', 'text'],
+      inh_prd_ctr_cnsd: ['contract_date', 'date'],
+      inh_prd_inh_std: ['acquisition_date', 'date'],
+      ...TRANSACTION_FIELDS
+    },
+    date: 'board_resolution_date',
+    amounts: ['acquisition_price'],
+    counterparties: { counterparty_name: 'seller' }
+  },
+  business_transfer: {
+    endpoint: 'bsnTrfDecsn',
+    name: 'Business transfer (영업양도 결정)',
+    category: 'mna',
+    fields: {
+      trf_bsn: ['transferred_business', 'text'],
+      trf_bsn_mc: ['transferred_business_description', 'text'],
+      trf_prc: ['transfer_price', 'number'],
+      trf_pp: ['transfer_purpose', 'text'],
+      trf_af: ['transfer_effect', 'text'],
+      trf_prd_ctr_cnsd: ['contract_date', 'date'],
+      trf_prd_trf_std: ['transfer_date', 'date'],
+      ...TRANSACTION_FIELDS
+    },
+    date: 'board_resolution_date',
+    amounts: ['transfer_price'],
+    counterparties: { counterparty_name: 'buyer' }
+  },
+  equity_acquisition: {
+    endpoint: 'otcprStkInvscrInhDecsn',
+    name: 'Acquisition of shares of another company (타법인 주식 및 출자증권 양수결정)',
+    category: 'mna',
+    fields: {
+      iscmp_cmpnm: ['issuer_name', 'text'],
+      iscmp_nt: ['issuer_country', 'text'],
+      iscmp_rp: ['issuer_representative', 'text'],
+      iscmp_mbsn: ['issuer_main_business', 'text'],
+      iscmp_rl_cmpn: ['issuer_relationship', 'text'],
+      inhdtl_stkcnt: ['acquired_shares', 'number'],
+      inhdtl_inhprc: ['acquisition_price', 'number'],
+      atinh_owstkcnt: ['shares_held_after', 'number'],
+      atinh_eqrt: ['ownership_after', 'text'],
+      inh_pp: ['acquisition_purpose', 'text'],
+      inh_prd: ['acquisition_date', 'text'],
+      ...TRANSACTION_FIELDS
+    },
+    date: 'board_resolution_date',
+    amounts: ['acquisition_price', 'acquired_shares', 'shares_held_after'],
+    counterparties: { issuer_name: 'target', counterparty_name: 'seller' }
+  },
+  equity_disposal: {
+    endpoint: 'otcprStkInvscrTrfDecsn',
+    name: 'Disposal of shares of another company (타법인 주식 및 출자증권 양도결정)',
+    category: 'mna',
+    fields: {
+      iscmp_cmpnm: ['issuer_name', 'text'],
+      iscmp_nt: ['issuer_country', 'text'],
+      iscmp_rp: ['issuer_representative', 'text'],
+      iscmp_mbsn: ['issuer_main_business', 'text'],
+      iscmp_rl_cmpn: ['issuer_relationship', 'text'],
+      trfdtl_stkcnt: ['disposed_shares', 'number'],
+      trfdtl_trfprc: ['disposal_price', 'number'],
+      attrf_owstkcnt: ['shares_held_after', 'number'],
+      attrf_eqrt: ['ownership_after', 'text'],
+      trf_pp: ['disposal_purpose', 'text'],
+      trf_prd: ['disposal_date', 'text'],
+      ...TRANSACTION_FIELDS
+    },
+    date: 'board_resolution_date',
+    amounts: ['disposal_price', 'disposed_shares', 'shares_held_after'],
+    counterparties: { issuer_name: 'target', counterparty_name: 'buyer' }
+  },
+  treasury_stock_acquisition: {
+    endpoint: 'tsstkAqDecsn',
+    name: 'Treasury stock acquisition (자기주식 취득 결정)',
+    category: 'treasury_stock',
+    fields: {
+      aqpln_stk_ostk: ['planned_common_shares', 'number'],
+      aqpln_stk_estk: ['planned_other_shares', 'number'],
+      aqpln_prc_ostk: ['planned_amount_common', 'number'],
+      aqpln_prc_estk: ['planned_amount_other', 'number'],
+      aqexpd_bgd: ['acquisition_period_start', 'date'],
+      aqexpd_edd: ['acquisition_period_end', 'date'],
+      hdexpd_bgd: ['holding_period_start', 'date'],
+      hdexpd_edd: ['holding_period_end', 'date'],
+      aq_pp: ['acquisition_purpose', 'text'],
+      aq_mth: ['acquisition_method', 'text'],
+      cs_iv_bk: ['broker', 'text'],
+      aq_dd: ['decision_date', 'date']
+    },
+    date: 'decision_date',
+    amounts: ['planned_common_shares', 'planned_other_shares', 'planned_amount_common', 'planned_amount_other'],
+    counterparties: { broker: 'broker' }
+  },
+  treasury_stock_disposal: {
+    endpoint: 'tsstkDpDecsn',
+    name: 'Treasury stock disposal (자기주식 처분 결정)',
+    category: 'treasury_stock',
+    fields: {
+      dppln_stk_ostk: ['planned_common_shares', 'number'],
+      dppln_stk_estk: ['planned_other_shares', 'number'],
+      dpstk_prc_ostk: ['price_per_common_share', 'number'],
+      dpstk_prc_estk: ['price_per_other_share', 'number'],
+      dppln_prc_ostk: ['planned_amount_common', 'number'],
+      dppln_prc_estk: ['planned_amount_other', 'number'],
+      dpprpd_bgd: ['disposal_period_start', 'date'],
+      dpprpd_edd: ['disposal_period_end', 'date'],
+      dp_pp: ['disposal_purpose', 'text'],
+      dp_m_mkt: ['disposal_on_market', 'number'],
+      dp_m_ovtm: ['disposal_after_hours', 'number'],
+      dp_m_otc: ['disposal_over_the_counter', 'number'],
+      dp_m_etc: ['disposal_other', 'number'],
+      cs_iv_bk: ['broker', 'text'],
+      dp_dd: ['decision_date', 'date']
+    },
+    date: 'decision_date',
+    amounts: ['planned_common_shares', 'planned_other_shares', 'planned_amount_common', 'planned_amount_other'],
+    counterparties: { broker: 'broker' }
+  },
+  treasury_stock_trust: {
+    endpoint: 'tsstkAqTrctrCnsDecsn',
+    name: 'Treasury stock trust contract (자기주식취득 신탁계약 체결 결정)',
+    category: 'treasury_stock',
+    fields: {
+      ctr_prc: ['contract_amount', 'number'],
+      ctr_pd_bgd: ['contract_period_start', 'date'],
+      ctr_pd_edd: ['contract_period_end', 'date'],
+      ctr_pp: ['contract_purpose', 'text'],
+      ctr_cns_int: ['contract_institution', 'text'],
+      ctr_cns_prd: ['contract_date', 'date'],
+      cs_iv_bk: ['broker', 'text'],
+      bddd: ['board_resolution_date', 'date']
+    },
+    date: 'board_resolution_date',
+    amounts: ['contract_amount'],
+    counterparties: { contract_institution: 'trustee', broker: 'broker' }
+  },
+  default: {
+    endpoint: 'dfOcr',
+    name: 'Default (부도발생)',
+    category: 'distress',
+    fields: {
+      df_cn: ['default_description', 'text'],
+      df_amt: ['default_amount', 'number'],
+      df_bnk: ['bank', 'text'],
+      dfd: ['default_date', 'date'],
+      df_rs: ['default_reason', 'text']
+    },
+    date: 'default_date',
+    amounts: ['default_amount'],
+    counterparties: { bank: 'bank' }
+  },
+  business_suspension: {
+    endpoint: 'bsnSp',
+    name: 'Business suspension (영업정지)',
+    category: 'distress',
+    fields: {
+      bsnsp_rm: ['suspended_business', 'text'],
+      bsnsp_amt: ['suspended_revenue', 'number'],
+      rsl: ['revenue_last_year', 'number'],
+      sl_vs: ['suspended_revenue_ratio', 'text'],
+      ls_atn: ['major_business', 'text'],
+      krx_stt_atn: ['exchange_disclosure', 'text'],
+      bsnsp_cn: ['suspension_description', 'text'],
+      bsnsp_rs: ['suspension_reason', 'text'],
+      ft_ctp: ['outlook', 'text'],
+      bsnsp_af: ['suspension_effect', 'text'],
+      bsnspd: ['suspension_date', 'date'],
+      bddd: ['board_resolution_date', 'date']
+    },
+    date: 'suspension_date',
+    amounts: ['suspended_revenue', 'revenue_last_year'],
+    counterparties: {}
+  },
+  rehabilitation: {
+    endpoint: 'ctrcvsBgrq',
+    name: 'Rehabilitation filing (회생절차 개시신청)',
+    category: 'distress',
+    fields: {
+      apcnt: ['applicant', 'text'],
+      cpct: ['court', 'text'],
+      rq_rs: ['filing_reason', 'text'],
+      rqd: ['filing_date', 'date'],
+      ft_ctp_sc: ['outlook', 'text']
+    },
+    date: 'filing_date',
+    amounts: [],
+    counterparties: { applicant: 'applicant', court: 'court' }
+  },
+  dissolution: {
+    endpoint: 'dsRsOcr',
+    name: 'Cause of dissolution (해산사유 발생)',
+    category: 'distress',
+    fields: {
+      ds_rs: ['dissolution_reason', 'text'],
+      ds_rsd: ['dissolution_date', 'date'],
+      ds_rs_cn: ['dissolution_description', 'text']
+    },
+    date: 'dissolution_date',
+    amounts: [],
+    counterparties: {}
+  }
+};
+
+const MATERIAL_EVENT_CATEGORIES = ['financing', 'mna', 'treasury_stock', 'distress'];
+
+/**
+ * Resolve requested event types (names, categories or DART endpoints) to event definitions
+ */
+function resolveMaterialEvents(eventTypes) {
+  // A single type may be given as a string
+  const requestedTypes = Array.isArray(eventTypes) ? eventTypes : [eventTypes];
+  if (!eventTypes || requestedTypes.length === 0) return Object.entries(MATERIAL_EVENTS);
+
+  const selected = new Map();
+  for (const requested of requestedTypes) {
+    const key = String(requested).toLowerCase();
+    const matches = Object.entries(MATERIAL_EVENTS).filter(([type, definition]) =>
+      type === key || definition.category === key || definition.endpoint.toLowerCase() === key);
+
+    if (matches.length === 0) {
+      throw new Error(`Unknown event type "${requested}". Available: ${Object.keys(MATERIAL_EVENTS).join(', ')} ` +
+        `or categories ${MATERIAL_EVENT_CATEGORIES.join(', ')}`);
+    }
+    matches.forEach(([type, definition]) => selected.set(type, definition));
+  }
+
+  return [...selected.entries()];
+}
+
+/**
+ * Normalize a material event row: decision date, amounts and counterparties, with all fields under details
+ */
+function normalizeMaterialEvent(type, definition, row) {
+  const details = mapReportItemRow(row, definition.fields);
+  const receiptNumber = details.receipt_number || null;
+  const receiptDate = receiptNumber ? parseDartDate(receiptNumber.substring(0, 8)) : null;
+
+  const amounts = {};
+  for (const name of definition.amounts) {
+    if (details[name] !== null && details[name] !== undefined) amounts[name] = details[name];
+  }
+
+  const counterparties = Object.entries(definition.counterparties)
+    .filter(([name]) => details[name])
+    .map(([name, role]) => ({ role, name: details[name] }));
+
+  return {
+    event_type: type,
+    category: definition.category,
+    name: definition.name,
+    corp_name: details.corp_name || null,
+    receipt_number: receiptNumber,
+    receipt_date: receiptDate,
+    decision_date: details[definition.date] || receiptDate,
+    amounts,
+    counterparties,
+    details,
+    viewer_url: receiptNumber ? `https://dart.fss.or.kr/dsaf001/main.do?rcpNo=${receiptNumber}` : null
+  };
+}
+
+/**
+ * Get material event reports (주요사항보고서) of a company as structured events
+ * Each event type is a separate DART endpoint; failures of single endpoints are reported, not thrown.
+ * @param {string} corpCode - Corporate code
+ * @param {Object} options - Options (startDate, endDate (default: past year), eventTypes: event types,
+ *   categories (financing, mna, treasury_stock, distress) or DART endpoints (default: all))
+ * @returns {Promise<Object>} Events, newest decision first, with counts by type
+ */
+export async function getMaterialEvents(corpCode, options = {}) {
+  const { startDate, endDate, eventTypes = null } = options;
+
+  try {
+    const selected = resolveMaterialEvents(eventTypes);
+
+    const start = startDate ? startDate.replace(/-/g, '') : new Date(Date.now() - 365 * 24 * 60 * 60 * 1000).toISOString().split('T')[0].replace(/-/g, '');
+    const end = endDate ? endDate.replace(/-/g, '') : new Date().toISOString().split('T')[0].replace(/-/g, '');
+
+    const events = [];
+    const errors = [];
+
+    for (const [type, definition] of selected) {
+      try {
+        const response = await axios.get(`${DART_API_BASE}/${definition.endpoint}.json`, {
+          params: {
+            crtfc_key: DART_API_KEY,
+            corp_code: corpCode,
+            bgn_de: start,
+            end_de: end
+          },
+          timeout: 15000
+        });
+
+        if (response.data.status === NO_DATA_STATUS) continue;
+        if (response.data.status !== '000') {
+          throw new Error(`DART API error: ${response.data.message}`);
+        }
+
+        for (const row of response.data.list || []) {
+          events.push(normalizeMaterialEvent(type, definition, row));
+        }
+      } catch (error) {
+        errors.push({ event_type: type, endpoint: definition.endpoint, error: error.message });
+      }
+    }
+
+    // An invalid key or exhausted quota fails every endpoint
+    if (errors.length === selected.length) {
+      throw new Error(errors[0].error);
+    }
+
+    events.sort((a, b) =>
+      (b.decision_date || '').localeCompare(a.decision_date || '') ||
+      (b.receipt_number || '').localeCompare(a.receipt_number || ''));
+
+    const byType = {};
+    for (const event of events) {
+      byType[event.event_type] = (byType[event.event_type] || 0) + 1;
+    }
+
+    return {
+      corp_code: corpCode,
+      start_date: parseDartDate(start),
+      end_date: parseDartDate(end),
+      event_types: selected.map(([type]) => type),
+      events,
+      total_events: events.length,
+      by_type: byType,
+      ...(errors.length > 0 && { errors }),
+      source: 'DART Open API'
+    };
+
+  } catch (error) {
+    throw new Error(`Failed to get material events: ${error.message}`);
+  }
+}
+
 /**
  * Filter filings by criteria
  * @param {Array} filings - Array of filings
@@ -386,12 +1853,21 @@ export function filterFilings(filings, filters = {}) {
 
 export default {
   searchCompanies,
+  normalizeStatementBasis,
   getCompanyByCorpCode,
   getCompanyFilings,
   getFinancialStatements,
+  getFilingXBRLFacts,
   getMajorShareholders,
+  getInsiderOwnership,
+  getOwnershipHistory,
   getExecutiveInfo,
+  getExecutiveHistory,
   getDividendInfo,
+  REPORT_ITEMS,
+  getReportItem,
+  MATERIAL_EVENTS,
+  getMaterialEvents,
   filterFilings,
   getDimensionalFacts
 };
@@ -0,0 +1,318 @@
+import axios from 'axios';
+import fs from 'fs/promises';
+import { storePath, readJSON, writeJSON } from './local-store.js';
+import { isZip, readZipEntries, decodeText } from './archive-utils.js';
+
+/**
+ * DART corporation code list (corpCode.xml) - every entity registered with DART
+ *
+ * The list (~100k entities) is published as a ZIP containing CORPCODE.xml.
+ * It is downloaded once, stored locally and refreshed when older than CORP_CODE_MAX_AGE_MS.
+ * A manually downloaded ZIP or XML can be used instead via DART_CORP_CODE_PATH.
+ */
+
+const DART_API_BASE = 'https://opendart.fss.or.kr/api';
+const DART_API_KEY = process.env.DART_API_KEY || '';
+const CORP_CODE_PATH = process.env.DART_CORP_CODE_PATH || '';
+const CORP_CODE_FILE = storePath('dart', 'corpcodes', 'corp-codes.json');
+const CORP_CODE_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Minimum bigram (Dice) similarity for a fuzzy name match
+const FUZZY_THRESHOLD = 0.6;
+
+// Legal-form words ignored when matching names
+const LEGAL_FORMS_KO = /주식회사|\(주\)|㈜|유한회사|\(유\)|유한책임회사|합자회사|합명회사/g;
+const LEGAL_FORMS_EN = /\b(co[.,\s]*ltd\.?|company,?\s*limited|corporation|corp\.?|incorporated|inc\.?|limited|ltd\.?)(?![a-z])/g;
+
+let corpCodes = null;
+
+// Normalized names of the loaded list, built once per list
+let searchIndex = null;
+
+/**
+ * Parse CORPCODE.xml into company records
+ * The file is large, so <list> entries are read with a pattern instead of a DOM parser
+ * @param {string} xmlText - CORPCODE.xml content
+ * @returns {Array<Object>} Companies (corp_code, name, name_eng, stock_code, listed, modify_date)
+ */
+export function parseCorpCodeXML(xmlText) {
+  const field = (block, tag) => {
+    const match = block.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+    return match ? match[1].trim() : '';
+  };
+
+  const companies = [];
+  for (const match of xmlText.matchAll(/<list>([\s\S]*?)<\/list>/g)) {
+    const block = match[1];
+    const stockCode = field(block, 'stock_code');
+
+    companies.push({
+      corp_code: field(block, 'corp_code'),
+      name: field(block, 'corp_name') || null,
+      name_eng: field(block, 'corp_eng_name') || null,
+      stock_code: stockCode || null,
+      listed: stockCode !== '',
+      modify_date: field(block, 'modify_date') || null
+    });
+  }
+
+  return companies.filter(company => company.corp_code);
+}
+
+/**
+ * Extract CORPCODE.xml from the ZIP (or pass XML data through)
+ */
+function corpCodeText(buffer) {
+  if (isZip(buffer)) {
+    const entry = readZipEntries(buffer).find(e => e.name.toLowerCase().endsWith('.xml'));
+    if (!entry) {
+      throw new Error('DART corpCode ZIP contains no XML file');
+    }
+    return decodeText(entry.getData(), 'utf-8');
+  }
+
+  // Errors (invalid key, request limit) come back as a small XML/JSON status message
+  const text = decodeText(buffer, 'utf-8');
+  const status = text.match(/<status>(\d+)<\/status>|"status"\s*:\s*"(\d+)"/);
+  if (status && !text.includes('<list>')) {
+    const message = text.match(/<message>([^<]*)<\/message>|"message"\s*:\s*"([^"]*)"/);
+    throw new Error(`DART API error ${status[1] || status[2]}: ${message ? message[1] || message[2] : 'unknown'}`);
+  }
+  return text;
+}
+
+/**
+ * Download (or read from DART_CORP_CODE_PATH) and store the corporation code list
+ */
+async function refreshCorpCodes() {
+  let buffer;
+  let origin;
+
+  if (CORP_CODE_PATH) {
+    buffer = await fs.readFile(CORP_CODE_PATH);
+    origin = CORP_CODE_PATH;
+  } else {
+    if (!DART_API_KEY) {
+      throw new Error('DART API key is required to download corpCode.xml. Please set DART_API_KEY environment variable.');
+    }
+
+    const response = await axios.get(`${DART_API_BASE}/corpCode.xml`, {
+      params: { crtfc_key: DART_API_KEY },
+      responseType: 'arraybuffer',
+      timeout: 120000
+    });
+    buffer = Buffer.from(response.data);
+    origin = `${DART_API_BASE}/corpCode.xml`;
+  }
+
+  const stored = {
+    downloaded_at: new Date().toISOString(),
+    origin,
+    companies: parseCorpCodeXML(corpCodeText(buffer))
+  };
+
+  await writeJSON(CORP_CODE_FILE, stored);
+  return stored;
+}
+
+/**
+ * Load the corporation code list, refreshing it when missing or stale
+ * @param {Object} options - Options (refresh: force a new download)
+ * @returns {Promise<Object>} Stored corporation code list
+ */
+export async function loadCorpCodes(options = {}) {
+  const { refresh = false } = options;
+
+  if (!corpCodes) {
+    corpCodes = await readJSON(CORP_CODE_FILE);
+  }
+
+  const stale = !corpCodes || Date.now() - Date.parse(corpCodes.downloaded_at) > CORP_CODE_MAX_AGE_MS;
+
+  if (refresh || stale) {
+    try {
+      corpCodes = await refreshCorpCodes();
+    } catch (error) {
+      // Keep serving a stale copy when the download fails
+      if (!corpCodes) {
+        throw new Error(`DART corporation code list unavailable: ${error.message}`);
+      }
+    }
+  }
+
+  return corpCodes;
+}
+
+/**
+ * Normalize Korean/English company names for matching (width, case, legal form, spacing)
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+export function normalizeKoreanName(text) {
+  if (!text) return '';
+
+  return text
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(LEGAL_FORMS_KO, '')
+    .replace(LEGAL_FORMS_EN, '')
+    .replace(/[\s·.,'’&\-‐()（）]/g, '');
+}
+
+/**
+ * Normalized names of every company in a list (cached for the loaded list)
+ */
+function namesIndex(list) {
+  if (!searchIndex || searchIndex.list !== list) {
+    searchIndex = {
+      list,
+      names: list.companies.map(company => ({
+        name: normalizeKoreanName(company.name),
+        nameEng: normalizeKoreanName(company.name_eng)
+      }))
+    };
+  }
+  return searchIndex.names;
+}
+
+/**
+ * Character bigrams of a normalized name
+ * Hangul syllables are decomposed into jamo first, so a single wrong vowel or final
+ * consonant (삼성젼자 for 삼성전자) still shares most bigrams
+ */
+function bigrams(text) {
+  text = text.normalize('NFD');
+  const grams = [];
+  for (let i = 0; i < text.length - 1; i++) {
+    grams.push(text.substring(i, i + 2));
+  }
+  return grams;
+}
+
+/**
+ * Dice similarity of two normalized names (0..1), for misspelled or partial queries
+ */
+function similarity(a, queryGrams) {
+  if (queryGrams.length === 0 || a.length < 2) return 0;
+
+  // Cheap length check first: the Dice score cannot reach the threshold for very different lengths
+  const length = a.normalize('NFD').length - 1;
+  if (2 * Math.min(length, queryGrams.length) / (length + queryGrams.length) < FUZZY_THRESHOLD) return 0;
+
+  const grams = bigrams(a);
+  const pool = [...queryGrams];
+  let shared = 0;
+  for (const gram of grams) {
+    const index = pool.indexOf(gram);
+    if (index !== -1) {
+      shared++;
+      pool.splice(index, 1);
+    }
+  }
+
+  return (2 * shared) / (grams.length + queryGrams.length);
+}
+
+/**
+ * Score how well a name matches a normalized query
+ */
+function scoreName(normalized, normalizedQuery, queryGrams, weights) {
+  if (!normalized || !normalizedQuery) return 0;
+
+  if (normalized === normalizedQuery) return weights.exact;
+  if (normalized.startsWith(normalizedQuery)) return weights.prefix;
+  if (normalized.includes(normalizedQuery)) return weights.contains;
+
+  const fuzzy = similarity(normalized, queryGrams);
+  return fuzzy >= FUZZY_THRESHOLD ? Math.round(weights.fuzzy * fuzzy) : 0;
+}
+
+/**
+ * Score a company against a query
+ * @returns {Object|null} Score and matched field, or null when not matching
+ */
+function scoreCompany(company, names, query, normalizedQuery, queryGrams) {
+  const code = query.replace(/\s/g, '').normalize('NFKC');
+  const candidates = [];
+
+  if (/^\d{8}$/.test(code) && company.corp_code === code) {
+    candidates.push({ score: 100, field: 'corp_code' });
+  }
+  if (/^[0-9A-Z]{6}$/i.test(code) && company.stock_code && company.stock_code.toUpperCase() === code.toUpperCase()) {
+    candidates.push({ score: 100, field: 'stock_code' });
+  }
+
+  candidates.push({ score: scoreName(names.name, normalizedQuery, queryGrams, { exact: 95, prefix: 80, contains: 60, fuzzy: 50 }), field: 'name' });
+  candidates.push({ score: scoreName(names.nameEng, normalizedQuery, queryGrams, { exact: 90, prefix: 75, contains: 55, fuzzy: 45 }), field: 'name_eng' });
+
+  const best = candidates.reduce((a, b) => (b.score > a.score ? b : a));
+  return best.score > 0 ? best : null;
+}
+
+/**
+ * Search the corporation code list
+ * Matches Korean and English names (exact, prefix, substring, then fuzzy), corp codes and stock codes
+ * @param {string} query - Search text
+ * @param {Object} options - Options (limit, listedOnly)
+ * @returns {Promise<Object>} Ranked matches
+ */
+export async function searchCorpCodes(query, options = {}) {
+  const { limit = 10, listedOnly = false } = options;
+  const list = await loadCorpCodes();
+  const names = namesIndex(list);
+  const normalizedQuery = normalizeKoreanName(query);
+  const queryGrams = bigrams(normalizedQuery);
+
+  const matches = [];
+  for (let i = 0; i < list.companies.length; i++) {
+    const company = list.companies[i];
+    if (listedOnly && !company.listed) continue;
+
+    const match = scoreCompany(company, names[i], query, normalizedQuery, queryGrams);
+    if (match) {
+      matches.push({ ...company, match_score: match.score, matched_field: match.field });
+    }
+  }
+
+  // Best score first, listed companies and shorter names break ties
+  matches.sort((a, b) =>
+    b.match_score - a.match_score ||
+    Number(b.listed) - Number(a.listed) ||
+    (a.name || '').length - (b.name || '').length);
+
+  return {
+    companies: matches.slice(0, limit),
+    total_matches: matches.length,
+    downloaded_at: list.downloaded_at
+  };
+}
+
+/**
+ * Look up one company in the corporation code list
+ * @param {string} corpCode - DART corporation code (8 digits)
+ * @returns {Promise<Object|null>} Company record or null
+ */
+export async function getCorpCodeEntry(corpCode) {
+  const list = await loadCorpCodes();
+  return list.companies.find(company => company.corp_code === corpCode) || null;
+}
+
+/**
+ * Resolve a KRX stock code to its company
+ * @param {string} stockCode - 6 character stock code
+ * @returns {Promise<Object|null>} Company record or null
+ */
+export async function findByStockCode(stockCode) {
+  const list = await loadCorpCodes();
+  const code = String(stockCode).normalize('NFKC').trim().toUpperCase();
+  return list.companies.find(company => company.stock_code && company.stock_code.toUpperCase() === code) || null;
+}
+
+export default {
+  loadCorpCodes,
+  parseCorpCodeXML,
+  normalizeKoreanName,
+  searchCorpCodes,
+  getCorpCodeEntry,
+  findByStockCode
+};
@@ -0,0 +1,321 @@
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+import { storePath, readBuffer, writeBuffer } from './local-store.js';
+import { isZip, readZipEntries, decodeText } from './archive-utils.js';
+
+/**
+ * DART report text (document.xml)
+ *
+ * The original report is published as a ZIP of DART XML files (dart4.xsd markup): the main
+ * document ({rcept_no}.xml) and attached documents such as audit reports ({rcept_no}_00760.xml).
+ * Reports are split into nested SECTION-1/SECTION-2/SECTION-3 elements, each opened by a TITLE,
+ * containing P paragraphs and TABLE elements whose cells are TD, TH, TE or TU.
+ */
+
+const DART_API_BASE = 'https://opendart.fss.or.kr/api';
+const DART_API_KEY = process.env.DART_API_KEY || '';
+
+// Elements rendered as separate blocks
+const BLOCK_ELEMENTS = new Set(['P', 'TITLE', 'TABLE', 'TABLE-GROUP', 'LIBRARY', 'COVER', 'COVER-TITLE', 'BODY', 'PART', 'IMAGE']);
+const CELL_ELEMENTS = new Set(['TD', 'TH', 'TE', 'TU']);
+const SECTION_PATTERN = /^SECTION-(\d+)$/;
+
+/**
+ * Download the document ZIP of a report (cached in the local store)
+ * @param {string} receiptNumber - Receipt number (rcept_no)
+ * @returns {Promise<Object>} ZIP buffer and whether it came from the store
+ */
+async function downloadDocumentPackage(receiptNumber) {
+  const cacheFile = storePath('dart', 'documents', `${receiptNumber}.zip`);
+
+  const cached = await readBuffer(cacheFile);
+  if (cached) {
+    return { buffer: cached, from_cache: true };
+  }
+
+  if (!DART_API_KEY) {
+    throw new Error('DART API key is required. Please set DART_API_KEY environment variable.');
+  }
+
+  const response = await axios.get(`${DART_API_BASE}/document.xml`, {
+    params: {
+      crtfc_key: DART_API_KEY,
+      rcept_no: receiptNumber
+    },
+    responseType: 'arraybuffer',
+    timeout: 60000
+  });
+
+  const buffer = Buffer.from(response.data);
+
+  // Errors (unknown receipt number, request limit) come back as an XML status message
+  if (!isZip(buffer)) {
+    const message = decodeText(buffer, 'utf-8').match(/<message>([^<]*)<\/message>/)?.[1];
+    throw new Error(`DART API error: ${message || 'document not available'}`);
+  }
+
+  await writeBuffer(cacheFile, buffer);
+  return { buffer, from_cache: false };
+}
+
+/**
+ * Decode a DART XML file (UTF-8, older reports EUC-KR as declared in the XML declaration)
+ */
+function decodeDocument(buffer) {
+  const head = buffer.subarray(0, 200).toString('latin1');
+  const encoding = (head.match(/encoding=["']([^"']+)["']/i) || [])[1] || 'utf-8';
+
+  try {
+    return decodeText(buffer, encoding.toLowerCase());
+  } catch (error) {
+    return decodeText(buffer, 'utf-8');
+  }
+}
+
+/**
+ * Collapse the whitespace of inline text (&cr; marks line breaks inside DART cells)
+ */
+function cleanText(text) {
+  return text
+    .replace(/&cr;/gi, ' ')
+    .replace(/[\s 　]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Normalize a section title for matching ("II. 사업의 내용" -> "사업의내용")
+ */
+function titleKey(title) {
+  return (title || '')
+    .normalize('NFKC')
+    .replace(/^\s*([IVXLC]+|\d+(-\d+)*|[가-하])[.)]\s*/i, '')
+    .replace(/[\s·.,()]/g, '')
+    .toLowerCase();
+}
+
+/**
+ * Render a table as text (tab-separated) or markdown
+ */
+function renderTable($, table, format) {
+  const rows = [];
+  $(table).find('TR').each((i, tr) => {
+    const cells = [];
+    $(tr).children().each((j, cell) => {
+      if (!CELL_ELEMENTS.has(cell.name)) return;
+      const text = cleanText($(cell).text());
+      const span = Number($(cell).attr('COLSPAN') || $(cell).attr('colspan')) || 1;
+      cells.push(text);
+      for (let k = 1; k < span; k++) cells.push('');
+    });
+    if (cells.some(cell => cell !== '')) rows.push(cells);
+  });
+
+  if (rows.length === 0) return '';
+
+  if (format !== 'markdown') {
+    return rows.map(cells => cells.join('\t')).join('\n');
+  }
+
+  const width = Math.max(...rows.map(cells => cells.length));
+  const line = cells => `| ${[...cells, ...Array(width - cells.length).fill('')].map(cell => cell.replace(/\|/g, '\\|')).join(' | ')} |`;
+  return [line(rows[0]), `|${' --- |'.repeat(width)}`, ...rows.slice(1).map(line)].join('\n');
+}
+
+/**
+ * Render an element and its content as text or markdown
+ * @param {Object} $ - Cheerio document
+ * @param {Object} elem - Element
+ * @param {string} format - 'text' or 'markdown'
+ * @returns {string} Rendered content
+ */
+function renderElement($, elem, format) {
+  const blocks = [];
+  let inline = '';
+
+  const flush = () => {
+    const text = cleanText(inline);
+    if (text) blocks.push(text);
+    inline = '';
+  };
+
+  const visit = node => {
+    if (node.type === 'text') {
+      inline += node.data;
+      return;
+    }
+    if (node.type !== 'tag') return;
+
+    const name = node.name;
+    const section = name.match(SECTION_PATTERN);
+
+    if (name === 'TITLE') {
+      flush();
+      const title = cleanText($(node).text());
+      const level = Number(node.parent?.name?.match(SECTION_PATTERN)?.[1] || 0);
+      if (title) blocks.push(format === 'markdown' ? `${'#'.repeat(Math.min(level + 1, 6))} ${title}` : title);
+    } else if (name === 'TABLE') {
+      flush();
+      const table = renderTable($, node, format);
+      if (table) blocks.push(table);
+    } else if (name === 'PGBRK' || name === 'IMAGE') {
+      flush();
+    } else if (section || BLOCK_ELEMENTS.has(name)) {
+      flush();
+      (node.children || []).forEach(visit);
+      flush();
+    } else {
+      (node.children || []).forEach(visit);
+    }
+  };
+
+  visit(elem);
+  flush();
+  return blocks.join('\n\n');
+}
+
+/**
+ * Parse a DART XML document into its sections
+ * @param {string} xml - DART XML (dart4.xsd)
+ * @returns {Object} Document name, company, cheerio document and sections ({ id, level, title, path, element })
+ */
+export function parseDartDocument(xml) {
+  const $ = cheerio.load(xml, {
+    xmlMode: true,
+    decodeEntities: true
+  });
+
+  const sections = [];
+
+  // Number the sections below an element; sections may be wrapped in containers (BODY, LIBRARY, ...)
+  const collect = (parent, prefix, path) => {
+    let index = 0;
+
+    const visit = node => {
+      for (const child of $(node).children().toArray()) {
+        const match = child.name.match(SECTION_PATTERN);
+        if (match) {
+          index++;
+          const id = prefix ? `${prefix}.${index}` : String(index);
+          const title = cleanText($(child).children('TITLE').first().text()) || null;
+          sections.push({ id, level: Number(match[1]), title, path: [...path, title], element: child });
+          collect(child, id, [...path, title]);
+        } else if (child.name !== 'TABLE') {
+          visit(child);
+        }
+      }
+    };
+
+    visit(parent);
+  };
+
+  collect($.root(), '', []);
+
+  return {
+    name: cleanText($('DOCUMENT-NAME').first().text()) || null,
+    company: cleanText($('COMPANY-NAME').first().text()) || null,
+    $,
+    sections
+  };
+}
+
+/**
+ * Find the sections matching the requested ids or titles
+ * Titles match without numbering and spacing ("사업의 내용" matches "II. 사업의 내용");
+ * subsections of an already matched section are not repeated
+ */
+function selectSections(sections, selectors) {
+  const keys = selectors.map(selector => String(selector));
+  const matched = sections.filter(section =>
+    keys.some(key => key === section.id || (titleKey(key) && titleKey(section.title).includes(titleKey(key)))));
+
+  return matched.filter(section =>
+    !matched.some(other => other !== section && section.id.startsWith(`${other.id}.`)));
+}
+
+/**
+ * Get the text of a DART report (document.xml)
+ * Returns the files of the document package and the table of contents of the selected file;
+ * requested sections are returned as text or markdown.
+ * @param {string} receiptNumber - Receipt number (rcept_no, 14 digits)
+ * @param {Object} options - Options (sections: ids or titles, file: file name or index (default main document),
+ *   format: 'text' | 'markdown' | 'raw', maxChars)
+ * @returns {Promise<Object>} Files, table of contents and section contents
+ */
+export async function getFilingDocument(receiptNumber, options = {}) {
+  const { sections: selectors = [], file = null, format = 'text', maxChars = 50000 } = options;
+
+  try {
+    const download = await downloadDocumentPackage(receiptNumber);
+    const entries = readZipEntries(download.buffer).filter(entry => /\.xml$/i.test(entry.name));
+    if (entries.length === 0) {
+      throw new Error('Document package contains no DART XML file');
+    }
+
+    // Main document first, then attachments
+    entries.sort((a, b) => a.name.length - b.name.length || a.name.localeCompare(b.name));
+
+    const entry = file === null || file === undefined
+      ? entries[0]
+      : entries.find(e => e.name === String(file)) ||
+        (/^\d+$/.test(String(file)) && Number(file) < entries.length ? entries[Number(file)] : null) ||
+        entries.find(e => e.name.includes(String(file)));
+    if (!entry) {
+      throw new Error(`File ${file} not found in document package`);
+    }
+
+    const xml = decodeDocument(entry.getData());
+    const document = parseDartDocument(xml);
+
+    const files = entries.map((e, index) => ({
+      index,
+      name: e.name,
+      size: e.size,
+      main: index === 0
+    }));
+
+    const result = {
+      receipt_number: receiptNumber,
+      file: entry.name,
+      document_name: document.name,
+      company_name: document.company,
+      files,
+      toc: document.sections.map(section => ({ id: section.id, level: section.level, title: section.title })),
+      total_sections: document.sections.length,
+      from_cache: download.from_cache,
+      viewer_url: `https://dart.fss.or.kr/dsaf001/main.do?rcpNo=${receiptNumber}`,
+      source: 'DART Open API (document.xml)'
+    };
+
+    if (selectors.length > 0) {
+      const selected = selectSections(document.sections, selectors);
+
+      result.sections = selected.map(section => {
+        const content = format === 'raw'
+          ? document.$.xml(section.element)
+          : renderElement(document.$, section.element, format);
+
+        return {
+          id: section.id,
+          title: section.title,
+          path: section.path,
+          format,
+          length: content.length,
+          truncated: content.length > maxChars,
+          content: content.substring(0, maxChars)
+        };
+      });
+      result.sections_not_found = selectors.filter(selector =>
+        !selectSections(document.sections, [selector]).length);
+    }
+
+    return result;
+
+  } catch (error) {
+    throw new Error(`Failed to get DART filing document: ${error.message}`);
+  }
+}
+
+export default {
+  parseDartDocument,
+  getFilingDocument
+};
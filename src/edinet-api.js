@@ -1,5 +1,17 @@
 import axios from 'axios';
+import * as cheerio from 'cheerio';
+import fs from 'fs/promises';
+import path from 'path';
 import * as xbrlParser from './xbrl-parser.js';
+import * as edinetIndex from './edinet-index.js';
+import * as edinetCodeList from './edinet-code-list.js';
+import * as edinetTaxonomy from './edinet-taxonomy.js';
+import * as edinetStatements from './edinet-statements.js';
+import * as edinetLargeHoldings from './edinet-large-holdings.js';
+import * as edinetDocTypes from './edinet-doc-types.js';
+import * as filingChains from './filing-chains.js';
+import { storePath, readBuffer, writeBuffer } from './local-store.js';
+import { isZip, readZipEntries, decodeText } from './archive-utils.js';
 
 const EDINET_API_BASE = 'https://disclosure.edinet-fsa.go.jp/api/v2';
 
@@ -7,76 +19,75 @@ const EDINET_API_BASE = 'https://disclosure.edinet-fsa.go.jp/api/v2';
 const EDINET_API_KEY = process.env.EDINET_API_KEY || '';
 
 /**
- * Search for Japanese companies by name
- * @param {string} query - Company name to search (Japanese or English)
- * @param {Object} options - Search options
- * @returns {Promise<Object>} Search results
+ * Search for Japanese companies across the full EDINET code list
+ * Matches Japanese name, kana, English name, securities code, JCN and industry;
+ * falls back to filers in the local document index when the code list is unavailable.
+ * @param {string} query - Company name, kana, English name or code
+ * @param {Object} options - Search options (limit, listedOnly, industry)
+ * @returns {Promise<Object>} Search results ranked by match quality
  */
 export async function searchCompanies(query, options = {}) {
-  const { limit = 10, date } = options;
+  const { limit = 10, listedOnly = false, industry } = options;
 
   try {
-    // Get recent filings and search within them for company name
-    const searchDate = date || new Date().toISOString().split('T')[0];
+    let results;
 
-    const response = await axios.get(`${EDINET_API_BASE}/documents.json`, {
-      params: {
-        date: searchDate.replace(/-/g, ''),
-        type: 2, // Type 2: Metadata only
-      },
-      headers: {
-        'Subscription-Key': EDINET_API_KEY
-      },
-      timeout: 15000
-    });
-
-    if (!response.data || !response.data.results) {
+    try {
+      results = await edinetCodeList.searchCodeList(query, { limit, listedOnly, industry });
+    } catch (error) {
+      const filers = await edinetIndex.findFilers(query, { limit });
       return {
         query,
-        companies: [],
-        total_found: 0,
+        companies: filers.map(filer => ({
+          name: filer.name,
+          edinet_code: filer.edinet_code,
+          sec_code: filer.sec_code || null,
+          jcn: filer.jcn || null
+        })),
+        total_found: filers.length,
         country: 'JP',
-        source: 'EDINET API',
-        note: 'No results found for the specified date'
+        source: 'EDINET API (local document index)',
+        note: `EDINET code list unavailable (${error.message}); searched filers seen in indexed document lists only`
       };
     }
 
-    // Filter results by company name
-    const queryLower = query.toLowerCase();
-    const matchingCompanies = response.data.results
-      .filter(doc => {
-        const name = (doc.filerName || '').toLowerCase();
-        return name.includes(queryLower);
-      })
-      .slice(0, limit)
-      .map(doc => ({
-        name: doc.filerName,
-        edinet_code: doc.edinetCode,
-        sec_code: doc.secCode || null,
-        jcn: doc.JCN || null,
-        recent_filing: {
+    const companies = [];
+    for (const company of results.companies) {
+      const doc = await edinetIndex.getLatestDocument(company.edinet_code);
+
+      companies.push({
+        name: company.name,
+        name_en: company.name_en,
+        name_kana: company.name_kana,
+        edinet_code: company.edinet_code,
+        sec_code: company.sec_code,
+        jcn: company.jcn,
+        industry: company.industry,
+        listed: company.listed,
+        fiscal_year_end: company.fiscal_year_end,
+        match_score: company.match_score,
+        matched_field: company.matched_field,
+        recent_filing: doc ? {
           document_id: doc.docID,
           document_type: doc.docTypeCode,
           document_description: doc.docDescription,
           period_start: doc.periodStart,
           period_end: doc.periodEnd,
           submit_date: doc.submitDateTime
-        }
-      }));
+        } : null
+      });
+    }
 
     return {
       query,
-      companies: matchingCompanies,
-      total_found: matchingCompanies.length,
+      companies,
+      total_found: results.total_matches,
       country: 'JP',
-      source: 'EDINET API',
-      date_searched: searchDate
+      source: 'EDINET code list',
+      code_list_date: results.list_date
     };
 
   } catch (error) {
-    if (error.response?.status === 401) {
-      throw new Error('EDINET API key is required. Please set EDINET_API_KEY environment variable.');
-    }
     throw new Error(`EDINET company search failed: ${error.message}`);
   }
 }
@@ -98,17 +109,25 @@ export async function getCompanyByEdinetCode(edinetCode) {
       limit: 1
     });
 
-    if (!filings.filings || filings.filings.length === 0) {
+    // Fall back to older documents already in the local index
+    const indexedDoc = filings.filings.length === 0 ? await edinetIndex.getLatestDocument(edinetCode) : null;
+
+    if (filings.filings.length === 0 && !indexedDoc) {
       throw new Error(`No filings found for EDINET code: ${edinetCode}`);
     }
 
-    const latestFiling = filings.filings[0];
+    const latestFiling = filings.filings[0] || formatFiling(indexedDoc);
+    const entry = await edinetCodeList.getCodeListEntry(edinetCode).catch(() => null);
 
     return {
       edinet_code: edinetCode,
       name: latestFiling.filer_name,
+      name_en: entry?.name_en || null,
       sec_code: latestFiling.sec_code,
       jcn: latestFiling.jcn,
+      industry: entry?.industry || null,
+      listed: entry ? entry.listed : null,
+      fiscal_year_end: entry?.fiscal_year_end || null,
       latest_filing: {
         document_id: latestFiling.document_id,
         submit_date: latestFiling.submit_date,
@@ -124,81 +143,147 @@ export async function getCompanyByEdinetCode(edinetCode) {
 }
 
 /**
- * Get company filings by EDINET code
+ * Document type fields of a raw EDINET document list entry (names, category, ordinance and form)
+ */
+function documentTypeFields(doc) {
+  const type = edinetDocTypes.describeDocumentType(doc);
+
+  return {
+    document_type_name: type.name,
+    document_type_name_en: type.name_en,
+    document_category: type.category,
+    amendment: type.amendment,
+    ordinance: type.ordinance,
+    form: type.form
+  };
+}
+
+/**
+ * Correction fields of a raw EDINET document list entry
+ * withdrawalStatus: 1 withdrawal notice (取下書), 2 withdrawn document; disclosureStatus: 1 disclosure
+ * stopped, 2 not disclosed, 3 disclosure resumed; docInfoEditStatus: 1 or 2 when FSA staff edited
+ * the document information
+ */
+function correctionFields(doc) {
+  return {
+    parent_document_id: doc.parentDocID || null,
+    withdrawn: doc.withdrawalStatus === '2',
+    withdrawal_notice: doc.withdrawalStatus === '1',
+    not_disclosed: doc.disclosureStatus === '1' || doc.disclosureStatus === '2',
+    info_edited: doc.docInfoEditStatus === '1' || doc.docInfoEditStatus === '2'
+  };
+}
+
+/**
+ * Format a raw EDINET document list entry as a filing
+ * @param {Object} doc - Raw documents.json result
+ * @returns {Object} Filing
+ */
+function formatFiling(doc) {
+  return {
+    document_id: doc.docID,
+    edinet_code: doc.edinetCode,
+    sec_code: doc.secCode,
+    jcn: doc.JCN,
+    filer_name: doc.filerName,
+    document_type: doc.docTypeCode,
+    ...documentTypeFields(doc),
+    document_description: doc.docDescription,
+    period_start: doc.periodStart,
+    period_end: doc.periodEnd,
+    submit_date: doc.submitDateTime,
+    ...(doc.issuerEdinetCode && { issuer_edinet_code: doc.issuerEdinetCode }),
+    ...correctionFields(doc),
+    xbrl_flag: doc.xbrlFlag === '1',
+    pdf_flag: doc.pdfFlag === '1',
+    urls: {
+      document: `${EDINET_API_BASE}/documents/${doc.docID}`,
+      viewer: `https://disclosure.edinet-fsa.go.jp/EKW0EZ0001.html?docID=${doc.docID}`
+    }
+  };
+}
+
+/**
+ * Link EDINET filings into amendment chains
+ * A document is listed again on the day it is withdrawn or its information is edited; the newest
+ * listing is kept. Amendments point to the document they correct (parentDocID), so a chain is keyed
+ * by the original document; withdrawal notices belong to no chain.
+ * @param {Array<Object>} filings - Formatted filings, newest listing first
+ * @returns {Array<Object>} Unique filings (newest first) with their amendment_chain
+ */
+function linkFilingChains(filings) {
+  const byId = new Map();
+  for (const filing of filings) {
+    if (!byId.has(filing.document_id)) byId.set(filing.document_id, filing);
+  }
+
+  const unique = [...byId.values()]
+    .sort((a, b) => (b.submit_date || '').localeCompare(a.submit_date || ''));
+
+  // A withdrawal notice found before the withdrawn document was listed again
+  for (const filing of unique) {
+    const parent = filing.withdrawal_notice && byId.get(filing.parent_document_id);
+    if (parent) parent.withdrawn = true;
+  }
+
+  const originalOf = filing => {
+    const seen = new Set();
+    let id = filing.document_id;
+    let parentId = filing.parent_document_id;
+    while (parentId && !seen.has(parentId)) {
+      seen.add(parentId);
+      id = parentId;
+      parentId = byId.get(parentId)?.parent_document_id;
+    }
+    return id;
+  };
+
+  return filingChains.linkAmendmentChains(unique, {
+    id: filing => filing.document_id,
+    chainKey: filing => (filing.withdrawal_notice ? null : originalOf(filing)),
+    date: filing => filing.submit_date,
+    effective: filing => !filing.withdrawn && !filing.not_disclosed
+  });
+}
+
+/**
+ * Get company filings by EDINET code (newest first)
+ * Answered from the local document index; only missing or still-changing days are fetched.
+ * Filings are linked into amendment chains (the original and its 訂正 documents); with latestOnly
+ * each chain is resolved to its latest version that was not withdrawn.
  * @param {string} edinetCode - EDINET code
- * @param {Object} options - Options (startDate, endDate, limit)
+ * @param {Object} options - Options (startDate, endDate, limit, documentTypes: categories such as
+ *   annual_report or quarterly_report, 'amendment', or docTypeCodes, latestOnly)
  * @returns {Promise<Object>} Filings list
  */
 export async function getCompanyFilings(edinetCode, options = {}) {
-  const { startDate, endDate, limit = 100 } = options;
+  const { startDate, endDate, limit = 100, documentTypes = null, latestOnly = false } = options;
 
   try {
     const start = startDate ? new Date(startDate) : new Date(Date.now() - 365 * 24 * 60 * 60 * 1000);
     const end = endDate ? new Date(endDate) : new Date();
+    const docTypeCode = edinetDocTypes.resolveDocumentTypes(documentTypes);
 
-    const allFilings = [];
-
-    // Iterate through dates to find filings for this company
-    const currentDate = new Date(start);
-
-    while (currentDate <= end && allFilings.length < limit) {
-      const dateStr = currentDate.toISOString().split('T')[0].replace(/-/g, '');
-
-      try {
-        const response = await axios.get(`${EDINET_API_BASE}/documents.json`, {
-          params: {
-            date: dateStr,
-            type: 2
-          },
-          headers: {
-            'Subscription-Key': EDINET_API_KEY
-          },
-          timeout: 15000
-        });
-
-        if (response.data?.results) {
-          const companyFilings = response.data.results
-            .filter(doc => doc.edinetCode === edinetCode)
-            .map(doc => ({
-              document_id: doc.docID,
-              edinet_code: doc.edinetCode,
-              sec_code: doc.secCode,
-              jcn: doc.JCN,
-              filer_name: doc.filerName,
-              document_type: doc.docTypeCode,
-              document_description: doc.docDescription,
-              period_start: doc.periodStart,
-              period_end: doc.periodEnd,
-              submit_date: doc.submitDateTime,
-              xbrl_flag: doc.xbrlFlag === '1',
-              pdf_flag: doc.pdfFlag === '1',
-              urls: {
-                document: `${EDINET_API_BASE}/documents/${doc.docID}`,
-                viewer: `https://disclosure.edinet-fsa.go.jp/EKW0EZ0001.html?docID=${doc.docID}`
-              }
-            }));
-
-          allFilings.push(...companyFilings);
-        }
-      } catch (error) {
-        // Skip dates with errors
-      }
-
-      // Move to next date
-      currentDate.setDate(currentDate.getDate() + 1);
+    // Read extra documents when superseded and withdrawn versions are dropped
+    const result = await edinetIndex.findDocuments({ edinetCode, docTypeCode }, {
+      startDate: start.toISOString().split('T')[0],
+      endDate: end.toISOString().split('T')[0],
+      limit: latestOnly ? limit * 2 + 10 : limit
+    });
 
-      // Rate limiting
-      await new Promise(resolve => setTimeout(resolve, 200));
-    }
+    const linked = linkFilingChains(result.documents.map(formatFiling));
+    const allFilings = (latestOnly ? filingChains.latestVersions(linked) : linked).slice(0, limit);
 
     return {
       edinet_code: edinetCode,
-      filings: allFilings.slice(0, limit),
+      filings: allFilings,
       total_found: allFilings.length,
-      date_range: {
-        start: start.toISOString().split('T')[0],
-        end: end.toISOString().split('T')[0]
-      },
+      ...(docTypeCode && { document_types: docTypeCode }),
+      latest_only: latestOnly,
+      withdrawn_count: linked.filter(filing => filing.withdrawn).length,
+      superseded_count: linked.filter(filing => filing.amendment_chain && !filing.amendment_chain.is_latest && !filing.withdrawn).length,
+      date_range: result.date_range,
+      index: result.index,
       source: 'EDINET API'
     };
 
@@ -207,30 +292,254 @@ export async function getCompanyFilings(edinetCode, options = {}) {
   }
 }
 
+// EDINET API v2 download types (documents/{docID}?type=N)
+const DOCUMENT_TYPES = {
+  '1': 'submission', // 提出本文書及び監査報告書 (ZIP, includes XBRL)
+  '2': 'pdf',
+  '3': 'attachments', // 代替書面・添付文書 (ZIP)
+  '4': 'english', // 英文ファイル (ZIP)
+  '5': 'csv' // XBRL to CSV (ZIP of UTF-16 tab-separated files)
+};
+
+// Members whose content can be returned as text
+const TEXT_MEMBER_PATTERN = /\.(htm|html|xml|xbrl|xsd|txt|csv)$/i;
+
+/**
+ * Classify a member of an EDINET filing package by its path
+ * @param {string} name - Member path inside the ZIP
+ * @returns {Object} Section (PublicDoc, AuditDoc, AttachDoc, ...) and category
+ */
+function classifyPackageMember(name) {
+  const lower = name.toLowerCase();
+  const section = (name.match(/(PublicDoc|AuditDoc|AttachDoc)/i) || [])[1] || null;
+
+  let category = 'other';
+  if (lower.endsWith('_ixbrl.htm')) category = 'inline_xbrl';
+  else if (/\.html?$/.test(lower)) category = 'html';
+  else if (lower.endsWith('.xbrl')) category = 'xbrl_instance';
+  else if (/_lab(-[a-z]+)?\.xml$/.test(lower)) category = 'label_linkbase';
+  else if (lower.endsWith('_cal.xml')) category = 'calculation_linkbase';
+  else if (lower.endsWith('_pre.xml')) category = 'presentation_linkbase';
+  else if (lower.endsWith('_def.xml')) category = 'definition_linkbase';
+  else if (lower.endsWith('.xsd')) category = 'schema';
+  else if (/manifest.*\.xml$/.test(lower)) category = 'manifest';
+  else if (lower.endsWith('.csv')) category = 'csv';
+  else if (lower.endsWith('.pdf')) category = 'pdf';
+  else if (/\.(jpe?g|gif|png)$/.test(lower)) category = 'image';
+
+  if (section === 'AttachDoc' && category !== 'image') category = 'attachment';
+
+  return { section, category };
+}
+
+/**
+ * Download a filing document as binary data (cached in the local store)
+ * @param {string} docId - Document ID
+ * @param {string} type - Download type
+ * @returns {Promise<Object>} Buffer and content type
+ */
+async function downloadDocument(docId, type) {
+  const extension = type === '2' ? 'pdf' : 'zip';
+  const cacheFile = storePath('edinet', 'packages', `${docId}_${type}.${extension}`);
+
+  const cached = await readBuffer(cacheFile);
+  if (cached) {
+    return {
+      buffer: cached,
+      content_type: type === '2' ? 'application/pdf' : 'application/octet-stream',
+      from_cache: true
+    };
+  }
+
+  const response = await axios.get(`${EDINET_API_BASE}/documents/${docId}`, {
+    params: { type },
+    headers: {
+      'Subscription-Key': EDINET_API_KEY
+    },
+    responseType: 'arraybuffer',
+    timeout: 60000
+  });
+
+  const buffer = Buffer.from(response.data);
+  const contentType = response.headers['content-type'] || '';
+
+  // Errors (unknown document, no such type) come back as JSON with HTTP 200
+  if (contentType.includes('application/json')) {
+    const body = JSON.parse(buffer.toString('utf8'));
+    throw new Error(body.metadata?.message || body.message || 'Document not available');
+  }
+
+  await writeBuffer(cacheFile, buffer);
+
+  return {
+    buffer,
+    content_type: contentType,
+    from_cache: false
+  };
+}
+
 /**
- * Get filing document (download)
+ * Load a filing ZIP package with classified members
  * @param {string} docId - Document ID
- * @param {string} type - Document type (1: submission, 2: PDF, 3: attachments, 4: XBRL)
+ * @param {string} type - Download type (1, 3, 4 or 5)
+ * @returns {Promise<Object>} Package with members and a reader for member text
+ */
+async function loadFilingPackage(docId, type = '1') {
+  const download = await downloadDocument(docId, type);
+
+  if (!isZip(download.buffer)) {
+    throw new Error(`Document ${docId} (type ${type}) is not a ZIP package`);
+  }
+
+  const entries = readZipEntries(download.buffer);
+  const members = entries.map(entry => ({
+    name: entry.name,
+    size: entry.size,
+    ...classifyPackageMember(entry.name)
+  }));
+
+  return {
+    document_id: docId,
+    type,
+    content_type: download.content_type,
+    from_cache: download.from_cache,
+    members,
+    readBuffer: (name) => entries.find(entry => entry.name === name)?.getData() || null,
+    readText: (name) => {
+      const entry = entries.find(e => e.name === name);
+      return entry ? decodeText(entry.getData(), 'utf-8') : null;
+    }
+  };
+}
+
+/**
+ * Check whether a member matches one of the requested selectors
+ * Selectors are exact paths, file names, categories or substrings (with * wildcards)
+ */
+function matchesMemberSelector(member, selectors) {
+  const name = member.name.toLowerCase();
+  const baseName = name.split('/').pop();
+
+  return selectors.some(selector => {
+    const pattern = String(selector).toLowerCase();
+    if (pattern === name || pattern === baseName || pattern === member.category) return true;
+    if (pattern.includes('*')) {
+      const regex = new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+      return regex.test(name) || regex.test(baseName);
+    }
+    return name.includes(pattern);
+  });
+}
+
+/**
+ * Convert an HTML member to readable text
+ */
+function htmlToText(html) {
+  const $ = cheerio.load(html);
+  $('script, style').remove();
+  $('br').replaceWith('\n');
+  $('p, div, tr, h1, h2, h3, h4, h5, h6, li').each((i, elem) => {
+    $(elem).append('\n');
+  });
+  $('td, th').each((i, elem) => {
+    $(elem).append('\t');
+  });
+
+  return $('body').text()
+    .replace(/[ \t　]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Get filing document (download and unpack)
+ * ZIP packages (types 1, 3, 4, 5) are extracted: members are listed, and selected members
+ * can be returned as text or written to a local directory.
+ * @param {string} docId - Document ID
+ * @param {string} type - Document type (1: submission, 2: PDF, 3: attachments, 4: English, 5: CSV)
+ * @param {Object} options - Options (members, outputDir, format: 'text'|'raw', maxChars)
  * @returns {Promise<Object>} Document data
  */
-export async function getFilingDocument(docId, type = '1') {
+export async function getFilingDocument(docId, type = '1', options = {}) {
+  const { members: selectors = [], outputDir, format = 'text', maxChars = 50000 } = options;
+
   try {
-    const response = await axios.get(`${EDINET_API_BASE}/documents/${docId}`, {
-      params: { type },
-      headers: {
-        'Subscription-Key': EDINET_API_KEY
-      },
-      responseType: type === '4' ? 'arraybuffer' : 'stream',
-      timeout: 30000
-    });
+    if (type === '2') {
+      const download = await downloadDocument(docId, type);
+      let savedTo = null;
+
+      if (outputDir) {
+        savedTo = path.resolve(outputDir, `${docId}.pdf`);
+        await fs.mkdir(path.dirname(savedTo), { recursive: true });
+        await fs.writeFile(savedTo, download.buffer);
+      }
 
-    return {
+      return {
+        document_id: docId,
+        type: DOCUMENT_TYPES[type],
+        content_type: download.content_type,
+        size: download.buffer.length,
+        saved_to: savedTo
+      };
+    }
+
+    const pkg = await loadFilingPackage(docId, type);
+    const selected = selectors.length > 0
+      ? pkg.members.filter(member => matchesMemberSelector(member, selectors))
+      : [];
+
+    const result = {
       document_id: docId,
-      type: type === '1' ? 'submission' : type === '2' ? 'pdf' : type === '3' ? 'attachments' : 'xbrl',
-      data: response.data,
-      content_type: response.headers['content-type']
+      type: DOCUMENT_TYPES[type] || type,
+      content_type: pkg.content_type,
+      total_members: pkg.members.length,
+      members: pkg.members,
+      members_by_category: pkg.members.reduce((acc, member) => {
+        acc[member.category] = (acc[member.category] || 0) + 1;
+        return acc;
+      }, {})
     };
 
+    if (selected.length > 0) {
+      result.contents = selected.map(member => {
+        if (!TEXT_MEMBER_PATTERN.test(member.name)) {
+          return { name: member.name, category: member.category, note: 'Binary member, content not displayed' };
+        }
+
+        const raw = pkg.readText(member.name);
+        const text = format === 'text' && /\.html?$/i.test(member.name) ? htmlToText(raw) : raw;
+
+        return {
+          name: member.name,
+          category: member.category,
+          length: text.length,
+          truncated: text.length > maxChars,
+          content: text.substring(0, maxChars)
+        };
+      });
+    }
+
+    if (outputDir) {
+      const targetDir = path.resolve(outputDir, docId);
+      const toSave = selected.length > 0 ? selected : pkg.members;
+      const saved = [];
+
+      for (const member of toSave) {
+        const target = path.resolve(targetDir, member.name);
+        // Never write outside the target directory
+        if (!target.startsWith(targetDir + path.sep)) continue;
+
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.writeFile(target, pkg.readBuffer(member.name));
+        saved.push(target);
+      }
+
+      result.saved_to = targetDir;
+      result.saved_files = saved.length;
+    }
+
+    return result;
+
   } catch (error) {
     throw new Error(`Failed to download document: ${error.message}`);
   }
@@ -239,47 +548,38 @@ export async function getFilingDocument(docId, type = '1') {
 /**
  * Get documents list for a specific date
  * @param {string} date - Date in YYYY-MM-DD format
+ * @param {Object} options - Options (documentTypes: categories, 'amendment' or docTypeCodes)
  * @returns {Promise<Object>} Documents list
  */
-export async function getDocumentsByDate(date) {
-  try {
-    const dateStr = date.replace(/-/g, '');
+export async function getDocumentsByDate(date, options = {}) {
+  const { documentTypes = null } = options;
 
-    const response = await axios.get(`${EDINET_API_BASE}/documents.json`, {
-      params: {
-        date: dateStr,
-        type: 2
-      },
-      headers: {
-        'Subscription-Key': EDINET_API_KEY
-      },
-      timeout: 15000
-    });
-
-    if (!response.data || !response.data.results) {
-      return {
-        date,
-        documents: [],
-        total_count: 0,
-        source: 'EDINET API'
-      };
-    }
+  try {
+    const docTypeCode = edinetDocTypes.resolveDocumentTypes(documentTypes);
+    const day = await edinetIndex.getDay(date);
+    const results = docTypeCode ? day.results.filter(doc => docTypeCode.includes(doc.docTypeCode)) : day.results;
 
     return {
       date,
-      documents: response.data.results.map(doc => ({
+      documents: results.map(doc => ({
         document_id: doc.docID,
         edinet_code: doc.edinetCode,
         sec_code: doc.secCode,
         filer_name: doc.filerName,
         document_type: doc.docTypeCode,
+        ...documentTypeFields(doc),
         document_description: doc.docDescription,
         period_start: doc.periodStart,
         period_end: doc.periodEnd,
         submit_date: doc.submitDateTime,
+        ...(doc.issuerEdinetCode && { issuer_edinet_code: doc.issuerEdinetCode }),
+        ...correctionFields(doc),
         xbrl_flag: doc.xbrlFlag === '1'
       })),
-      total_count: response.data.metadata?.resultset?.count || response.data.results.length,
+      total_count: day.count,
+      ...(docTypeCode && { matching_count: results.length, document_types: docTypeCode }),
+      from_index: day.from_index,
+      fetched_at: day.fetched_at,
       source: 'EDINET API'
     };
 
@@ -291,29 +591,129 @@ export async function getDocumentsByDate(date) {
   }
 }
 
+/**
+ * Parse the facts of a loaded filing package from its XBRL instance or inline XBRL files
+ * @param {Object} pkg - Filing package (loadFilingPackage)
+ * @param {Object} options - Options (source: auto, instance or inline; includeNonNumeric)
+ * @returns {Object} Parsed facts and contexts, and the files they were parsed from
+ */
+function parsePackageFacts(pkg, options = {}) {
+  const { source = 'auto', includeNonNumeric = false } = options;
+  const publicMembers = pkg.members.filter(member => member.section === 'PublicDoc');
+  const instance = publicMembers.find(member => member.category === 'xbrl_instance');
+  const inlineFiles = publicMembers.filter(member => member.category === 'inline_xbrl');
+
+  if (instance && source !== 'inline') {
+    return {
+      parsed: xbrlParser.parseXBRLInstance(pkg.readText(instance.name), { includeNonNumeric }),
+      parsedFrom: { source: 'xbrl_instance', files: [instance.name] }
+    };
+  }
+
+  if (inlineFiles.length > 0 && source !== 'instance') {
+    // Parse the files as one document set so the shared ix:header and continuations resolve
+    return {
+      parsed: xbrlParser.parseIXBRLDocumentSet(
+        inlineFiles.map(member => ({ name: member.name, content: pkg.readText(member.name) })),
+        { includeNonNumeric }),
+      parsedFrom: { source: 'inline_xbrl', files: inlineFiles.map(member => member.name) }
+    };
+  }
+
+  throw new Error(`No ${source === 'auto' ? 'XBRL' : source} data found in filing package`);
+}
+
+/**
+ * Load the Japanese and English labels of a filing
+ * Extension elements are labelled from the filing's own label linkbases, standard elements
+ * from the EDINET taxonomy labels referenced by the filing schema
+ * @param {Object} pkg - Filing package (loadFilingPackage)
+ * @param {Set<string>} prefixes - Namespace prefixes whose standard labels are needed
+ * @returns {Promise<Object>} Labels by concept key, and the label files used and errors
+ */
+async function loadFilingLabels(pkg, prefixes) {
+  const publicMembers = pkg.members.filter(member => member.section === 'PublicDoc');
+  const labelFiles = publicMembers.filter(member => member.category === 'label_linkbase');
+  const schemaTexts = publicMembers
+    .filter(member => member.category === 'schema')
+    .map(member => pkg.readText(member.name));
+
+  const standard = await edinetTaxonomy.loadStandardLabels(schemaTexts, { prefixes });
+
+  // Filing labels last, so they override the standard labels for the same concept
+  const labels = xbrlParser.mergeLabels(
+    standard.labels,
+    ...labelFiles.map(member => xbrlParser.parseLabelLinkbase(pkg.readText(member.name))));
+
+  return {
+    labels,
+    sources: {
+      filing_files: labelFiles.map(member => member.name),
+      standard_files: standard.sources,
+      errors: standard.errors
+    }
+  };
+}
+
 /**
  * Get and parse XBRL facts from a filing
+ * The submission package is parsed from its XBRL instance (XBRL/PublicDoc/*.xbrl) when present,
+ * otherwise from the inline XBRL files. With source 'csv' the XBRL-to-CSV download (type 5)
+ * is parsed instead, which includes Japanese labels. parsed_from reports which source was used.
+ * Package facts are labelled from the filing and standard taxonomy label linkbases. With statements,
+ * each package fact lists the primary statements (BS, IS, CIS, CF, SCE) its concept is presented in.
  * @param {string} docId - Document ID
+ * @param {Object} options - Options (source: 'auto' | 'instance' | 'inline' | 'csv', includeNonNumeric, labels, statements)
  * @returns {Promise<Object>} Parsed XBRL facts
  */
-export async function getFilingFacts(docId) {
+export async function getFilingFacts(docId, options = {}) {
+  const { source = 'auto', includeNonNumeric = false, labels = true, statements = false } = options;
+
   try {
-    // Download XBRL document (type 4)
-    const response = await axios.get(`${EDINET_API_BASE}/documents/${docId}`, {
-      params: { type: '4' },
-      headers: {
-        'Subscription-Key': EDINET_API_KEY
-      },
-      responseType: 'text',
-      timeout: 30000
-    });
+    if (source === 'csv') {
+      return await getFilingCSVFacts(docId, { includeNonNumeric });
+    }
 
-    // Parse iXBRL HTML
-    const parsed = xbrlParser.parseIXBRL(response.data);
+    const download = await downloadDocument(docId, '1');
+
+    // Not a package: treat the response as a single inline XBRL document
+    if (!isZip(download.buffer)) {
+      const parsed = xbrlParser.parseIXBRL(decodeText(download.buffer, 'utf-8'), { includeNonNumeric });
+      return {
+        document_id: docId,
+        ...parsed,
+        parsed_from: { source: 'inline_xbrl', files: [] },
+        summary: xbrlParser.buildSummary(parsed.facts)
+      };
+    }
+
+    const pkg = await loadFilingPackage(docId, '1');
+    const publicMembers = pkg.members.filter(member => member.section === 'PublicDoc');
+    const { parsed, parsedFrom } = parsePackageFacts(pkg, { source, includeNonNumeric });
+
+    let labelInfo = null;
+    if (labels) {
+      const filingLabels = await loadFilingLabels(pkg, new Set(parsed.facts.map(fact => fact.namespace)));
+      labelInfo = {
+        ...filingLabels.sources,
+        labelled_facts: xbrlParser.applyLabels(parsed.facts, filingLabels.labels)
+      };
+    }
+
+    const presentationFiles = publicMembers.filter(member => member.category === 'presentation_linkbase');
+    if (statements && presentationFiles.length > 0) {
+      const byConcept = edinetStatements.conceptStatements(presentationFiles.flatMap(member =>
+        xbrlParser.parsePresentationLinkbase(pkg.readText(member.name))));
+      for (const fact of parsed.facts) {
+        fact.statements = byConcept.get(`${fact.namespace}_${fact.concept}`) || [];
+      }
+    }
 
     return {
       document_id: docId,
       ...parsed,
+      parsed_from: parsedFrom,
+      label_sources: labelInfo,
       summary: xbrlParser.buildSummary(parsed.facts)
     };
 
@@ -322,6 +722,140 @@ export async function getFilingFacts(docId) {
   }
 }
 
+/**
+ * Get and parse XBRL facts from the XBRL-to-CSV download (type 5)
+ * @param {string} docId - Document ID
+ * @param {Object} options - Options (includeNonNumeric)
+ * @returns {Promise<Object>} Parsed XBRL facts with Japanese labels
+ */
+export async function getFilingCSVFacts(docId, options = {}) {
+  const { includeNonNumeric = false } = options;
+
+  try {
+    const pkg = await loadFilingPackage(docId, '5');
+
+    // Skip the audit report CSVs (jpaud), keep the filing body
+    const csvFiles = pkg.members
+      .filter(member => member.category === 'csv' && !/jpaud/i.test(member.name))
+      .map(member => ({ name: member.name, content: pkg.readText(member.name) }));
+
+    if (csvFiles.length === 0) {
+      throw new Error('No XBRL CSV files found in type 5 download');
+    }
+
+    const parsed = xbrlParser.parseXBRLCSV(csvFiles, { includeNonNumeric });
+
+    return {
+      document_id: docId,
+      ...parsed,
+      parsed_from: { source: 'xbrl_csv', files: csvFiles.map(file => file.name) },
+      summary: xbrlParser.buildSummary(parsed.facts)
+    };
+
+  } catch (error) {
+    throw new Error(`Failed to get filing CSV facts: ${error.message}`);
+  }
+}
+
+/**
+ * Rebuild the primary financial statements of a filing from its presentation linkbase (_pre.xml)
+ * Balance sheet (BS), income statement (IS), comprehensive income (CIS), cash flows (CF) and
+ * changes in equity (SCE), consolidated (CFS) and non-consolidated (OFS), as ordered line items
+ * with depth, parent, labels and current / prior period values
+ * @param {string} docId - Document ID
+ * @param {Object} options - Options (statements: ['BS', 'IS', ...], basis: 'CFS' | 'OFS' | 'all', source)
+ * @returns {Promise<Object>} Financial statements
+ */
+export async function getFinancialStatements(docId, options = {}) {
+  const { statements = null, basis = 'all', source = 'auto' } = options;
+
+  try {
+    if (source === 'csv') {
+      throw new Error('Statements need the XBRL package (source auto, instance or inline)');
+    }
+
+    const pkg = await loadFilingPackage(docId, '1');
+    const { parsed, parsedFrom } = parsePackageFacts(pkg, { source });
+    const presentationFiles = pkg.members.filter(member =>
+      member.section === 'PublicDoc' && member.category === 'presentation_linkbase');
+
+    if (presentationFiles.length === 0) {
+      throw new Error('No presentation linkbase (_pre.xml) found in filing package');
+    }
+
+    const presentation = presentationFiles.flatMap(member =>
+      xbrlParser.parsePresentationLinkbase(pkg.readText(member.name)));
+
+    // Labels are needed for abstract headings too, not only for concepts with facts
+    const prefixes = new Set(parsed.facts.map(fact => fact.namespace));
+    for (const tree of presentation) {
+      const stack = [...tree.roots];
+      while (stack.length > 0) {
+        const node = stack.pop();
+        prefixes.add(node.concept.substring(0, node.concept.lastIndexOf('_')));
+        stack.push(...node.children);
+      }
+    }
+    const { labels, sources } = await loadFilingLabels(pkg, prefixes);
+
+    const built = edinetStatements.buildFinancialStatements(presentation, parsed.facts, labels, { statements, basis });
+
+    return {
+      document_id: docId,
+      statements: built,
+      total_statements: built.length,
+      available: built.map(statement => `${statement.fs_div}:${statement.statement}`),
+      parsed_from: parsedFrom,
+      presentation_files: presentationFiles.map(member => member.name),
+      label_sources: sources,
+      source: 'EDINET XBRL (presentation linkbase)'
+    };
+
+  } catch (error) {
+    throw new Error(`Failed to get financial statements: ${error.message}`);
+  }
+}
+
+/**
+ * Check a filing's facts against its calculation linkbase (_cal.xml)
+ * Every summation-item relationship is checked in each context that reports the total,
+ * within the rounding tolerance implied by the facts' decimals
+ * @param {string} docId - Document ID
+ * @param {Object} options - Options (source: 'auto' | 'instance' | 'inline', includeConsistent)
+ * @returns {Promise<Object>} Inconsistencies and check summary
+ */
+export async function validateFilingCalculations(docId, options = {}) {
+  const { source = 'auto', includeConsistent = false } = options;
+
+  try {
+    if (source === 'csv') {
+      throw new Error('Calculation checks need the XBRL package (source auto, instance or inline)');
+    }
+
+    const pkg = await loadFilingPackage(docId, '1');
+    const { parsed, parsedFrom } = parsePackageFacts(pkg, { source });
+    const calculationFiles = pkg.members.filter(member =>
+      member.section === 'PublicDoc' && member.category === 'calculation_linkbase');
+
+    if (calculationFiles.length === 0) {
+      throw new Error('No calculation linkbase (_cal.xml) found in filing package');
+    }
+
+    const relationships = calculationFiles.flatMap(member =>
+      xbrlParser.parseCalculationLinkbase(pkg.readText(member.name)));
+
+    return {
+      document_id: docId,
+      parsed_from: parsedFrom,
+      calculation_files: calculationFiles.map(member => member.name),
+      ...xbrlParser.validateCalculations(parsed.facts, relationships, { includeConsistent })
+    };
+
+  } catch (error) {
+    throw new Error(`Failed to validate filing calculations: ${error.message}`);
+  }
+}
+
 /**
  * Get dimensional facts from a filing
  * @param {string} docId - Document ID
@@ -355,6 +889,103 @@ export async function getDimensionalFacts(docId, searchCriteria = {}) {
   }
 }
 
+/**
+ * Resolve a company given by EDINET code or securities code to its EDINET code
+ */
+async function resolveEdinetCode(company) {
+  const value = String(company).normalize('NFKC').trim();
+  if (/^E\d{5}$/i.test(value)) return value.toUpperCase();
+
+  if (/^\d{4,5}$/.test(value)) {
+    const entries = await edinetCodeList.findBySecCode(value).catch(() => []);
+    if (entries.length > 0) return entries[0].edinet_code;
+
+    const filers = await edinetIndex.findFilers(value, { limit: 1 });
+    if (filers.length > 0) return filers[0].edinet_code;
+  }
+
+  throw new Error(`Company ${company} not found (use an EDINET code or securities code)`);
+}
+
+/**
+ * Get the large shareholding reports (大量保有報告書, 変更報告書) naming a company as issuer
+ * Reports are found through the issuer EDINET code of the document index and parsed from their
+ * XBRL; the result is a timeline per holder with holding ratios and changes, joint holders and
+ * the stated purpose of holding. Reports that cannot be parsed are listed under errors.
+ * @param {string} company - EDINET code or securities code of the issuer
+ * @param {Object} options - Options (startDate, endDate, limit: maximum number of reports, default 50)
+ * @returns {Promise<Object>} Holders with their report timelines, and the parsed reports
+ */
+export async function getLargeShareholdings(company, options = {}) {
+  const { startDate, endDate, limit = 50 } = options;
+
+  try {
+    const issuerEdinetCode = await resolveEdinetCode(company);
+    const start = startDate ? new Date(startDate) : new Date(Date.now() - 365 * 24 * 60 * 60 * 1000);
+    const end = endDate ? new Date(endDate) : new Date();
+
+    const found = await edinetIndex.findDocuments({
+      issuerEdinetCode,
+      docTypeCode: Object.keys(edinetLargeHoldings.LARGE_HOLDING_DOC_TYPES)
+    }, {
+      startDate: start.toISOString().split('T')[0],
+      endDate: end.toISOString().split('T')[0],
+      // Read extra documents when re-listed and withdrawn reports are dropped
+      limit: limit * 2 + 10
+    });
+
+    // EDINET lists a document again on the day its status changes (withdrawal, edited information);
+    // days are read newest first, so the first listing of a document is its current status
+    const latestListings = new Map();
+    for (const doc of found.documents) {
+      if (!latestListings.has(doc.docID)) latestListings.set(doc.docID, doc);
+    }
+
+    // Withdrawn reports stay in the document list without content
+    const documents = [...latestListings.values()]
+      .filter(doc => !doc.withdrawalStatus || doc.withdrawalStatus === '0')
+      .slice(0, limit);
+
+    const reports = [];
+    const errors = [];
+
+    for (const doc of documents) {
+      try {
+        const { facts } = await getFilingFacts(doc.docID, { includeNonNumeric: true, labels: false });
+        reports.push({
+          document_id: doc.docID,
+          edinet_code: doc.edinetCode,
+          filer_name: doc.filerName,
+          document_type: doc.docTypeCode,
+          document_description: doc.docDescription,
+          submit_date: doc.submitDateTime,
+          ...edinetLargeHoldings.parseLargeShareholdingFacts(facts)
+        });
+      } catch (error) {
+        errors.push({ document_id: doc.docID, filer_name: doc.filerName, error: error.message });
+      }
+    }
+
+    const holders = edinetLargeHoldings.buildHolderTimelines(reports);
+
+    return {
+      issuer_edinet_code: issuerEdinetCode,
+      issuer_name: reports.find(report => report.issuer_name)?.issuer_name || null,
+      holders,
+      total_holders: holders.length,
+      total_reports: reports.length,
+      date_range: found.date_range,
+      index: found.index,
+      ...(errors.length > 0 && { errors }),
+      note: 'Holding ratios are percentages; a holder is the filer of the report, its joint holders are listed per report',
+      source: 'EDINET API'
+    };
+
+  } catch (error) {
+    throw new Error(`Failed to get large shareholding reports: ${error.message}`);
+  }
+}
+
 export default {
   searchCompanies,
   getCompanyByEdinetCode,
@@ -362,5 +993,9 @@ export default {
   getFilingDocument,
   getDocumentsByDate,
   getFilingFacts,
-  getDimensionalFacts
+  getFilingCSVFacts,
+  getFinancialStatements,
+  validateFilingCalculations,
+  getDimensionalFacts,
+  getLargeShareholdings
 };
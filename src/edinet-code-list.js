@@ -0,0 +1,270 @@
+import axios from 'axios';
+import fs from 'fs/promises';
+import { storePath, readJSON, writeJSON } from './local-store.js';
+import { isZip, readZipEntries, decodeText, parseDelimited } from './archive-utils.js';
+
+/**
+ * EDINET code list (EdinetcodeDlInfo) - every registered EDINET filer
+ *
+ * The official list is published by the FSA as a ZIP containing a Shift_JIS CSV.
+ * It is downloaded once, stored locally and refreshed when older than CODE_LIST_MAX_AGE_MS.
+ * A manually downloaded ZIP or CSV can be used instead via EDINET_CODE_LIST_PATH.
+ */
+
+const CODE_LIST_URL = 'https://disclosure2dl.edinet-fsa.go.jp/searchdocument/codelist/Edinetcode.zip';
+const CODE_LIST_PATH = process.env.EDINET_CODE_LIST_PATH || '';
+const CODE_LIST_FILE = storePath('edinet', 'codelist', 'edinet-codes.json');
+const CODE_LIST_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// CSV header (NFKC-normalized) to company field
+const COLUMN_MAP = {
+  'EDINETコード': 'edinet_code',
+  '提出者種別': 'submitter_type',
+  '上場区分': 'listing',
+  '連結の有無': 'consolidated',
+  '資本金': 'capital',
+  '決算日': 'fiscal_year_end',
+  '提出者名': 'name',
+  '提出者名(英字)': 'name_en',
+  '提出者名(ヨミ)': 'name_kana',
+  '所在地': 'address',
+  '提出者業種': 'industry',
+  '証券コード': 'sec_code',
+  '提出者法人番号': 'jcn'
+};
+
+// Legal-form words ignored when matching names
+const LEGAL_FORMS_JA = /株式会社|\(株\)|有限会社|\(有\)|合同会社|合資会社|合名会社|カブシキガイシャ|カブシキカイシャ|ユウゲンガイシャ/g;
+const LEGAL_FORMS_EN = /\b(co\.?,?\s*ltd\.?|company,?\s*limited|corporation|corp\.?|incorporated|inc\.?|limited|ltd\.?|k\.k\.|kabushiki kaisha)(?![a-z])/g;
+
+let codeList = null;
+
+/**
+ * Parse the EdinetcodeDlInfo CSV into company records
+ * @param {string} csvText - Decoded CSV text
+ * @returns {Object} List date and companies
+ */
+export function parseCodeListCSV(csvText) {
+  const rows = parseDelimited(csvText, ',');
+
+  // First row is download metadata ("ダウンロード実行日,YYYY年MM月DD日現在,件数,...")
+  const headerIndex = rows.findIndex(row => row.some(cell => cell.normalize('NFKC').trim() === 'EDINETコード'));
+  if (headerIndex === -1) {
+    throw new Error('EDINET code list header not found');
+  }
+
+  const header = rows[headerIndex].map(cell => COLUMN_MAP[cell.normalize('NFKC').trim()] || null);
+  const listDate = headerIndex > 0 ? (rows[0][1] || '').trim() : null;
+
+  const companies = rows.slice(headerIndex + 1).map(row => {
+    const company = {};
+    header.forEach((field, i) => {
+      if (field) company[field] = (row[i] || '').trim() || null;
+    });
+
+    company.listed = company.listing === '上場';
+    company.capital = company.capital ? parseFloat(company.capital) : null;
+    return company;
+  }).filter(company => company.edinet_code);
+
+  return { list_date: listDate, companies };
+}
+
+/**
+ * Extract the CSV from a code list ZIP (or pass CSV data through)
+ */
+function codeListText(buffer) {
+  if (isZip(buffer)) {
+    const entry = readZipEntries(buffer).find(e => e.name.toLowerCase().endsWith('.csv'));
+    if (!entry) {
+      throw new Error('EDINET code list ZIP contains no CSV file');
+    }
+    return decodeText(entry.getData(), 'shift_jis');
+  }
+  return decodeText(buffer, 'shift_jis');
+}
+
+/**
+ * Download (or read from EDINET_CODE_LIST_PATH) and store the code list
+ */
+async function refreshCodeList() {
+  let buffer;
+  let origin;
+
+  if (CODE_LIST_PATH) {
+    buffer = await fs.readFile(CODE_LIST_PATH);
+    origin = CODE_LIST_PATH;
+  } else {
+    const response = await axios.get(CODE_LIST_URL, {
+      responseType: 'arraybuffer',
+      timeout: 60000
+    });
+    buffer = Buffer.from(response.data);
+    origin = CODE_LIST_URL;
+  }
+
+  const parsed = parseCodeListCSV(codeListText(buffer));
+  const stored = {
+    downloaded_at: new Date().toISOString(),
+    origin,
+    ...parsed
+  };
+
+  await writeJSON(CODE_LIST_FILE, stored);
+  return stored;
+}
+
+/**
+ * Load the code list, refreshing it when missing or stale
+ * @param {Object} options - Options (refresh: force a new download)
+ * @returns {Promise<Object>} Stored code list
+ */
+export async function loadCodeList(options = {}) {
+  const { refresh = false } = options;
+
+  if (!codeList) {
+    codeList = await readJSON(CODE_LIST_FILE);
+  }
+
+  const stale = !codeList || Date.now() - Date.parse(codeList.downloaded_at) > CODE_LIST_MAX_AGE_MS;
+
+  if (refresh || stale) {
+    try {
+      codeList = await refreshCodeList();
+    } catch (error) {
+      // Keep serving a stale copy when the download fails
+      if (!codeList) {
+        throw new Error(`EDINET code list unavailable: ${error.message}`);
+      }
+    }
+  }
+
+  return codeList;
+}
+
+/**
+ * Normalize Japanese text for matching (full/half width, kana, legal form)
+ * @param {string} text - Text to normalize
+ * @returns {string} Normalized text
+ */
+export function normalizeJapaneseName(text) {
+  if (!text) return '';
+
+  return text
+    .normalize('NFKC')
+    .toLowerCase()
+    // Hiragana to katakana so kana queries match the ヨミ column
+    .replace(/[ぁ-ゖ]/g, char => String.fromCharCode(char.charCodeAt(0) + 0x60))
+    .replace(LEGAL_FORMS_JA, '')
+    .replace(LEGAL_FORMS_EN, '')
+    .replace(/[\s・.,'’&\-‐()（）「」]/g, '');
+}
+
+/**
+ * Score how well a field matches a normalized query
+ */
+function scoreField(value, normalizedQuery, weights) {
+  const normalized = normalizeJapaneseName(value);
+  if (!normalized || !normalizedQuery) return 0;
+
+  if (normalized === normalizedQuery) return weights.exact;
+  if (normalized.startsWith(normalizedQuery)) return weights.prefix;
+  if (normalized.includes(normalizedQuery)) return weights.contains;
+  return 0;
+}
+
+/**
+ * Score a company against a query
+ * @returns {Object|null} Score and matched field, or null when not matching
+ */
+function scoreCompany(company, query, normalizedQuery) {
+  const digits = query.replace(/\s/g, '').normalize('NFKC');
+  const candidates = [];
+
+  if (company.edinet_code && company.edinet_code.toLowerCase() === digits.toLowerCase()) {
+    candidates.push({ score: 100, field: 'edinet_code' });
+  }
+  if (/^\d{4,5}$/.test(digits) && company.sec_code &&
+      company.sec_code.substring(0, 4) === digits.substring(0, 4)) {
+    candidates.push({ score: 100, field: 'sec_code' });
+  }
+  if (/^\d{13}$/.test(digits) && company.jcn === digits) {
+    candidates.push({ score: 100, field: 'jcn' });
+  }
+
+  candidates.push({ score: scoreField(company.name, normalizedQuery, { exact: 95, prefix: 80, contains: 60 }), field: 'name' });
+  candidates.push({ score: scoreField(company.name_kana, normalizedQuery, { exact: 90, prefix: 75, contains: 55 }), field: 'name_kana' });
+  candidates.push({ score: scoreField(company.name_en, normalizedQuery, { exact: 90, prefix: 75, contains: 55 }), field: 'name_en' });
+  candidates.push({ score: scoreField(company.industry, normalizedQuery, { exact: 35, prefix: 30, contains: 25 }), field: 'industry' });
+
+  const best = candidates.reduce((a, b) => (b.score > a.score ? b : a));
+  return best.score > 0 ? best : null;
+}
+
+/**
+ * Search the EDINET code list
+ * Matches Japanese name, kana reading, English name, securities code, JCN, EDINET code and industry
+ * @param {string} query - Search text
+ * @param {Object} options - Options (limit, listedOnly, industry)
+ * @returns {Promise<Object>} Ranked matches
+ */
+export async function searchCodeList(query, options = {}) {
+  const { limit = 10, listedOnly = false, industry } = options;
+  const list = await loadCodeList();
+  const normalizedQuery = normalizeJapaneseName(query);
+  const normalizedIndustry = industry ? normalizeJapaneseName(industry) : null;
+
+  const matches = [];
+  for (const company of list.companies) {
+    if (listedOnly && !company.listed) continue;
+    if (normalizedIndustry && !normalizeJapaneseName(company.industry).includes(normalizedIndustry)) continue;
+
+    const match = scoreCompany(company, query, normalizedQuery);
+    if (match) {
+      matches.push({ ...company, match_score: match.score, matched_field: match.field });
+    }
+  }
+
+  // Best score first, listed companies and shorter names break ties
+  matches.sort((a, b) =>
+    b.match_score - a.match_score ||
+    Number(b.listed) - Number(a.listed) ||
+    (a.name || '').length - (b.name || '').length);
+
+  return {
+    companies: matches.slice(0, limit),
+    total_matches: matches.length,
+    list_date: list.list_date,
+    downloaded_at: list.downloaded_at
+  };
+}
+
+/**
+ * Look up one company in the code list
+ * @param {string} edinetCode - EDINET code
+ * @returns {Promise<Object|null>} Company record or null
+ */
+export async function getCodeListEntry(edinetCode) {
+  const list = await loadCodeList();
+  return list.companies.find(company => company.edinet_code === edinetCode) || null;
+}
+
+/**
+ * Resolve a securities code to code list entries
+ * @param {string} secCode - 4 or 5 digit securities code
+ * @returns {Promise<Array>} Matching company records
+ */
+export async function findBySecCode(secCode) {
+  const list = await loadCodeList();
+  const code = String(secCode).normalize('NFKC').replace(/\D/g, '').substring(0, 4);
+  return list.companies.filter(company => company.sec_code && company.sec_code.substring(0, 4) === code);
+}
+
+export default {
+  loadCodeList,
+  parseCodeListCSV,
+  normalizeJapaneseName,
+  searchCodeList,
+  getCodeListEntry,
+  findBySecCode
+};
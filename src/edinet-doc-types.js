@@ -0,0 +1,131 @@
+/**
+ * EDINET document type catalogue
+ *
+ * Every document in the EDINET document list carries a docTypeCode (the kind of document),
+ * an ordinanceCode (the Cabinet Office Ordinance it is filed under) and a formCode (the form
+ * of that ordinance). Document types are grouped into categories for filtering; amendments
+ * (訂正...) belong to the category of the document they amend.
+ */
+
+// docTypeCode: Japanese name, English name, category, amendment
+export const DOCUMENT_TYPES = {
+  '010': { ja: '有価証券通知書', en: 'Securities notification', category: 'securities_registration' },
+  '020': { ja: '変更通知書（有価証券通知書）', en: 'Amended securities notification', category: 'securities_registration', amendment: true },
+  '030': { ja: '有価証券届出書', en: 'Securities registration statement', category: 'securities_registration' },
+  '040': { ja: '訂正有価証券届出書', en: 'Amended securities registration statement', category: 'securities_registration', amendment: true },
+  '050': { ja: '届出の取下げ願い', en: 'Withdrawal of registration', category: 'securities_registration' },
+  '060': { ja: '発行登録通知書', en: 'Shelf registration notification', category: 'securities_registration' },
+  '070': { ja: '変更通知書（発行登録通知書）', en: 'Amended shelf registration notification', category: 'securities_registration', amendment: true },
+  '080': { ja: '発行登録書', en: 'Shelf registration statement', category: 'securities_registration' },
+  '090': { ja: '訂正発行登録書', en: 'Amended shelf registration statement', category: 'securities_registration', amendment: true },
+  '100': { ja: '発行登録追補書類', en: 'Shelf registration supplement', category: 'securities_registration' },
+  '110': { ja: '発行登録取下届出書', en: 'Withdrawal of shelf registration', category: 'securities_registration' },
+  '120': { ja: '有価証券報告書', en: 'Annual securities report', category: 'annual_report' },
+  '130': { ja: '訂正有価証券報告書', en: 'Amended annual securities report', category: 'annual_report', amendment: true },
+  '135': { ja: '確認書', en: 'Confirmation letter', category: 'confirmation' },
+  '136': { ja: '訂正確認書', en: 'Amended confirmation letter', category: 'confirmation', amendment: true },
+  '140': { ja: '四半期報告書', en: 'Quarterly report', category: 'quarterly_report' },
+  '150': { ja: '訂正四半期報告書', en: 'Amended quarterly report', category: 'quarterly_report', amendment: true },
+  '160': { ja: '半期報告書', en: 'Semi-annual report', category: 'semiannual_report' },
+  '170': { ja: '訂正半期報告書', en: 'Amended semi-annual report', category: 'semiannual_report', amendment: true },
+  '180': { ja: '臨時報告書', en: 'Extraordinary report', category: 'extraordinary_report' },
+  '190': { ja: '訂正臨時報告書', en: 'Amended extraordinary report', category: 'extraordinary_report', amendment: true },
+  '200': { ja: '親会社等状況報告書', en: 'Parent company status report', category: 'parent_company_report' },
+  '210': { ja: '訂正親会社等状況報告書', en: 'Amended parent company status report', category: 'parent_company_report', amendment: true },
+  '220': { ja: '自己株券買付状況報告書', en: 'Share buyback status report', category: 'share_buyback_report' },
+  '230': { ja: '訂正自己株券買付状況報告書', en: 'Amended share buyback status report', category: 'share_buyback_report', amendment: true },
+  '235': { ja: '内部統制報告書', en: 'Internal control report', category: 'internal_control_report' },
+  '236': { ja: '訂正内部統制報告書', en: 'Amended internal control report', category: 'internal_control_report', amendment: true },
+  '240': { ja: '公開買付届出書', en: 'Tender offer registration statement', category: 'tender_offer' },
+  '250': { ja: '訂正公開買付届出書', en: 'Amended tender offer registration statement', category: 'tender_offer', amendment: true },
+  '260': { ja: '公開買付撤回届出書', en: 'Tender offer withdrawal', category: 'tender_offer' },
+  '270': { ja: '公開買付報告書', en: 'Tender offer report', category: 'tender_offer' },
+  '280': { ja: '訂正公開買付報告書', en: 'Amended tender offer report', category: 'tender_offer', amendment: true },
+  '290': { ja: '意見表明報告書', en: 'Position statement (target company)', category: 'tender_offer' },
+  '300': { ja: '訂正意見表明報告書', en: 'Amended position statement', category: 'tender_offer', amendment: true },
+  '310': { ja: '対質問回答報告書', en: 'Response to questions report', category: 'tender_offer' },
+  '320': { ja: '訂正対質問回答報告書', en: 'Amended response to questions report', category: 'tender_offer', amendment: true },
+  '330': { ja: '別途買付け禁止の特例を受けるための申出書', en: 'Application for exemption from the ban on separate purchases', category: 'tender_offer' },
+  '340': { ja: '訂正別途買付け禁止の特例を受けるための申出書', en: 'Amended application for exemption from the ban on separate purchases', category: 'tender_offer', amendment: true },
+  '350': { ja: '大量保有報告書', en: 'Large shareholding report', category: 'large_shareholding' },
+  '360': { ja: '訂正大量保有報告書', en: 'Amended large shareholding report', category: 'large_shareholding', amendment: true },
+  '370': { ja: '基準日の届出書', en: 'Notification of record date', category: 'large_shareholding' },
+  '380': { ja: '変更の届出書', en: 'Notification of change', category: 'large_shareholding' }
+};
+
+// ordinanceCode: Cabinet Office Ordinance a document is filed under
+export const ORDINANCES = {
+  '010': { ja: '企業内容等の開示に関する内閣府令', en: 'Ordinance on Disclosure of Corporate Affairs' },
+  '015': { ja: '特定有価証券の内容等の開示に関する内閣府令', en: 'Ordinance on Disclosure of Specified Securities (investment funds)' },
+  '020': { ja: '外国債等の発行者の内容等の開示に関する内閣府令', en: 'Ordinance on Disclosure of Issuers of Foreign Government Bonds' },
+  '030': { ja: '財務計算に関する書類その他の情報の適正性を確保するための体制に関する内閣府令', en: 'Ordinance on Internal Control over Financial Reporting' },
+  '040': { ja: '発行者以外の者による株券等の公開買付けの開示に関する内閣府令', en: 'Ordinance on Tender Offers by Non-Issuers' },
+  '050': { ja: '発行者による上場株券等の公開買付けの開示に関する内閣府令', en: 'Ordinance on Tender Offers by Issuers' },
+  '060': { ja: '株券等の大量保有の状況の開示に関する内閣府令', en: 'Ordinance on Disclosure of Large Shareholdings' }
+};
+
+// Common forms by ordinanceCode and formCode
+export const FORMS = {
+  '010:030000': { ja: '第三号様式', en: 'Form 3 (annual securities report)' },
+  '010:043000': { ja: '第四号の三様式', en: 'Form 4-3 (quarterly report)' },
+  '010:050000': { ja: '第五号様式', en: 'Form 5 (semi-annual report)' },
+  '060:010000': { ja: '第一号様式', en: 'Form 1 (large shareholding report)' }
+};
+
+export const DOCUMENT_CATEGORIES = [...new Set(Object.values(DOCUMENT_TYPES).map(type => type.category))];
+
+/**
+ * Describe a raw EDINET document list entry
+ * @param {Object} doc - Raw documents.json result (docTypeCode, ordinanceCode, formCode)
+ * @returns {Object} Document type name (Japanese and English), category, amendment flag, ordinance and form
+ */
+export function describeDocumentType(doc) {
+  const type = DOCUMENT_TYPES[doc.docTypeCode];
+  const ordinance = ORDINANCES[doc.ordinanceCode];
+  const form = FORMS[`${doc.ordinanceCode}:${doc.formCode}`];
+
+  return {
+    code: doc.docTypeCode || null,
+    name: type?.ja || null,
+    name_en: type?.en || null,
+    category: type?.category || null,
+    amendment: Boolean(type?.amendment),
+    ordinance: doc.ordinanceCode ? { code: doc.ordinanceCode, name: ordinance?.ja || null, name_en: ordinance?.en || null } : null,
+    form: doc.formCode ? { code: doc.formCode, name: form?.ja || null, name_en: form?.en || null } : null
+  };
+}
+
+/**
+ * Resolve document type selectors to docTypeCodes
+ * Selectors are categories (annual_report, quarterly_report, ...), docTypeCodes ('120') or
+ * 'amendment' for all amendments
+ * @param {string|Array<string>} selectors - Categories or codes
+ * @returns {Array<string>|null} docTypeCodes, or null when no selector was given
+ */
+export function resolveDocumentTypes(selectors) {
+  if (!selectors || (Array.isArray(selectors) && selectors.length === 0)) return null;
+
+  const codes = new Set();
+  for (const selector of Array.isArray(selectors) ? selectors : [selectors]) {
+    const key = String(selector).trim().toLowerCase();
+    const matches = Object.entries(DOCUMENT_TYPES)
+      .filter(([code, type]) => code === key || type.category === key || (key === 'amendment' && type.amendment))
+      .map(([code]) => code);
+
+    if (matches.length === 0) {
+      throw new Error(`Unknown document type "${selector}". Available categories: ${DOCUMENT_CATEGORIES.join(', ')}, amendment, or a docTypeCode`);
+    }
+    matches.forEach(code => codes.add(code));
+  }
+
+  return [...codes];
+}
+
+export default {
+  DOCUMENT_TYPES,
+  ORDINANCES,
+  FORMS,
+  DOCUMENT_CATEGORIES,
+  describeDocumentType,
+  resolveDocumentTypes
+};
@@ -0,0 +1,499 @@
+import axios from 'axios';
+import { storePath, readJSON, writeJSON, listFiles } from './local-store.js';
+
+/**
+ * Persistent local index of EDINET daily document lists (documents.json)
+ *
+ * Each day's metadata list is stored as its own file and a compact manifest keeps
+ * postings by EDINET code (and by issuer EDINET code for reports about another company,
+ * such as large shareholding reports) plus the latest known filer details, so company
+ * lookups only read the days that actually contain matching documents.
+ * Days are fetched lazily and only when missing or still changing.
+ */
+
+const EDINET_API_BASE = 'https://disclosure.edinet-fsa.go.jp/api/v2';
+
+// API key should be set via environment variable
+const EDINET_API_KEY = process.env.EDINET_API_KEY || '';
+
+const INDEX_VERSION = 2;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Document lists keep changing for a while (corrections, withdrawals, late disclosures)
+const SETTLE_DAYS = 7;
+// Minimum interval between refreshes of a day that has not settled yet
+const REFRESH_INTERVAL_MS = 60 * 60 * 1000;
+// Persist the manifest after this many newly fetched days
+const FLUSH_EVERY = 20;
+// Days processed per batch when walking a date range
+const BATCH_DAYS = 30;
+
+const DOCUMENTS_DIR = storePath('edinet', 'documents');
+const MANIFEST_FILE = storePath('edinet', 'documents', 'index.json');
+
+let manifest = null;
+let pendingChanges = 0;
+const inflightDays = new Map();
+
+/**
+ * Format a Date as YYYY-MM-DD
+ */
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Path of the stored document list for a day
+ */
+function dayFile(date) {
+  return storePath('edinet', 'documents', date.substring(0, 4), `${date}.json`);
+}
+
+/**
+ * Create an empty manifest
+ */
+function emptyManifest() {
+  return {
+    version: INDEX_VERSION,
+    days: {},
+    filers: {},
+    postings: {},
+    issuerPostings: {}
+  };
+}
+
+/**
+ * Add a stored day to the manifest (postings and filer details)
+ */
+function indexDay(target, record) {
+  target.days[record.date] = {
+    fetched_at: record.fetched_at,
+    count: record.results.length
+  };
+
+  for (const doc of record.results) {
+    if (doc.issuerEdinetCode) {
+      if (!target.issuerPostings[doc.issuerEdinetCode]) {
+        target.issuerPostings[doc.issuerEdinetCode] = [];
+      }
+      target.issuerPostings[doc.issuerEdinetCode].push([record.date, doc.docID, doc.docTypeCode]);
+    }
+
+    if (!doc.edinetCode) continue;
+
+    if (!target.postings[doc.edinetCode]) {
+      target.postings[doc.edinetCode] = [];
+    }
+    target.postings[doc.edinetCode].push([record.date, doc.docID, doc.docTypeCode]);
+
+    const filer = target.filers[doc.edinetCode];
+    if (!filer || filer.last_seen <= record.date) {
+      target.filers[doc.edinetCode] = {
+        name: doc.filerName,
+        sec_code: doc.secCode || filer?.sec_code || null,
+        jcn: doc.JCN || filer?.jcn || null,
+        last_seen: record.date
+      };
+    }
+  }
+}
+
+/**
+ * Remove a day's postings from the manifest before it is re-indexed
+ */
+function unindexDay(target, record) {
+  for (const doc of record.results) {
+    const postings = doc.edinetCode && target.postings[doc.edinetCode];
+    if (postings) {
+      target.postings[doc.edinetCode] = postings.filter(p => p[0] !== record.date);
+    }
+
+    const issuerPostings = doc.issuerEdinetCode && target.issuerPostings[doc.issuerEdinetCode];
+    if (issuerPostings) {
+      target.issuerPostings[doc.issuerEdinetCode] = issuerPostings.filter(p => p[0] !== record.date);
+    }
+  }
+  delete target.days[record.date];
+}
+
+/**
+ * Rebuild the manifest from the stored day files
+ */
+async function rebuildManifest() {
+  const rebuilt = emptyManifest();
+
+  const years = (await listFiles(DOCUMENTS_DIR)).filter(name => /^\d{4}$/.test(name)).sort();
+  for (const year of years) {
+    const files = (await listFiles(storePath('edinet', 'documents', year)))
+      .filter(name => /^\d{4}-\d{2}-\d{2}\.json$/.test(name))
+      .sort();
+
+    for (const file of files) {
+      const record = await readJSON(storePath('edinet', 'documents', year, file));
+      if (record?.date && Array.isArray(record.results)) {
+        indexDay(rebuilt, record);
+      }
+    }
+  }
+
+  await writeJSON(MANIFEST_FILE, rebuilt);
+  return rebuilt;
+}
+
+/**
+ * Load the manifest (once per process)
+ */
+async function loadManifest() {
+  if (!manifest) {
+    const stored = await readJSON(MANIFEST_FILE);
+    manifest = stored && stored.version === INDEX_VERSION ? stored : await rebuildManifest();
+  }
+  return manifest;
+}
+
+/**
+ * Persist the manifest if it has unsaved changes
+ * @returns {Promise<void>}
+ */
+export async function flushIndex() {
+  if (manifest && pendingChanges > 0) {
+    pendingChanges = 0;
+    await writeJSON(MANIFEST_FILE, manifest);
+  }
+}
+
+/**
+ * Whether a day's list was fetched late enough to be considered final
+ */
+function isSettled(date, fetchedAt) {
+  return Date.parse(fetchedAt) >= Date.parse(date) + (SETTLE_DAYS + 1) * DAY_MS;
+}
+
+/**
+ * Whether a day is missing from the index or should be fetched again
+ */
+function needsFetch(date, entry) {
+  if (!entry) return true;
+  if (isSettled(date, entry.fetched_at)) return false;
+  return Date.now() - Date.parse(entry.fetched_at) > REFRESH_INTERVAL_MS;
+}
+
+/**
+ * Fetch one day's document list from EDINET and store it
+ */
+async function fetchDay(date) {
+  const response = await axios.get(`${EDINET_API_BASE}/documents.json`, {
+    params: {
+      date: date.replace(/-/g, ''),
+      type: 2 // Type 2: Metadata and document list
+    },
+    headers: {
+      'Subscription-Key': EDINET_API_KEY
+    },
+    timeout: 15000
+  });
+
+  if (!response.data || !Array.isArray(response.data.results)) {
+    const message = response.data?.metadata?.message || response.data?.message || 'Unexpected response';
+    throw new Error(`EDINET document list for ${date} unavailable: ${message}`);
+  }
+
+  const record = {
+    date,
+    fetched_at: new Date().toISOString(),
+    count: response.data.metadata?.resultset?.count || response.data.results.length,
+    results: response.data.results
+  };
+
+  const target = await loadManifest();
+  const previous = target.days[date] ? await readJSON(dayFile(date)) : null;
+
+  await writeJSON(dayFile(date), record);
+
+  if (previous?.results) {
+    unindexDay(target, previous);
+  }
+  indexDay(target, record);
+
+  pendingChanges++;
+  if (pendingChanges >= FLUSH_EVERY) {
+    await flushIndex();
+  }
+
+  return record;
+}
+
+/**
+ * Make sure a day is present and current in the index
+ * @returns {Promise<string>} 'cached', 'fetched' or 'future'
+ */
+async function ensureDay(date) {
+  const target = await loadManifest();
+
+  if (date > toDateString(new Date())) {
+    return 'future';
+  }
+
+  if (!needsFetch(date, target.days[date])) {
+    return 'cached';
+  }
+
+  if (!inflightDays.has(date)) {
+    inflightDays.set(date, fetchDay(date).finally(() => inflightDays.delete(date)));
+  }
+  await inflightDays.get(date);
+
+  // Rate limiting
+  await new Promise(resolve => setTimeout(resolve, 200));
+
+  return 'fetched';
+}
+
+/**
+ * Get the (indexed) document list for one day
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {Promise<Object>} Day record with raw EDINET results
+ */
+export async function getDay(date) {
+  const status = await ensureDay(date);
+  await flushIndex();
+
+  const record = status === 'future' ? null : await readJSON(dayFile(date));
+
+  return {
+    date,
+    fetched_at: record?.fetched_at || null,
+    settled: record ? isSettled(date, record.fetched_at) : false,
+    from_index: status === 'cached',
+    count: record?.count || 0,
+    results: record?.results || []
+  };
+}
+
+/**
+ * Normalize a securities code for matching (EDINET uses 5 digits, users usually give 4)
+ */
+function normalizeSecCode(secCode) {
+  return String(secCode).trim().replace(/\D/g, '').substring(0, 4);
+}
+
+/**
+ * Resolve company criteria (edinetCode, secCode, filerName) to a set of EDINET codes
+ * @returns {Set<string>|null} Candidate codes, or null when no company criteria were given
+ */
+function resolveCandidateCodes(target, criteria) {
+  const { edinetCode, secCode, filerName } = criteria;
+  let codes = null;
+
+  const intersect = (matches) => {
+    codes = codes ? new Set([...codes].filter(code => matches.has(code))) : matches;
+  };
+
+  if (edinetCode) {
+    intersect(new Set([edinetCode]));
+  }
+
+  if (secCode) {
+    const normalized = normalizeSecCode(secCode);
+    intersect(new Set(Object.keys(target.filers)
+      .filter(code => target.filers[code].sec_code &&
+        normalizeSecCode(target.filers[code].sec_code) === normalized)));
+  }
+
+  if (filerName) {
+    const nameLower = filerName.toLowerCase();
+    intersect(new Set(Object.keys(target.filers)
+      .filter(code => (target.filers[code].name || '').toLowerCase().includes(nameLower))));
+  }
+
+  return codes;
+}
+
+/**
+ * Check a raw EDINET document against search criteria
+ */
+function matchesCriteria(doc, criteria) {
+  const { edinetCode, secCode, docTypeCode, filerName, issuerEdinetCode } = criteria;
+
+  if (edinetCode && doc.edinetCode !== edinetCode) return false;
+  if (issuerEdinetCode && doc.issuerEdinetCode !== issuerEdinetCode) return false;
+  if (secCode && (!doc.secCode || normalizeSecCode(doc.secCode) !== normalizeSecCode(secCode))) return false;
+  if (filerName && !(doc.filerName || '').toLowerCase().includes(filerName.toLowerCase())) return false;
+
+  if (docTypeCode) {
+    const codes = Array.isArray(docTypeCode) ? docTypeCode : [docTypeCode];
+    if (!codes.includes(doc.docTypeCode)) return false;
+  }
+
+  return true;
+}
+
+/**
+ * List dates from end back to start (newest first)
+ */
+function datesDescending(startDate, endDate) {
+  const dates = [];
+  const current = new Date(`${endDate}T00:00:00Z`);
+  const start = new Date(`${startDate}T00:00:00Z`);
+
+  while (current >= start) {
+    dates.push(toDateString(current));
+    current.setUTCDate(current.getUTCDate() - 1);
+  }
+
+  return dates;
+}
+
+/**
+ * Find documents in the index, filling missing days on the way (newest days first)
+ * @param {Object} criteria - Search criteria (edinetCode, secCode, docTypeCode, filerName,
+ *   issuerEdinetCode: company a report is about, e.g. the issuer of a large shareholding report)
+ * @param {Object} options - Options (startDate, endDate, limit)
+ * @returns {Promise<Object>} Matching raw EDINET documents (newest first) and index statistics
+ */
+export async function findDocuments(criteria = {}, options = {}) {
+  const {
+    startDate = toDateString(new Date(Date.now() - 365 * DAY_MS)),
+    endDate = toDateString(new Date()),
+    limit = 100
+  } = options;
+
+  const target = await loadManifest();
+  const dates = datesDescending(startDate, endDate);
+  const documents = [];
+  const stats = { days_in_range: dates.length, days_fetched: 0, days_cached: 0, days_failed: 0 };
+
+  for (let i = 0; i < dates.length && documents.length < limit; i += BATCH_DAYS) {
+    const batch = dates.slice(i, i + BATCH_DAYS);
+
+    for (const date of batch) {
+      try {
+        const status = await ensureDay(date);
+        if (status === 'fetched') stats.days_fetched++;
+        if (status === 'cached') stats.days_cached++;
+      } catch (error) {
+        if (error.response?.status === 401) {
+          await flushIndex();
+          throw new Error('EDINET API key is required. Please set EDINET_API_KEY environment variable.');
+        }
+        stats.days_failed++;
+      }
+    }
+
+    // Resolve codes after fetching, so newly indexed filers are included
+    const codes = resolveCandidateCodes(target, criteria);
+    let datesToRead;
+
+    if (codes || criteria.issuerEdinetCode) {
+      const batchEnd = batch[0];
+      const batchStart = batch[batch.length - 1];
+      const matchingDates = new Set();
+
+      // Issuer postings are the more selective ones (a few reports about one company)
+      const postingLists = criteria.issuerEdinetCode
+        ? [target.issuerPostings[criteria.issuerEdinetCode] || []]
+        : [...codes].map(code => target.postings[code] || []);
+
+      for (const postings of postingLists) {
+        for (const [date, , docTypeCode] of postings) {
+          if (date < batchStart || date > batchEnd) continue;
+          if (criteria.docTypeCode && !matchesCriteria({ docTypeCode }, { docTypeCode: criteria.docTypeCode })) continue;
+          matchingDates.add(date);
+        }
+      }
+      datesToRead = batch.filter(date => matchingDates.has(date));
+    } else {
+      datesToRead = batch.filter(date => target.days[date]);
+    }
+
+    for (const date of datesToRead) {
+      const record = await readJSON(dayFile(date));
+      if (!record?.results) continue;
+
+      documents.push(...record.results
+        .filter(doc => matchesCriteria(doc, criteria))
+        .sort((a, b) => (b.submitDateTime || '').localeCompare(a.submitDateTime || '')));
+
+      if (documents.length >= limit) break;
+    }
+  }
+
+  await flushIndex();
+
+  return {
+    documents: documents.slice(0, limit),
+    total_found: documents.length,
+    date_range: {
+      start: startDate,
+      end: endDate
+    },
+    index: stats
+  };
+}
+
+/**
+ * Search filers known to the index by name, EDINET code or securities code
+ * @param {string} query - Search text
+ * @param {Object} options - Options (limit)
+ * @returns {Promise<Array>} Matching filers with EDINET codes
+ */
+export async function findFilers(query, options = {}) {
+  const { limit = 10 } = options;
+  const target = await loadManifest();
+  const queryLower = query.toLowerCase();
+  const secCode = /^\d{4,5}$/.test(query.trim()) ? normalizeSecCode(query) : null;
+
+  return Object.entries(target.filers)
+    .filter(([code, filer]) =>
+      code.toLowerCase() === queryLower ||
+      (secCode && filer.sec_code && normalizeSecCode(filer.sec_code) === secCode) ||
+      (filer.name || '').toLowerCase().includes(queryLower))
+    .sort((a, b) => b[1].last_seen.localeCompare(a[1].last_seen))
+    .slice(0, limit)
+    .map(([code, filer]) => ({ edinet_code: code, ...filer }));
+}
+
+/**
+ * Get the most recent indexed document of a filer (no fetching)
+ * @param {string} edinetCode - EDINET code
+ * @returns {Promise<Object|null>} Raw EDINET document or null
+ */
+export async function getLatestDocument(edinetCode) {
+  const target = await loadManifest();
+  const postings = target.postings[edinetCode] || [];
+  if (postings.length === 0) return null;
+
+  const latest = postings.reduce((a, b) => (b[0] > a[0] ? b : a));
+  const record = await readJSON(dayFile(latest[0]));
+
+  return (record?.results || [])
+    .filter(doc => doc.edinetCode === edinetCode)
+    .sort((a, b) => (b.submitDateTime || '').localeCompare(a.submitDateTime || ''))[0] || null;
+}
+
+/**
+ * Get index status (coverage and size)
+ * @returns {Promise<Object>} Index status
+ */
+export async function getIndexStatus() {
+  const target = await loadManifest();
+  const days = Object.keys(target.days).sort();
+
+  return {
+    location: DOCUMENTS_DIR,
+    days_indexed: days.length,
+    first_day: days[0] || null,
+    last_day: days[days.length - 1] || null,
+    filers: Object.keys(target.filers).length,
+    documents: days.reduce((sum, day) => sum + target.days[day].count, 0)
+  };
+}
+
+export default {
+  getDay,
+  findDocuments,
+  findFilers,
+  getLatestDocument,
+  getIndexStatus,
+  flushIndex
+};
@@ -0,0 +1,203 @@
+/**
+ * Large shareholding reports (大量保有報告書, 変更報告書) from their XBRL (jplvh taxonomy)
+ *
+ * A report covers one issuer. The filer and each joint holder (共同保有者) are reported as
+ * members of the large volume holders axis with their name, purpose of holding, shares held and
+ * holding ratio; the summary table (総括表) gives the combined figures. Document-level facts carry
+ * the issuer, the date the reporting obligation arose (報告義務発生日) and the reason for filing.
+ */
+
+// EDINET document types of large shareholding reports (docTypeCode)
+export const LARGE_HOLDING_DOC_TYPES = {
+  '350': 'Large shareholding report',
+  '360': 'Amended large shareholding report'
+};
+
+const HOLDER_AXIS = /LargeVolumeHolders?Axis$|HoldersAxis$/;
+const TOTAL_MEMBER = /Total|JointHolders(Total|Summary)/i;
+
+// Concept local names (jplvh_cor) of the fields read from a report
+const FIELDS = {
+  issuerName: /^NameOfIssuer$/,
+  issuerSecCode: /^SecurityCodeOfIssuer$/,
+  obligationDate: /^DateWhenFilingRequirementWasTriggered|DateOfOccurrenceOfReportingObligation/,
+  filingDate: /^FilingDate/,
+  filingReason: /^ReasonForFiling/,
+  filerName: /^NameCoverPage$|^NameOfFilerCoverPage$/,
+  name: /^Name$|^NameOfLargeVolumeHolder|^NameOfFiler$|^NameOfJointHolder/,
+  holderType: /^IndividualOrCorporation/,
+  purpose: /^PurposeOfHolding$/,
+  importantProposal: /^ActOfMakingImportantProposal/,
+  sharesHeld: /^TotalNumberOfStocksEtcHeld$|^TotalNumberOfShareCertificatesEtcHeld$/,
+  sharesOutstanding: /^TotalNumberOfOutstandingStocksEtc$|^TotalNumberOfIssuedSharesEtc/,
+  ratio: /^HoldingRatioOfShareCertificatesEtc$/,
+  priorRatio: /^HoldingRatioOfShareCertificatesEtcPerLastReport$/
+};
+
+/**
+ * Value of the first fact whose concept matches a field pattern
+ */
+function fieldValue(facts, pattern) {
+  const fact = facts.find(f => pattern.test(f.concept) && (f.value !== null || (f.rawValue || '').trim()));
+  if (!fact) return null;
+  return fact.value !== null && fact.value !== undefined ? fact.value : fact.rawValue.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Holding ratios are reported as decimals (0.0523); return them as percentages (5.23)
+ */
+function toPercent(value) {
+  if (typeof value !== 'number') return null;
+  return Math.round((value <= 1 ? value * 100 : value) * 10000) / 10000;
+}
+
+/**
+ * Normalize an XBRL date or Japanese date text (2024年4月1日) to YYYY-MM-DD
+ */
+function toDate(value) {
+  if (!value) return null;
+  const match = String(value).normalize('NFKC').match(/(\d{4})[-年./](\d{1,2})[-月./](\d{1,2})/);
+  return match ? `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}` : String(value);
+}
+
+/**
+ * Read the holders and figures of one large shareholding report from its facts
+ * @param {Array} facts - Parsed facts (including non-numeric facts)
+ * @returns {Object} Issuer, dates, reason, holders (filer first) and combined totals
+ */
+export function parseLargeShareholdingFacts(facts) {
+  const documentFacts = [];
+  const totalFacts = [];
+  const byMember = new Map();
+
+  for (const fact of facts) {
+    const member = Object.entries(fact.dimensions || {}).find(([axis]) => HOLDER_AXIS.test(axis))?.[1];
+
+    if (!member) {
+      documentFacts.push(fact);
+    } else if (TOTAL_MEMBER.test(member)) {
+      totalFacts.push(fact);
+    } else {
+      if (!byMember.has(member)) byMember.set(member, []);
+      byMember.get(member).push(fact);
+    }
+  }
+
+  const holders = [...byMember.entries()]
+    .map(([member, memberFacts]) => ({
+      member: member.split(':').pop(),
+      name: fieldValue(memberFacts, FIELDS.name),
+      holder_type: fieldValue(memberFacts, FIELDS.holderType),
+      purpose_of_holding: fieldValue(memberFacts, FIELDS.purpose),
+      important_proposal: fieldValue(memberFacts, FIELDS.importantProposal),
+      shares_held: fieldValue(memberFacts, FIELDS.sharesHeld),
+      holding_ratio: toPercent(fieldValue(memberFacts, FIELDS.ratio)),
+      prior_holding_ratio: toPercent(fieldValue(memberFacts, FIELDS.priorRatio))
+    }))
+    // Members are numbered in report order (FilerLargeVolumeHolder1Member, 2, ...)
+    .sort((a, b) => a.member.localeCompare(b.member, undefined, { numeric: true }));
+
+  // Combined figures: the summary table, otherwise document-level facts, otherwise the sum of holders
+  const totalSource = totalFacts.length > 0 ? totalFacts : documentFacts;
+  const summedShares = holders.reduce((sum, holder) => sum + (holder.shares_held || 0), 0);
+  const summedRatio = holders.reduce((sum, holder) => sum + (holder.holding_ratio || 0), 0);
+
+  const totalRatio = toPercent(fieldValue(totalSource, FIELDS.ratio)) ?? (holders.length > 0 ? Math.round(summedRatio * 10000) / 10000 : null);
+  const priorRatio = toPercent(fieldValue(totalSource, FIELDS.priorRatio)) ??
+    (holders.length === 1 ? holders[0].prior_holding_ratio : null);
+
+  return {
+    issuer_name: fieldValue(documentFacts, FIELDS.issuerName),
+    issuer_sec_code: fieldValue(documentFacts, FIELDS.issuerSecCode),
+    filer_name: fieldValue(documentFacts, FIELDS.filerName) || holders[0]?.name || null,
+    obligation_date: toDate(fieldValue(documentFacts, FIELDS.obligationDate)),
+    filing_date: toDate(fieldValue(documentFacts, FIELDS.filingDate)),
+    filing_reason: fieldValue(documentFacts, FIELDS.filingReason),
+    holders,
+    joint_holders: holders.slice(1).map(holder => holder.name).filter(Boolean),
+    total: {
+      shares_held: fieldValue(totalSource, FIELDS.sharesHeld) ?? (holders.length > 0 ? summedShares : null),
+      shares_outstanding: fieldValue(totalSource, FIELDS.sharesOutstanding) ?? fieldValue([...byMember.values()].flat(), FIELDS.sharesOutstanding),
+      holding_ratio: totalRatio,
+      prior_holding_ratio: priorRatio,
+      ratio_change: totalRatio !== null && priorRatio !== null ? Math.round((totalRatio - priorRatio) * 10000) / 10000 : null
+    }
+  };
+}
+
+/**
+ * Group parsed reports into a timeline per holder (the filer of the report)
+ * Each entry compares the holding ratio with the previous report of the same holder;
+ * amendments (docTypeCode 360) are listed but do not count as a new position.
+ * @param {Array} reports - Reports ({ document_id, edinet_code, filer_name, document_type, submit_date, ...parsed })
+ * @returns {Array<Object>} Holders with their reports (oldest first), largest latest ratio first
+ */
+export function buildHolderTimelines(reports) {
+  const holders = new Map();
+
+  const ordered = [...reports].sort((a, b) =>
+    (a.obligation_date || a.submit_date || '').localeCompare(b.obligation_date || b.submit_date || '') ||
+    (a.submit_date || '').localeCompare(b.submit_date || ''));
+
+  for (const report of ordered) {
+    const key = report.edinet_code || report.filer_name;
+    if (!holders.has(key)) {
+      holders.set(key, { edinet_code: report.edinet_code || null, holder: report.filer_name, reports: [] });
+    }
+    holders.get(key).reports.push(report);
+  }
+
+  return [...holders.values()]
+    .map(entry => {
+      let previous = null;
+      const timeline = entry.reports.map(report => {
+        const amendment = report.document_type === '360';
+        const ratio = report.total.holding_ratio;
+        const base = report.total.prior_holding_ratio ?? previous?.total.holding_ratio ?? null;
+
+        const item = {
+          date: report.obligation_date || (report.submit_date || '').substring(0, 10) || null,
+          submit_date: report.submit_date,
+          document_id: report.document_id,
+          document_description: report.document_description,
+          amendment,
+          holding_ratio: ratio,
+          prior_holding_ratio: base,
+          ratio_change: ratio !== null && base !== null ? Math.round((ratio - base) * 10000) / 10000 : null,
+          shares_held: report.total.shares_held,
+          purpose_of_holding: report.holders[0]?.purpose_of_holding || null,
+          joint_holders: report.joint_holders,
+          filing_reason: report.filing_reason
+        };
+
+        if (!amendment) previous = report;
+        return item;
+      });
+
+      const latest = timeline.filter(item => !item.amendment).pop() || timeline[timeline.length - 1];
+      const first = timeline[0];
+      // Change since before the first report (a first report has no prior ratio: since that report)
+      const baseline = first.prior_holding_ratio ?? first.holding_ratio;
+
+      return {
+        edinet_code: entry.edinet_code,
+        holder: entry.holder,
+        reports: timeline.length,
+        first_date: first.date,
+        latest_date: latest.date,
+        latest_holding_ratio: latest.holding_ratio,
+        net_ratio_change: latest.holding_ratio !== null && baseline !== null
+          ? Math.round((latest.holding_ratio - baseline) * 10000) / 10000
+          : null,
+        purpose_of_holding: latest.purpose_of_holding,
+        timeline
+      };
+    })
+    .sort((a, b) => (b.latest_holding_ratio || 0) - (a.latest_holding_ratio || 0));
+}
+
+export default {
+  LARGE_HOLDING_DOC_TYPES,
+  parseLargeShareholdingFacts,
+  buildHolderTimelines
+};
@@ -0,0 +1,298 @@
+import { LABEL_ROLES } from './xbrl-parser.js';
+
+/**
+ * Rebuild EDINET financial statements from the presentation linkbase
+ *
+ * Statements are identified by their extended link role (rol_ConsolidatedBalanceSheet,
+ * rol_StatementOfIncome, rol_ConsolidatedStatementOfFinancialPositionIFRS, ...) and use the
+ * same statement codes as DART's sj_div (BS, IS, CIS, CF, SCE) and fs_div (CFS, OFS).
+ */
+
+export const STATEMENT_NAMES = {
+  BS: 'Balance Sheet',
+  IS: 'Income Statement',
+  CIS: 'Statement of Comprehensive Income',
+  CF: 'Cash Flow Statement',
+  SCE: 'Statement of Changes in Equity'
+};
+
+const CONSOLIDATION_AXIS = /ConsolidatedOrNonConsolidatedAxis$/;
+const NON_CONSOLIDATED_MEMBER = /NonConsolidatedMember$/;
+const EQUITY_COMPONENTS_AXIS = /ComponentsOfEquityAxis$/;
+
+/**
+ * Identify the statement an extended link role presents
+ * @param {string} role - Role URI
+ * @returns {Object|null} { statement, consolidated, fs_div } or null for other roles (notes, cover, ...)
+ */
+export function classifyStatementRole(role) {
+  const name = (role || '').split('/').pop();
+  if (!name.startsWith('rol_') || /Notes|Detail|Segment/i.test(name)) return null;
+
+  let statement = null;
+  if (/ChangesInEquity|ChangesInNetAssets|ChangesInShareholdersEquity/.test(name)) {
+    statement = 'SCE';
+  } else if (/CashFlows/.test(name)) {
+    statement = 'CF';
+  } else if (/IncomeAndComprehensiveIncome|ProfitOrLossAndOtherComprehensiveIncome|SingleStatement/.test(name)) {
+    // Single-statement presentation of profit or loss and comprehensive income
+    statement = 'IS';
+  } else if (/ComprehensiveIncome/.test(name)) {
+    statement = 'CIS';
+  } else if (/StatementOfIncome|ProfitOrLoss/.test(name)) {
+    statement = 'IS';
+  } else if (/BalanceSheet|FinancialPosition/.test(name)) {
+    statement = 'BS';
+  }
+
+  if (!statement) return null;
+
+  const consolidated = /Consolidated/.test(name) && !/NonConsolidated/.test(name);
+  return { statement, consolidated, fs_div: consolidated ? 'CFS' : 'OFS' };
+}
+
+/**
+ * Concept key of a fact ("{prefix}_{localName}", as used by the linkbases)
+ */
+function factKey(fact) {
+  return `${fact.namespace}_${fact.concept}`;
+}
+
+/**
+ * Dimensions of a fact other than the consolidation axis
+ */
+function otherDimensions(fact) {
+  return Object.entries(fact.dimensions || {}).filter(([axis]) => !CONSOLIDATION_AXIS.test(axis));
+}
+
+/**
+ * Check whether a fact belongs to the consolidated or non-consolidated figures
+ * Filers without subsidiaries report non-consolidated figures without the consolidation axis
+ */
+function matchesBasis(fact, consolidated, nonConsolidatedTagged) {
+  const member = Object.entries(fact.dimensions || {}).find(([axis]) => CONSOLIDATION_AXIS.test(axis))?.[1];
+  const isNonConsolidated = member ? NON_CONSOLIDATED_MEMBER.test(member) : false;
+
+  if (consolidated) return !isNonConsolidated;
+  return nonConsolidatedTagged ? isNonConsolidated : !member;
+}
+
+/**
+ * Work out the current and prior periods presented in a statement
+ * Durations ending on the same date (quarter vs year-to-date) resolve to the longest one
+ */
+function statementPeriods(facts) {
+  const instants = [...new Set(facts.filter(f => f.period?.instant).map(f => f.period.instant))]
+    .sort((a, b) => b.localeCompare(a));
+
+  const longestByEnd = {};
+  for (const fact of facts) {
+    const { startDate, endDate } = fact.period || {};
+    if (!startDate || !endDate) continue;
+    if (!longestByEnd[endDate] || startDate < longestByEnd[endDate].startDate) {
+      longestByEnd[endDate] = { startDate, endDate };
+    }
+  }
+  const durations = Object.values(longestByEnd).sort((a, b) => b.endDate.localeCompare(a.endDate));
+
+  return { instants, durations };
+}
+
+/**
+ * Pick a label for a presentation node
+ */
+function nodeLabel(labels, concept, preferredLabel, lang) {
+  const byRole = labels[concept]?.[lang];
+  if (!byRole) return null;
+
+  const role = preferredLabel ? preferredLabel.split('/').pop() : 'label';
+  return byRole[LABEL_ROLES[role] || role] || byRole.standard || null;
+}
+
+/**
+ * Flatten a presentation tree into ordered line items
+ * Hypercube scaffolding is dropped: axes (with their members) are skipped, tables,
+ * line-item containers and domains are passed through without adding depth
+ */
+function flattenTree(roots) {
+  const items = [];
+
+  const visit = (node, depth, parent) => {
+    const local = node.concept.split('_').pop();
+    if (/Axis$/.test(local) || /Member$/.test(local)) return;
+
+    const transparent = /(Table|LineItems|Domain)$/.test(local);
+    if (!transparent) {
+      items.push({ concept: node.concept, depth, parent, order: node.order, preferredLabel: node.preferredLabel });
+    }
+
+    for (const child of node.children) {
+      visit(child, transparent ? depth : depth + 1, transparent ? parent : node.concept);
+    }
+  };
+
+  roots.forEach(root => visit(root, 0, null));
+  return items;
+}
+
+/**
+ * Build one statement from its presentation tree
+ * @param {Object} tree - Presentation tree ({ role, roots })
+ * @param {Object} classification - From classifyStatementRole
+ * @param {Object} factsByKey - Facts of the filing by concept key
+ * @param {Object} labels - Labels by concept key
+ * @param {boolean} nonConsolidatedTagged - Whether the filing tags non-consolidated facts with a member
+ * @returns {Object} Statement with periods and line items
+ */
+function buildStatement(tree, classification, factsByKey, labels, nonConsolidatedTagged) {
+  const nodes = flattenTree(tree.roots);
+  const { consolidated } = classification;
+
+  // Facts of this statement: matching basis, no dimensions except equity components (SCE)
+  const itemFacts = {};
+  for (const node of nodes) {
+    itemFacts[node.concept] = (factsByKey[node.concept] || []).filter(fact =>
+      matchesBasis(fact, consolidated, nonConsolidatedTagged) &&
+      otherDimensions(fact).every(([axis]) => classification.statement === 'SCE' && EQUITY_COMPONENTS_AXIS.test(axis)));
+  }
+
+  const allFacts = Object.values(itemFacts).flat();
+  const { instants, durations } = statementPeriods(allFacts);
+
+  const valueAt = (facts, isInstant, index) => {
+    if (isInstant) {
+      const date = instants[index];
+      return date ? facts.find(f => f.period?.instant === date) : undefined;
+    }
+    const period = durations[index];
+    return period ? facts.find(f => f.period?.startDate === period.startDate && f.period?.endDate === period.endDate) : undefined;
+  };
+
+  const items = nodes.map(node => {
+    const facts = itemFacts[node.concept];
+    const totals = facts.filter(fact => otherDimensions(fact).length === 0);
+    const isInstant = facts.length > 0 ? Boolean(facts[0].period?.instant) : null;
+
+    // Opening balances (periodStartLabel) are the instant at the start of the period
+    const offset = node.preferredLabel && /periodStart/i.test(node.preferredLabel) ? 1 : 0;
+    const current = isInstant === null ? undefined : valueAt(totals, isInstant, offset);
+    const prior = isInstant === null ? undefined : valueAt(totals, isInstant, offset + 1);
+    const sample = current || prior || facts[0];
+
+    const item = {
+      concept: node.concept,
+      label: nodeLabel(labels, node.concept, node.preferredLabel, 'ja'),
+      labelEn: nodeLabel(labels, node.concept, node.preferredLabel, 'en'),
+      depth: node.depth,
+      parent: node.parent,
+      order: node.order,
+      abstract: facts.length === 0,
+      periodType: isInstant === null ? null : (isInstant ? 'instant' : 'duration'),
+      currentTerm: current ? current.value : null,
+      previousTerm: prior ? prior.value : null,
+      unit: sample?.unit || null,
+      decimals: sample?.decimals ?? null
+    };
+
+    // Equity components (columns of the statement of changes in equity)
+    if (classification.statement === 'SCE') {
+      const byMember = {};
+      for (const fact of facts) {
+        const member = otherDimensions(fact).find(([axis]) => EQUITY_COMPONENTS_AXIS.test(axis))?.[1];
+        if (member) (byMember[member] = byMember[member] || []).push(fact);
+      }
+
+      const components = {};
+      for (const [member, memberFacts] of Object.entries(byMember)) {
+        components[member.split(':').pop()] = {
+          currentTerm: valueAt(memberFacts, isInstant, offset)?.value ?? null,
+          previousTerm: valueAt(memberFacts, isInstant, offset + 1)?.value ?? null
+        };
+      }
+      if (Object.keys(components).length > 0) item.components = components;
+    }
+
+    return item;
+  });
+
+  const periodOf = index => ({
+    instant: instants[index] || null,
+    startDate: durations[index]?.startDate || null,
+    endDate: durations[index]?.endDate || null
+  });
+
+  return {
+    statement: classification.statement,
+    name: STATEMENT_NAMES[classification.statement],
+    fs_div: classification.fs_div,
+    consolidated,
+    role: tree.role,
+    periods: { current: periodOf(0), prior: periodOf(1) },
+    items,
+    total_items: items.length,
+    items_with_values: items.filter(item => item.currentTerm !== null || item.previousTerm !== null).length
+  };
+}
+
+/**
+ * Build the primary financial statements of a filing
+ * @param {Array} presentation - Trees from parsePresentationLinkbase
+ * @param {Array} facts - Parsed facts
+ * @param {Object} labels - Labels by concept key
+ * @param {Object} options - Options (statements: codes to include, basis: 'CFS' | 'OFS' | 'all')
+ * @returns {Array<Object>} Statements in presentation order
+ */
+export function buildFinancialStatements(presentation, facts, labels, options = {}) {
+  const { statements = null, basis = 'all' } = options;
+
+  const factsByKey = {};
+  for (const fact of facts) {
+    if (fact.value === null || fact.value === undefined) continue;
+    (factsByKey[factKey(fact)] = factsByKey[factKey(fact)] || []).push(fact);
+  }
+
+  const nonConsolidatedTagged = facts.some(fact =>
+    Object.entries(fact.dimensions || {}).some(([axis, member]) =>
+      CONSOLIDATION_AXIS.test(axis) && NON_CONSOLIDATED_MEMBER.test(member)));
+
+  const wanted = statements ? statements.map(code => code.toUpperCase()) : null;
+
+  return presentation
+    .map(tree => ({ tree, classification: classifyStatementRole(tree.role) }))
+    .filter(({ classification }) => classification &&
+      (!wanted || wanted.includes(classification.statement)) &&
+      (basis === 'all' || classification.fs_div === basis.toUpperCase()))
+    .map(({ tree, classification }) => buildStatement(tree, classification, factsByKey, labels, nonConsolidatedTagged));
+}
+
+/**
+ * Primary statements each concept is presented in
+ * @param {Array} presentation - Parsed presentation trees (parsePresentationLinkbase)
+ * @returns {Map<string, Array<string>>} Statement codes (BS, IS, CIS, CF, SCE) by concept key
+ */
+export function conceptStatements(presentation) {
+  const byConcept = new Map();
+
+  for (const tree of presentation) {
+    const classification = classifyStatementRole(tree.role);
+    if (!classification) continue;
+
+    const stack = [...tree.roots];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      const codes = byConcept.get(node.concept) || [];
+      if (!codes.includes(classification.statement)) codes.push(classification.statement);
+      byConcept.set(node.concept, codes);
+      stack.push(...node.children);
+    }
+  }
+
+  return byConcept;
+}
+
+export default {
+  STATEMENT_NAMES,
+  classifyStatementRole,
+  buildFinancialStatements,
+  conceptStatements
+};
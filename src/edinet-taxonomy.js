@@ -0,0 +1,159 @@
+import axios from 'axios';
+import fs from 'fs/promises';
+import path from 'path';
+import { storePath, readJSON, writeJSON } from './local-store.js';
+import { decodeText } from './archive-utils.js';
+import { parseLabelLinkbase, mergeLabels } from './xbrl-parser.js';
+
+/**
+ * EDINET standard taxonomy labels (jppfs, jpcrp, jpdei, jpigp, ...)
+ *
+ * Filings only ship labels for their own extension elements; labels of standard elements
+ * live in the taxonomy's label linkbases. These are located from the schema imports of
+ * the filing, read from a local copy of the EDINET taxonomy (EDINET_TAXONOMY_DIR) when
+ * available, otherwise downloaded once, and stored parsed in the local store.
+ */
+
+const TAXONOMY_DIR = process.env.EDINET_TAXONOMY_DIR || '';
+
+// http://disclosure.edinet-fsa.go.jp/taxonomy/jppfs/2023-12-01/jppfs_cor_2023-12-01.xsd
+const STANDARD_SCHEMA_PATTERN = /^(https?:\/\/[^/]+\/taxonomy)\/([a-z]+)\/(\d{4}-\d{2}-\d{2})\/([a-z]+)_cor_\d{4}-\d{2}-\d{2}\.xsd$/;
+
+// Parsed label files already loaded in this process, by URL
+const labelFiles = new Map();
+
+/**
+ * Find the standard taxonomy schemas imported by a filing
+ * @param {Array<string>} schemaTexts - Filing schema (.xsd) documents, or instance/inline documents with a schemaRef
+ * @returns {Array<Object>} References ({ prefix, module, version, schemaUrl, labelUrls: { ja, en } })
+ */
+export function standardTaxonomyReferences(schemaTexts) {
+  const references = new Map();
+
+  for (const text of schemaTexts) {
+    for (const match of (text || '').matchAll(/(?:schemaLocation|xlink:href)="([^"]+\.xsd)"/g)) {
+      const parts = match[1].match(STANDARD_SCHEMA_PATTERN);
+      if (!parts || references.has(match[1])) continue;
+
+      const [schemaUrl, base, module, version, prefix] = parts;
+      const labelBase = `${base}/${module}/${version}/label/${prefix}_${version}`;
+
+      references.set(schemaUrl, {
+        prefix: `${prefix}_cor`,
+        module,
+        version,
+        schemaUrl,
+        labelUrls: {
+          ja: `${labelBase}_lab.xml`,
+          en: `${labelBase}_lab-en.xml`
+        }
+      });
+    }
+  }
+
+  return [...references.values()];
+}
+
+/**
+ * Path of a taxonomy file below /taxonomy/ (e.g. jppfs/2023-12-01/label/jppfs_2023-12-01_lab.xml)
+ */
+function taxonomyRelativePath(url) {
+  return url.split('/taxonomy/').pop();
+}
+
+/**
+ * Read a label linkbase from the local taxonomy copy (EDINET_TAXONOMY_DIR)
+ * The directory may be the extracted taxonomy ZIP root or its taxonomy/ folder
+ */
+async function readLocalTaxonomyFile(url) {
+  if (!TAXONOMY_DIR) return null;
+
+  const relative = taxonomyRelativePath(url);
+  for (const candidate of [path.join(TAXONOMY_DIR, 'taxonomy', relative), path.join(TAXONOMY_DIR, relative)]) {
+    try {
+      return await fs.readFile(candidate);
+    } catch (error) {
+      // Try the next layout
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Load one standard label linkbase (memory, local store, local taxonomy, then download)
+ * @param {string} url - Label linkbase URL
+ * @returns {Promise<Object>} Labels ({ labels, from })
+ */
+export async function loadLabelFile(url) {
+  if (labelFiles.has(url)) {
+    return { labels: labelFiles.get(url), from: 'memory' };
+  }
+
+  const cacheFile = storePath('edinet', 'taxonomy', `${taxonomyRelativePath(url)}.json`);
+  const cached = await readJSON(cacheFile);
+  if (cached) {
+    labelFiles.set(url, cached.labels);
+    return { labels: cached.labels, from: 'cache' };
+  }
+
+  let buffer = await readLocalTaxonomyFile(url);
+  let from = 'local_taxonomy';
+
+  if (!buffer) {
+    const response = await axios.get(url, {
+      responseType: 'arraybuffer',
+      timeout: 60000
+    });
+    buffer = Buffer.from(response.data);
+    from = 'download';
+  }
+
+  const labels = parseLabelLinkbase(decodeText(buffer, 'utf-8'));
+  await writeJSON(cacheFile, { url, stored_at: new Date().toISOString(), labels });
+  labelFiles.set(url, labels);
+
+  return { labels, from };
+}
+
+/**
+ * Load the standard labels a filing refers to
+ * Failures of single label files are reported, not thrown
+ * @param {Array<string>} schemaTexts - Filing schema documents (see standardTaxonomyReferences)
+ * @param {Object} options - Options (prefixes: only load taxonomies whose prefix is used by facts)
+ * @returns {Promise<Object>} Merged labels, sources and errors
+ */
+export async function loadStandardLabels(schemaTexts, options = {}) {
+  const { prefixes = null } = options;
+
+  const references = standardTaxonomyReferences(schemaTexts)
+    .filter(reference => !prefixes || prefixes.has(reference.prefix));
+
+  const loaded = [];
+  const sources = [];
+  const errors = [];
+
+  for (const reference of references) {
+    for (const [lang, url] of Object.entries(reference.labelUrls)) {
+      try {
+        const { labels, from } = await loadLabelFile(url);
+        loaded.push(labels);
+        sources.push({ prefix: reference.prefix, lang, url, from, concepts: Object.keys(labels).length });
+      } catch (error) {
+        errors.push({ prefix: reference.prefix, lang, url, error: error.message });
+      }
+    }
+  }
+
+  return {
+    labels: mergeLabels(...loaded),
+    sources,
+    errors
+  };
+}
+
+export default {
+  standardTaxonomyReferences,
+  loadLabelFile,
+  loadStandardLabels
+};
@@ -2,6 +2,8 @@ import axios from 'axios';
 import * as xbrlParser from './xbrl-parser.js';
 import * as edinetApi from './edinet-api.js';
 import * as dartApi from './dart-api.js';
+import * as fiscalCalendar from './fiscal-calendar.js';
+import * as conceptMap from './concept-map.js';
 
 /**
  * Build comprehensive fact table around target value
@@ -14,6 +16,7 @@ import * as dartApi from './dart-api.js';
  * @param {number} params.targetValue - Target value in currency units
  * @param {number} params.tolerance - Tolerance range (±)
  * @param {string} params.documentId - Optional specific document/filing ID
+ * @param {string} params.statementBasis - KR: CFS (consolidated), OFS (separate) or auto
  * @param {Object} params.options - Table options
  * @returns {Promise<Object>} Fact table with business intelligence
  */
@@ -24,6 +27,7 @@ export async function buildFactTable(params) {
     targetValue,
     tolerance = 50000000,
     documentId = null,
+    statementBasis = 'auto',
     options = {}
   } = params;
 
@@ -31,7 +35,11 @@ export async function buildFactTable(params) {
     maxRows: 25,
     showDimensions: true,
     sortBy: 'deviation', // 'deviation', 'value', 'concept'
-    filters: {}
+    filters: {},
+    metric: null, // Canonical metric(s) to keep (e.g. 'Revenue' or ['TotalAssets', 'TotalEquity'])
+    documentTypes: null, // JP: document categories or docTypeCodes of the filing to use (e.g. ['annual_report'])
+    fiscalPeriod: null, // Without a document ID: latest reported FY, H1, Q1, Q2 or Q3 (default: latest periodic report, KR: FY)
+    latestOnly: true // JP: use the latest version of an amended filing and skip withdrawn ones
   };
 
   const tableOptions = { ...defaultOptions, ...options };
@@ -46,14 +54,48 @@ export async function buildFactTable(params) {
       // Japan - EDINET
       let targetDocId = documentId;
 
-      if (!targetDocId) {
-        // Get recent filing to find document ID
-        const filings = await edinetApi.getCompanyFilings(companyId, { limit: 1 });
+      if (!targetDocId && tableOptions.documentTypes) {
+        // Latest filing of the requested document types
+        const filings = await edinetApi.getCompanyFilings(companyId, {
+          limit: 1,
+          documentTypes: tableOptions.documentTypes,
+          latestOnly: tableOptions.latestOnly
+        });
         if (!filings.filings || filings.filings.length === 0) {
           throw new Error('No filings found for company');
         }
         targetDocId = filings.filings[0].document_id;
         filingInfo = filings.filings[0];
+
+        // Place the filing in the company's fiscal calendar
+        const settlement = await fiscalCalendar.getFiscalYearEndMonth('JP', companyId);
+        const kind = fiscalCalendar.EDINET_REPORT_KINDS[filingInfo.document_category];
+        const fiscal = kind && fiscalCalendar.classifyPeriodEnd(filingInfo.period_end,
+          settlement.month || Number((filingInfo.period_end || '').substring(5, 7)), kind);
+        if (fiscal) filingInfo.fiscal_period = fiscalPeriodInfo(fiscal);
+      } else if (!targetDocId) {
+        // Latest periodic report (of the requested fiscal period) from the fiscal calendar
+        // Stop reading the EDINET index back once one such report is found
+        const calendar = await fiscalCalendar.getFiscalCalendar('JP', companyId, {
+          years: 2,
+          periods: 1,
+          fiscalPeriod: tableOptions.fiscalPeriod || 'all',
+          latestOnly: tableOptions.latestOnly
+        });
+        const reported = calendar.reported.find(period =>
+          !tableOptions.fiscalPeriod || fiscalCalendar.isFiscalPeriod(period, tableOptions.fiscalPeriod));
+        if (!reported) {
+          throw new Error(`No ${tableOptions.fiscalPeriod || 'periodic'} report found for company`);
+        }
+        targetDocId = reported.document_id;
+        filingInfo = {
+          document_id: reported.document_id,
+          document_type: reported.document_type,
+          document_description: reported.document_description,
+          submit_date: reported.filed,
+          period_end: reported.end_date,
+          fiscal_period: fiscalPeriodInfo(reported)
+        };
       }
 
       xbrlData = await edinetApi.getFilingFacts(targetDocId);
@@ -61,15 +103,38 @@ export async function buildFactTable(params) {
 
     } else if (country === 'KR') {
       // Korea - DART
-      if (!documentId) {
-        throw new Error('business_year and report_code are required for Korean filings');
-      }
+      // documentId is "businessYear:reportCode" (financial statement accounts) or
+      // "receiptNumber[:reportCode]" (original XBRL filing, with dimensions); without it the
+      // latest reported fiscal period of the company's fiscal calendar is used
+      const [id, reportCode] = documentId ? documentId.split(':') : [];
+      if (/^\d{14}$/.test(id || '')) {
+        xbrlData = await dartApi.getFilingXBRLFacts(id, { reportCode: reportCode || '11011', basis: statementBasis });
+        filingInfo.receipt_number = id;
+        filingInfo.report_code = reportCode || '11011';
+      } else {
+        let fiscal;
+        if (id) {
+          const settlement = await fiscalCalendar.getFiscalYearEndMonth('KR', companyId);
+          fiscal = fiscalCalendar.fiscalPeriodDates(id, fiscalCalendar.DART_REPORT_PERIODS[reportCode || '11011'] || 'FY', settlement.month || 12);
+        } else {
+          const fiscalPeriod = tableOptions.fiscalPeriod || 'FY';
+          const calendar = await fiscalCalendar.getFiscalCalendar('KR', companyId, { years: 2 });
+          fiscal = fiscalCalendar.findReportedPeriod(calendar, fiscalCalendar.latestFiscalYear(calendar, fiscalPeriod), fiscalPeriod) ||
+            fiscalCalendar.fiscalPeriodDates(fiscalCalendar.latestFiscalYear(calendar, fiscalPeriod), fiscalPeriod, calendar.fiscal_year_end_month);
+        }
 
-      // documentId should be formatted as "businessYear:reportCode"
-      const [businessYear, reportCode] = documentId.split(':');
-      xbrlData = await dartApi.getFinancialStatements(companyId, businessYear, reportCode || '11011');
-      filingInfo.business_year = businessYear;
-      filingInfo.report_code = reportCode;
+        const code = reportCode || fiscalCalendar.DART_REPORT_CODES[fiscal.fiscal_period];
+        xbrlData = await dartApi.getFinancialStatements(companyId, String(fiscal.fiscal_year), code, {
+          basis: statementBasis,
+          fiscalYearEndMonth: fiscal.fiscal_year_end_month
+        });
+        filingInfo.business_year = String(fiscal.fiscal_year);
+        filingInfo.report_code = code;
+        filingInfo.receipt_number = xbrlData.receipt_number;
+        filingInfo.fiscal_period = fiscalPeriodInfo(fiscal);
+      }
+      filingInfo.fs_div = xbrlData.fs_div;
+      filingInfo.statement_basis = xbrlData.statement_basis;
 
     } else {
       throw new Error('Unsupported country. Use JP for Japan or KR for Korea');
@@ -82,6 +147,7 @@ export async function buildFactTable(params) {
         max: targetValue + tolerance
       },
       hasValue: true,
+      ...(tableOptions.metric && { metric: tableOptions.metric }),
       ...tableOptions.filters
     };
 
@@ -103,6 +169,7 @@ export async function buildFactTable(params) {
         table: [],
         summary: {
           totalFacts: 0,
+          statementBasis: filingInfo.statement_basis || null,
           message: 'No facts found in the specified value range'
         }
       };
@@ -116,10 +183,16 @@ export async function buildFactTable(params) {
       return {
         rowNumber: index + 1,
         concept: fact.concept,
+        label: fact.label || null, // Japanese label (EDINET label linkbases)
+        labelEn: fact.labelEn || null,
         accountName: fact.accountName || null, // Korean-specific
+        fs_div: fact.fs_div || null, // Korean-specific: CFS (consolidated) or OFS (separate)
+        periodRole: fact.periodRole || null, // Korean-specific: current, currentCumulative, prior, ...
         namespace: fact.namespace || 'unknown',
+        metric: conceptMap.metricOfFact(fact)?.name || null, // Canonical metric (concept-map.js)
         value: fact.value,
-        valueFormatted: formatCurrency(fact.value, currencySymbol),
+        valueFormatted: formatFactValue(fact.value, fact.unitType, currencySymbol),
+        unitType: fact.unitType || null, // monetary, perShare, shares, pure, ratio (EDINET)
         exactMatch,
         deviationFromTarget: deviation,
         deviationFormatted: `${deviation >= 0 ? '+' : ''}${formatCurrency(deviation, currencySymbol)}`,
@@ -157,6 +230,7 @@ export async function buildFactTable(params) {
 
     // 6. Generate business intelligence summary
     const summary = generateFactTableSummary(enrichedFacts, targetValue, tolerance, currencySymbol);
+    summary.statementBasis = filingInfo.statement_basis || null;
 
     return {
       country,
@@ -183,6 +257,19 @@ export async function buildFactTable(params) {
   }
 }
 
+/**
+ * Fiscal period of the filing a table was built from (label, fiscal year and period, dates)
+ */
+function fiscalPeriodInfo(period) {
+  return {
+    label: period.label,
+    fiscal_year: period.fiscal_year,
+    fiscal_period: period.fiscal_period,
+    start_date: period.start_date,
+    end_date: period.end_date
+  };
+}
+
 /**
  * Generate comprehensive summary statistics
  */
@@ -335,6 +422,29 @@ export function formatCurrency(value, symbol = '¥') {
   }
 }
 
+/**
+ * Format a fact value according to its unit type
+ * Monetary values (and facts without a unit type) use formatCurrency; per-share amounts,
+ * share counts and pure/ratio values are formatted so they are not mistaken for amounts
+ */
+export function formatFactValue(value, unitType, symbol = '¥') {
+  if (value === null || value === undefined || isNaN(value)) {
+    return 'N/A';
+  }
+
+  switch (unitType) {
+    case 'perShare':
+      return `${value < 0 ? '-' : ''}${symbol}${Math.abs(value).toFixed(2)}/share`;
+    case 'shares':
+      return `${value.toLocaleString('en-US')} shares`;
+    case 'pure':
+    case 'ratio':
+      return value.toLocaleString('en-US', { maximumFractionDigits: 4 });
+    default:
+      return formatCurrency(value, symbol);
+  }
+}
+
 /**
  * Extract geography from dimensions
  */
@@ -463,6 +573,7 @@ export default {
   generateFactTableSummary,
   sortFacts,
   formatCurrency,
+  formatFactValue,
   extractGeographyFromDimensions,
   extractSegmentFromDimensions,
   extractProductFromDimensions
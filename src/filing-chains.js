@@ -0,0 +1,70 @@
+/**
+ * Amendment chains of filings
+ *
+ * A filing that corrects an earlier one (訂正報告書, [기재정정]) is a new document; the original
+ * stays in the filing list. Filings are grouped into chains (the original and its amendments,
+ * oldest first) and each chain resolves to its latest effective version: the newest filing that
+ * was not withdrawn. EDINET links amendments by parentDocID, DART by report name.
+ */
+
+/**
+ * Link filings into amendment chains
+ * Every filing gets an amendment_chain (original, versions oldest first, latest effective version,
+ * is_latest); filings outside any chain (withdrawal notices) get null.
+ * @param {Array<Object>} filings - Formatted filings
+ * @param {Object} accessors - Functions reading a filing: id, chainKey (id of the chain, null for
+ *   filings outside any chain), date (for ordering) and effective (false for withdrawn filings)
+ * @returns {Array<Object>} Filings with their amendment_chain, in the given order
+ */
+export function linkAmendmentChains(filings, accessors) {
+  const { id, chainKey, date, effective } = accessors;
+  const chains = new Map();
+
+  for (const filing of filings) {
+    const key = chainKey(filing);
+    if (key === null || key === undefined) continue;
+    if (!chains.has(key)) chains.set(key, []);
+    chains.get(key).push(filing);
+  }
+
+  const summaries = new Map();
+  for (const [key, members] of chains) {
+    members.sort((a, b) => (date(a) || '').localeCompare(date(b) || ''));
+    const latest = members.filter(effective).pop() || null;
+
+    summaries.set(key, {
+      original: key,
+      versions: members.map(id),
+      latest: latest ? id(latest) : null
+    });
+  }
+
+  return filings.map(filing => {
+    const summary = summaries.get(chainKey(filing));
+    if (!summary) return { ...filing, amendment_chain: null };
+
+    return {
+      ...filing,
+      amendment_chain: {
+        ...summary,
+        version: summary.versions.indexOf(id(filing)) + 1,
+        is_latest: summary.latest === id(filing)
+      }
+    };
+  });
+}
+
+/**
+ * Keep the latest effective version of each chain
+ * Superseded versions, withdrawn filings and filings outside any chain are dropped.
+ * @param {Array<Object>} filings - Filings linked by linkAmendmentChains
+ * @returns {Array<Object>} Latest versions, in the given order
+ */
+export function latestVersions(filings) {
+  return filings.filter(filing => filing.amendment_chain?.is_latest);
+}
+
+export default {
+  linkAmendmentChains,
+  latestVersions
+};
@@ -0,0 +1,363 @@
+import * as edinetApi from './edinet-api.js';
+import * as edinetCodeList from './edinet-code-list.js';
+import * as dartApi from './dart-api.js';
+
+/**
+ * Fiscal calendars of Japanese and Korean companies
+ *
+ * Companies in both markets choose their settlement month: DART reports it as acc_mt ("12", "03"),
+ * the EDINET code list as 決算日 ("3月31日"), and every periodic report states the period it covers.
+ * A fiscal year is named after the calendar year it starts in, as DART business years are
+ * (FY2023 of a March year-end company runs from 2023-04-01 to 2024-03-31). Periods are FY, H1 and
+ * Q1-Q3, each running from the start of the fiscal year to the end of the period.
+ */
+
+// Months from the start of the fiscal year to the end of each fiscal period
+export const FISCAL_PERIODS = { Q1: 3, H1: 6, Q2: 6, Q3: 9, FY: 12 };
+
+// DART report codes (reprt_code) by fiscal period
+export const DART_REPORT_CODES = { Q1: '11013', H1: '11012', Q2: '11012', Q3: '11014', FY: '11011' };
+export const DART_REPORT_PERIODS = { '11013': 'Q1', '11012': 'H1', '11014': 'Q3', '11011': 'FY' };
+
+// Reports are due within three months (annual) and 45 days (interim) of the period end in both markets
+const ANNUAL_REPORT_DEADLINE_DAYS = 90;
+const INTERIM_REPORT_DEADLINE_DAYS = 45;
+
+// DART periodic report names: "사업보고서 (2023.12)", "반기보고서 (2024.06)", "분기보고서 (2024.03)"
+const DART_PERIODIC_REPORT = /^(사업|반기|분기)보고서\s*\((\d{4})\.(\d{1,2})\)/;
+const DART_REPORT_KINDS = { 사업: 'annual', 반기: 'semiannual', 분기: 'quarterly' };
+
+// EDINET document categories of periodic reports
+export const EDINET_REPORT_KINDS = { annual_report: 'annual', semiannual_report: 'semiannual', quarterly_report: 'quarterly' };
+
+const iso = (year, month, day) => new Date(Date.UTC(year, month, day)).toISOString().split('T')[0];
+
+/**
+ * Read a settlement month from acc_mt ("12", "03"), 決算日 ("3月31日") or a date ("2024-03-31")
+ * @param {string|number} value - Settlement month or fiscal year end
+ * @returns {number|null} Month the fiscal year ends in (1-12)
+ */
+export function parseFiscalYearEndMonth(value) {
+  if (value === null || value === undefined) return null;
+
+  const text = String(value).normalize('NFKC').trim();
+  const match = text.match(/^(\d{1,2})月/) || text.match(/^\d{4}[-./](\d{1,2})/) || text.match(/^(\d{1,2})$/);
+  const month = match ? Number(match[1]) : NaN;
+
+  return month >= 1 && month <= 12 ? month : null;
+}
+
+/**
+ * Start and end dates of a fiscal period
+ * @param {number|string} fiscalYear - Fiscal year (calendar year the fiscal year starts in)
+ * @param {string} fiscalPeriod - FY, H1, Q1, Q2 or Q3
+ * @param {number} fiscalYearEndMonth - Month the fiscal year ends in (1-12)
+ * @returns {Object} Fiscal year and period, label, period start and end, fiscal year start and end
+ */
+export function fiscalPeriodDates(fiscalYear, fiscalPeriod = 'FY', fiscalYearEndMonth = 12) {
+  const months = FISCAL_PERIODS[fiscalPeriod];
+  if (!months) {
+    throw new Error(`Unknown fiscal period "${fiscalPeriod}". Use ${Object.keys(FISCAL_PERIODS).join(', ')}`);
+  }
+
+  const year = Number(fiscalYear);
+  const firstMonth = fiscalYearEndMonth % 12; // zero-based month after the fiscal year end
+
+  return {
+    fiscal_year: year,
+    fiscal_period: fiscalPeriod,
+    label: fiscalPeriod === 'FY' ? `FY${year}` : `FY${year} ${fiscalPeriod}`,
+    start_date: iso(year, firstMonth, 1),
+    end_date: iso(year, firstMonth + months, 0),
+    fiscal_year_start: iso(year, firstMonth, 1),
+    fiscal_year_end: iso(year, firstMonth + 12, 0),
+    fiscal_year_end_month: fiscalYearEndMonth
+  };
+}
+
+/**
+ * Place a reporting period end date in the fiscal calendar
+ * @param {string} endDate - Period end (YYYY-MM-DD)
+ * @param {number} fiscalYearEndMonth - Month the fiscal year ends in (1-12)
+ * @param {string} kind - Report kind: 'annual', 'semiannual' or 'quarterly' (tells Q2 from H1)
+ * @returns {Object|null} Fiscal period (fiscalPeriodDates), or null when the date ends no fiscal period
+ */
+export function classifyPeriodEnd(endDate, fiscalYearEndMonth = 12, kind = null) {
+  const match = String(endDate || '').match(/^(\d{4})-(\d{2})/);
+  if (!match) return null;
+
+  const endYear = Number(match[1]);
+  const endMonth = Number(match[2]);
+  const months = (endMonth - fiscalYearEndMonth + 12) % 12 || 12;
+  if (months % 3 !== 0) return null;
+
+  const fiscalPeriod = { 3: 'Q1', 6: kind === 'quarterly' ? 'Q2' : 'H1', 9: 'Q3', 12: 'FY' }[months];
+  if (kind === 'annual' && fiscalPeriod !== 'FY') return null;
+
+  // Months counted from January of the fiscal year's first calendar year
+  const fiscalYear = (endYear * 12 + endMonth - fiscalYearEndMonth % 12 - months) / 12;
+  return fiscalPeriodDates(fiscalYear, fiscalPeriod, fiscalYearEndMonth);
+}
+
+/**
+ * Fiscal year a date falls in
+ * @param {string|Date} date - Date
+ * @param {number} fiscalYearEndMonth - Month the fiscal year ends in (1-12)
+ * @returns {number} Fiscal year
+ */
+export function fiscalYearOf(date, fiscalYearEndMonth = 12) {
+  const day = (date instanceof Date ? date.toISOString() : String(date)).substring(0, 10);
+  const year = Number(day.substring(0, 4));
+  return fiscalPeriodDates(year, 'FY', fiscalYearEndMonth).start_date <= day ? year : year - 1;
+}
+
+/**
+ * Latest fiscal year whose report for a fiscal period is due by a date
+ * Annual reports are due within three months, interim reports within 45 days of the period end.
+ * @param {number} fiscalYearEndMonth - Month the fiscal year ends in (1-12)
+ * @param {Date} asOf - Reference date (default now)
+ * @param {string} fiscalPeriod - FY, H1, Q1, Q2 or Q3
+ * @returns {number} Fiscal year
+ */
+export function expectedLatestFiscalYear(fiscalYearEndMonth = 12, asOf = new Date(), fiscalPeriod = 'FY') {
+  const days = fiscalPeriod === 'FY' ? ANNUAL_REPORT_DEADLINE_DAYS : INTERIM_REPORT_DEADLINE_DAYS;
+  const cutoff = new Date(asOf.getTime() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+  let year = asOf.getUTCFullYear();
+  while (fiscalPeriodDates(year, fiscalPeriod, fiscalYearEndMonth).end_date > cutoff) year--;
+  return year;
+}
+
+// Japanese second-quarter reports and half-year reports cover the same six months
+const periodKey = fiscalPeriod => (fiscalPeriod === 'Q2' ? 'H1' : fiscalPeriod);
+
+/**
+ * Check whether a period is a given fiscal period (Q2 and H1 match each other)
+ * @param {Object} period - Fiscal period (fiscalPeriodDates)
+ * @param {string} fiscalPeriod - FY, H1, Q1, Q2 or Q3
+ * @returns {boolean} Whether the period matches
+ */
+export function isFiscalPeriod(period, fiscalPeriod) {
+  return periodKey(period.fiscal_period) === periodKey(fiscalPeriod);
+}
+
+// Days a stated period start may lie from the month-based fiscal start (companies closing on the 20th)
+const START_TOLERANCE_DAYS = 15;
+
+/**
+ * Check whether a fact's period is a fiscal period itself: an instant at its end, or a duration from
+ * its start to its end - not the three-month quarter of an interim report, nor a comparative period
+ * @param {Object} factPeriod - Fact period (instant, or startDate and endDate)
+ * @param {Object} period - Fiscal period (fiscalPeriodDates, or a reported period of the calendar)
+ * @returns {boolean} Whether the fact covers the fiscal period
+ */
+export function coversFiscalPeriod(factPeriod, period) {
+  if (!factPeriod) return false;
+  if (factPeriod.instant) return factPeriod.instant === period.end_date;
+  if (factPeriod.endDate !== period.end_date || !factPeriod.startDate) return false;
+
+  const days = Math.abs(Date.parse(factPeriod.startDate) - Date.parse(period.start_date)) / (24 * 60 * 60 * 1000);
+  return days <= START_TOLERANCE_DAYS;
+}
+
+/**
+ * Find a reported period in a fiscal calendar
+ * @param {Object} calendar - From getFiscalCalendar
+ * @param {number} fiscalYear - Fiscal year
+ * @param {string} fiscalPeriod - FY, H1, Q1, Q2 or Q3 (Q2 and H1 match each other)
+ * @returns {Object|null} Reported period
+ */
+export function findReportedPeriod(calendar, fiscalYear, fiscalPeriod = 'FY') {
+  return calendar.reported.find(period =>
+    period.fiscal_year === Number(fiscalYear) && isFiscalPeriod(period, fiscalPeriod)) || null;
+}
+
+/**
+ * Latest fiscal year reported for a fiscal period, or the year expected to be reported by now
+ * @param {Object} calendar - From getFiscalCalendar
+ * @param {string} fiscalPeriod - FY, H1, Q1, Q2 or Q3
+ * @returns {number} Fiscal year
+ */
+export function latestFiscalYear(calendar, fiscalPeriod = 'FY') {
+  const reported = calendar.reported
+    .filter(period => isFiscalPeriod(period, fiscalPeriod))
+    .map(period => period.fiscal_year);
+
+  return reported.length > 0
+    ? Math.max(...reported)
+    : expectedLatestFiscalYear(calendar.fiscal_year_end_month, new Date(), fiscalPeriod);
+}
+
+/**
+ * Periodic DART reports (사업/반기/분기보고서) of a company: report kind, period end and filing
+ */
+async function dartPeriodicReports(corpCode, startDate, latestOnly) {
+  const filings = await dartApi.getCompanyFilings(corpCode, { startDate, reportType: 'A', limit: 100, latestOnly });
+
+  return filings.filings
+    .map(filing => {
+      const match = filing.base_report_name.match(DART_PERIODIC_REPORT);
+      return match && {
+        kind: DART_REPORT_KINDS[match[1]],
+        end: iso(Number(match[2]), Number(match[3]), 0),
+        receipt_number: filing.receipt_number,
+        report_name: filing.report_name,
+        filed: filing.report_date
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Periodic EDINET reports (有価証券報告書, 半期報告書, 四半期報告書) of a company: report kind, period end and filing
+ */
+async function edinetPeriodicReports(edinetCode, startDate, latestOnly) {
+  const filings = await edinetApi.getCompanyFilings(edinetCode, {
+    startDate,
+    documentTypes: Object.keys(EDINET_REPORT_KINDS),
+    latestOnly
+  });
+
+  return filings.filings
+    .filter(filing => EDINET_REPORT_KINDS[filing.document_category] && filing.period_end)
+    .map(filing => ({
+      kind: EDINET_REPORT_KINDS[filing.document_category],
+      end: filing.period_end,
+      document_id: filing.document_id,
+      document_type: filing.document_type,
+      document_description: filing.document_description,
+      filed: filing.submit_date
+    }));
+}
+
+/**
+ * Get the settlement month of a company from DART acc_mt (KR) or the EDINET code list (JP)
+ * @param {string} country - Country code ('JP' or 'KR')
+ * @param {string} companyId - EDINET code (JP) or corp code (KR)
+ * @returns {Promise<Object>} Month the fiscal year ends in (null when unavailable) and its source
+ */
+export async function getFiscalYearEndMonth(country, companyId) {
+  if (country === 'KR') {
+    const company = await dartApi.getCompanyByCorpCode(companyId).catch(() => null);
+    const month = parseFiscalYearEndMonth(company?.accounting_month);
+    return { month, source: month ? 'acc_mt' : null };
+  }
+
+  if (country === 'JP') {
+    const entry = await edinetCodeList.getCodeListEntry(companyId).catch(() => null);
+    const month = parseFiscalYearEndMonth(entry?.fiscal_year_end);
+    return { month, source: month ? 'code_list' : null };
+  }
+
+  throw new Error('Unsupported country. Use JP for Japan or KR for Korea');
+}
+
+/**
+ * One reported period per fiscal period: the most recently filed report (reports are newest first)
+ * Reports of periods before a change of settlement month do not fit the calendar; the period end
+ * stated in the report wins (some companies close on the 20th rather than at month end)
+ */
+function reportedPeriods(country, reports, fiscalYearEndMonth) {
+  const reported = [];
+  const seen = new Set();
+  for (const { kind, end, ...filing } of reports) {
+    const period = classifyPeriodEnd(end, fiscalYearEndMonth, kind);
+    if (!period || seen.has(period.label)) continue;
+    seen.add(period.label);
+    reported.push({
+      ...period,
+      end_date: end,
+      ...filing,
+      ...(country === 'KR' && { report_code: DART_REPORT_CODES[period.fiscal_period] })
+    });
+  }
+  return reported.sort((a, b) => b.end_date.localeCompare(a.end_date) || a.label.localeCompare(b.label));
+}
+
+/**
+ * Get the fiscal calendar of a company
+ * The settlement month comes from DART acc_mt or the EDINET code list; when unavailable it is
+ * taken from the latest annual report. Reported periods are read from the periodic reports filed
+ * in the last few years. EDINET has no per-company filing list: every day of the range is read
+ * from the document index (one documents.json request per day not yet indexed), so with periods
+ * the range is extended one year at a time and reading stops once enough periods are reported.
+ * @param {string} country - Country code ('JP' or 'KR')
+ * @param {string} companyId - EDINET code (JP) or corp code (KR)
+ * @param {Object} options - Options (years: years of filings to read at most, default 5; latestOnly: use the
+ *   latest version of amended reports and skip withdrawn ones, default true; periods: JP stop once this many
+ *   periods of fiscalPeriod are reported; fiscalPeriod: FY, H1, Q1, Q2, Q3 or all, default FY)
+ * @returns {Promise<Object>} Settlement month, reported periods (newest first) and latest fiscal year
+ */
+export async function getFiscalCalendar(country, companyId, options = {}) {
+  const { years = 5, latestOnly = true, periods = null, fiscalPeriod = 'FY' } = options;
+
+  try {
+    const now = new Date();
+    const settlement = await getFiscalYearEndMonth(country, companyId);
+    const enough = reported => periods !== null &&
+      reported.filter(period => fiscalPeriod === 'all' || isFiscalPeriod(period, fiscalPeriod)).length >= periods;
+
+    // DART lists a company's filings in one request; EDINET reads the index back one year at a time
+    const steps = country === 'JP' && periods !== null ? years : 1;
+    let startDate;
+    let fiscalYearEndMonth;
+    let monthSource;
+    let reported;
+
+    for (let step = 1; step <= steps; step++) {
+      const yearsBack = steps === 1 ? years : step;
+      startDate = iso(now.getUTCFullYear() - yearsBack, now.getUTCMonth(), 1);
+      const reports = country === 'KR'
+        ? await dartPeriodicReports(companyId, startDate, latestOnly)
+        : await edinetPeriodicReports(companyId, startDate, latestOnly);
+
+      fiscalYearEndMonth = settlement.month;
+      monthSource = settlement.source;
+      if (!fiscalYearEndMonth) {
+        const annual = reports.find(report => report.kind === 'annual');
+        fiscalYearEndMonth = annual ? Number(annual.end.substring(5, 7)) : 12;
+        monthSource = annual ? 'annual_report' : 'default';
+      }
+
+      reported = reportedPeriods(country, reports, fiscalYearEndMonth);
+      if (enough(reported)) break;
+    }
+
+    const calendar = {
+      country,
+      company_id: companyId,
+      fiscal_year_end_month: fiscalYearEndMonth,
+      fiscal_year_end_source: monthSource,
+      current_fiscal_year: fiscalPeriodDates(fiscalYearOf(now, fiscalYearEndMonth), 'FY', fiscalYearEndMonth),
+      reported,
+      reported_since: startDate
+    };
+
+    return {
+      ...calendar,
+      latest_fiscal_year: latestFiscalYear(calendar, 'FY'),
+      latest_reported_fiscal_year: reported.find(period => period.fiscal_period === 'FY')?.fiscal_year ?? null
+    };
+
+  } catch (error) {
+    throw new Error(`Failed to get fiscal calendar: ${error.message}`);
+  }
+}
+
+export default {
+  FISCAL_PERIODS,
+  DART_REPORT_CODES,
+  DART_REPORT_PERIODS,
+  EDINET_REPORT_KINDS,
+  parseFiscalYearEndMonth,
+  fiscalPeriodDates,
+  classifyPeriodEnd,
+  fiscalYearOf,
+  expectedLatestFiscalYear,
+  isFiscalPeriod,
+  coversFiscalPeriod,
+  findReportedPeriod,
+  latestFiscalYear,
+  getFiscalYearEndMonth,
+  getFiscalCalendar
+};
@@ -9,8 +9,10 @@ import {
 
 import * as edinetApi from './edinet-api.js';
 import * as dartApi from './dart-api.js';
+import * as dartDocument from './dart-document.js';
 import * as factTableBuilder from './fact-table-builder.js';
 import * as timeSeriesAnalyzer from './time-series-analyzer.js';
+import * as fiscalCalendar from './fiscal-calendar.js';
 
 const server = new Server(
   {
@@ -45,42 +47,61 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
                 'get_japan_documents_by_date',
                 'get_japan_filing_facts',
                 'get_japan_dimensional_facts',
+                'get_japan_financial_statements',
+                'validate_filing_calculations',
+                'get_japan_large_shareholdings',
                 // Korea DART methods
                 'search_korea_companies',
                 'get_korea_company_by_code',
                 'get_korea_company_filings',
+                'get_korea_filing_document',
                 'get_korea_financial_statements',
                 'get_korea_major_shareholders',
+                'get_korea_insider_ownership',
+                'get_korea_ownership_history',
                 'get_korea_executive_info',
+                'get_korea_executive_history',
                 'get_korea_dividend_info',
+                'get_korea_report_item',
+                'get_korea_material_events',
                 'get_korea_dimensional_facts',
                 // Advanced Analysis Methods (Phase 2)
                 'build_fact_table',
                 'search_facts_by_value',
                 'time_series_analysis',
                 // Utility methods
-                'filter_filings'
+                'filter_filings',
+                'get_fiscal_calendar'
               ],
               description: `The operation to perform:
 
 JAPAN (EDINET):
-- search_japan_companies: Search Japanese companies by name
+- search_japan_companies: Search all EDINET filers by name, kana, English name, securities code or JCN
 - get_japan_company_by_code: Get company by EDINET code
 - get_japan_company_filings: Get filing history for Japanese company
-- get_japan_filing_document: Download specific filing document
+- get_japan_filing_document: Download a filing package, list its members and return or save selected members
 - get_japan_documents_by_date: Get all filings for a specific date
 - get_japan_filing_facts: Extract XBRL facts from filing (J-GAAP)
 - get_japan_dimensional_facts: Get dimensional facts with breakdowns
+- get_japan_financial_statements: Get balance sheet, income, comprehensive income, cash flow and equity statements in presentation order
+- validate_filing_calculations: Check a filing's facts against its calculation linkbase (summation-item consistency per context)
+- get_japan_large_shareholdings: Get large shareholding reports (大量保有報告書) about a company as a per-holder timeline of holding ratios
 
 KOREA (DART):
-- search_korea_companies: Search Korean companies by name
+- search_korea_companies: Search all DART-registered companies by Korean/English name, corp code or stock code
 - get_korea_company_by_code: Get company by corporate code
 - get_korea_company_filings: Get filing history for Korean company
+- get_korea_filing_document: Get the table of contents and section text (e.g. 사업의 내용) of a DART report
 - get_korea_financial_statements: Get financial statements (XBRL)
-- get_korea_major_shareholders: Get major shareholder information
-- get_korea_executive_info: Get executive/officer information
+- get_korea_major_shareholders: Get large holding (5%) reports with shares, ownership and changes
+- get_korea_insider_ownership: Get executive and major shareholder ownership reports with position, shares, ownership and changes
+- get_korea_ownership_history: Get per-holder ownership history from large holding and executive/major shareholder reports
+- get_korea_executive_info: Get executives of a report period (position, director status, responsibilities, tenure)
+- get_korea_executive_history: Get the executive roster over several report periods with joins, departures and changes
 - get_korea_dividend_info: Get dividend allocation information
-- get_korea_dimensional_facts: Get dimensional facts with breakdowns
+- get_korea_report_item: Get a periodic-report key item (employees, treasury_stock, capital_changes, shares_outstanding, executives, outside_directors)
+- get_korea_material_events: Get material event reports (capital increases, CB/BW/EB issues, mergers, splits, acquisitions, treasury stock, defaults, rehabilitation) as structured events
+- get_korea_dimensional_facts: Get dimensional facts (segments, regions, equity components) from the original XBRL filing
 
 ADVANCED ANALYSIS (Phase 2):
 - build_fact_table: Build comprehensive fact table around target value with BI summaries
@@ -88,7 +109,8 @@ ADVANCED ANALYSIS (Phase 2):
 - time_series_analysis: Analyze financial metrics across multiple periods with growth rates
 
 UTILITIES:
-- filter_filings: Filter filing arrays by criteria`,
+- filter_filings: Filter filing arrays by criteria
+- get_fiscal_calendar: Get a company's settlement month and reported fiscal periods (FY, H1, Q1-Q3) with exact dates`,
               examples: ['search_japan_companies', 'get_korea_financial_statements']
             },
             query: {
@@ -98,7 +120,7 @@ UTILITIES:
             },
             edinet_code: {
               type: 'string',
-              description: 'For Japan methods: EDINET code (E-number)',
+              description: 'For Japan methods: EDINET code (E-number). For get_japan_large_shareholdings: EDINET code or securities code of the issuer',
               examples: ['E01225', 'E02166', 'E05080']
             },
             corp_code: {
@@ -108,13 +130,79 @@ UTILITIES:
             },
             document_id: {
               type: 'string',
-              description: 'For get_japan_filing_document: Document ID from EDINET',
-              examples: ['S100XXXX']
+              description: 'For get_japan_filing_document: Document ID from EDINET. For build_fact_table (KR): "businessYear:reportCode" or "receiptNumber:reportCode" (original XBRL filing with dimensions); without it the latest reported fiscal period is used',
+              examples: ['S100XXXX', '2023:11011', '20240312000736:11011']
+            },
+            receipt_number: {
+              type: 'string',
+              description: 'For get_korea_filing_document: DART receipt number (rcept_no) of the report. For get_korea_dimensional_facts: Receipt number of the report whose XBRL filing to parse (default: looked up from the financial statements)',
+              examples: ['20240312000736']
+            },
+            document_types: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'For get_japan_company_filings, get_japan_documents_by_date: Document categories (annual_report, quarterly_report, semiannual_report, extraordinary_report, securities_registration, confirmation, internal_control_report, parent_company_report, share_buyback_report, tender_offer, large_shareholding), amendment, or docTypeCodes (120, 140, ...)',
+              examples: [['annual_report'], ['quarterly_report', 'semiannual_report'], ['120']]
+            },
+            latest_only: {
+              type: 'boolean',
+              description: 'For get_japan_company_filings, get_korea_company_filings: Resolve each amendment chain to its latest version and drop withdrawn filings (default false)'
             },
             document_type: {
               type: 'string',
-              description: 'For get_japan_filing_document: Document type (1: submission, 2: PDF, 3: attachments, 4: XBRL)',
-              examples: ['1', '2', '4']
+              description: 'For get_japan_filing_document: Document type (1: submission package incl. XBRL, 2: PDF, 3: attachments, 4: English documents, 5: XBRL-to-CSV)',
+              examples: ['1', '2', '4', '5']
+            },
+            members: {
+              type: 'array',
+              description: 'For get_japan_filing_document: Package members to return (path, file name, category such as inline_xbrl/xbrl_instance/label_linkbase/csv, or pattern with *)',
+              items: { type: 'string' },
+              examples: [['inline_xbrl'], ['*_lab.xml'], ['PublicDoc/*.htm']]
+            },
+            sections: {
+              type: 'array',
+              description: 'For get_korea_filing_document: Sections to return, by table-of-contents id or title (numbering and spacing ignored)',
+              items: { type: 'string' },
+              examples: [['사업의 내용'], ['위험요소', '이사의 경영진단'], ['2.1']]
+            },
+            document_file: {
+              type: 'string',
+              description: 'For get_korea_filing_document: File of the document package to read, by name or index (default: main document; attachments such as audit reports follow)',
+              examples: ['0', '00760']
+            },
+            output_dir: {
+              type: 'string',
+              description: 'For get_japan_filing_document: Local directory to save the selected (or all) package members to'
+            },
+            format: {
+              type: 'string',
+              description: 'For get_japan_filing_document: Member content format (text: HTML converted to plain text, raw: unmodified). For get_korea_filing_document: Section format (text, markdown or raw DART XML)',
+              examples: ['text', 'raw', 'markdown']
+            },
+            max_chars: {
+              type: 'integer',
+              description: 'For get_japan_filing_document, get_korea_filing_document: Maximum characters returned per member or section (default 50000)',
+              examples: [50000]
+            },
+            source: {
+              type: 'string',
+              description: 'For get_japan_filing_facts, get_japan_financial_statements, validate_filing_calculations: XBRL source (auto: instance document if present, else inline XBRL; csv: EDINET XBRL-to-CSV download with Japanese labels, facts only). For get_korea_dimensional_facts: auto (XBRL filing, falling back to the statement accounts), xbrl or json (fnlttSinglAcntAll accounts, no dimensions)',
+              examples: ['auto', 'instance', 'inline', 'csv', 'xbrl', 'json']
+            },
+            statements: {
+              type: 'array',
+              description: 'For get_japan_financial_statements: Statements to return (BS, IS, CIS, CF, SCE; default all)',
+              items: { type: 'string' },
+              examples: [['BS', 'IS'], ['CF']]
+            },
+            statement_basis: {
+              type: 'string',
+              description: 'For get_japan_financial_statements: CFS (consolidated), OFS (non-consolidated) or all (default). For get_korea_financial_statements, get_korea_dimensional_facts, build_fact_table and time_series_analysis (KR): CFS (consolidated), OFS (separate) or auto (default: consolidated, falling back to separate when no consolidated statements were filed)',
+              examples: ['CFS', 'OFS', 'all', 'auto']
+            },
+            include_consistent: {
+              type: 'boolean',
+              description: 'For validate_filing_calculations: Also list the checks that passed'
             },
             date: {
               type: 'string',
@@ -123,29 +211,63 @@ UTILITIES:
             },
             start_date: {
               type: 'string',
-              description: 'For filing methods: Start date in YYYY-MM-DD format',
+              description: 'For filing methods and get_korea_material_events: Start date in YYYY-MM-DD format (default: one year ago). For get_korea_ownership_history: Earliest report date',
               examples: ['2023-01-01', '2024-01-01']
             },
             end_date: {
               type: 'string',
-              description: 'For filing methods: End date in YYYY-MM-DD format',
+              description: 'For filing methods and get_korea_material_events: End date in YYYY-MM-DD format (default: today). For get_korea_ownership_history: Latest report date',
               examples: ['2024-12-31', '2024-06-30']
             },
             business_year: {
               type: 'string',
-              description: 'For get_korea_financial_statements, get_korea_dividend_info: Business year (YYYY)',
+              description: 'For get_korea_financial_statements, get_korea_dividend_info, get_korea_report_item, get_korea_executive_info: Business year (YYYY). For get_korea_executive_history: Latest business year (default: last year)',
               examples: ['2023', '2024']
             },
             report_code: {
               type: 'string',
-              description: 'For get_korea_financial_statements: Report code (11011: Annual, 11013: Q1, 11012: Q2, 11014: Q3)',
+              description: 'For get_korea_financial_statements, get_korea_report_item, get_korea_executive_info: Report code (11011: Annual, 11013: Q1, 11012: Q2, 11014: Q3)',
               examples: ['11011', '11013']
             },
+            periods: {
+              type: 'integer',
+              description: 'For get_korea_executive_history: Number of report periods to compare (default 3, 1-20)',
+              examples: [3, 5]
+            },
+            include_quarterly: {
+              type: 'boolean',
+              description: 'For get_korea_executive_history: Include Q1-Q3 reports, not only annual reports (default false)'
+            },
+            item: {
+              type: 'string',
+              description: 'For get_korea_report_item: Report item (employees, treasury_stock, capital_changes, shares_outstanding, executives, outside_directors) or DART endpoint name (empSttus, tesstkAcqsDspsSttus, irdsSttus, stockTotqySttus, exctvSttus, outcmpnyDrctrNdChangeSttus)',
+              examples: ['employees', 'shares_outstanding']
+            },
+            holder: {
+              type: 'string',
+              description: 'For get_korea_ownership_history: Holder name filter (substring, spacing ignored)',
+              examples: ['국민연금공단', '이재용']
+            },
+            event_types: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'For get_korea_material_events: Event types (paid_in_capital_increase, bonus_issue, capital_reduction, convertible_bond, bond_with_warrants, exchangeable_bond, merger, split, share_exchange, business_acquisition, business_transfer, equity_acquisition, equity_disposal, treasury_stock_acquisition, treasury_stock_disposal, treasury_stock_trust, default, business_suspension, rehabilitation, dissolution), categories (financing, mna, treasury_stock, distress) or DART endpoint names (default: all)',
+              examples: [['financing', 'mna'], ['convertible_bond', 'paid_in_capital_increase']]
+            },
             report_type: {
               type: 'string',
               description: 'For get_korea_company_filings: Report type filter',
               examples: ['A', 'Q']
             },
+            listed_only: {
+              type: 'boolean',
+              description: 'For search_japan_companies, search_korea_companies: Only return listed companies'
+            },
+            industry: {
+              type: 'string',
+              description: 'For search_japan_companies: Filter by EDINET industry (提出者業種)',
+              examples: ['医薬品', '輸送用機器']
+            },
             limit: {
               type: 'integer',
               description: 'Maximum number of results to return',
@@ -162,18 +284,23 @@ UTILITIES:
             },
             search_criteria: {
               type: 'object',
-              description: 'For dimensional_facts methods: Search criteria (concept, valueRange, period, hasDimensions)'
+              description: 'For dimensional_facts methods: Search criteria (concept, label: Japanese, Korean or English label or DART account name, metric: canonical metric name(s) such as Revenue or TotalAssets, valueRange, period, hasDimensions, unitType: monetary/perShare/shares/pure/ratio)'
             },
             country: {
               type: 'string',
-              description: 'For advanced analysis methods: Country code (JP for Japan, KR for Korea)',
+              description: 'For advanced analysis methods, get_fiscal_calendar: Country code (JP for Japan, KR for Korea)',
               examples: ['JP', 'KR']
             },
             company_id: {
               type: 'string',
-              description: 'For advanced analysis methods: EDINET code (JP) or corp code (KR)',
+              description: 'For advanced analysis methods, get_fiscal_calendar: EDINET code (JP) or corp code (KR)',
               examples: ['E01225', '00126380']
             },
+            years: {
+              type: 'integer',
+              description: 'For get_fiscal_calendar: Years of periodic reports to read (default 5)',
+              examples: [3, 5]
+            },
             target_value: {
               type: 'number',
               description: 'For build_fact_table/search_facts_by_value: Target value to search around',
@@ -186,7 +313,7 @@ UTILITIES:
             },
             options: {
               type: 'object',
-              description: 'For advanced analysis methods: Analysis options (maxRows, showDimensions, sortBy, concept, periods, includeGeography, includeSegments, showGrowthRates)'
+              description: 'For advanced analysis methods: Analysis options (maxRows, showDimensions, sortBy, concept, metric: canonical metric mapped across J-GAAP, IFRS, US GAAP and DART accounts (Revenue, CostOfSales, GrossProfit, OperatingIncome, OrdinaryIncome, IncomeBeforeTax, NetIncome, NetIncomeAttributableToParent, EPSBasic, TotalAssets, CurrentAssets, NoncurrentAssets, TotalLiabilities, CurrentLiabilities, NoncurrentLiabilities, TotalEquity, EquityAttributableToParent, CashAndEquivalents, OperatingCashFlow, InvestingCashFlow, FinancingCashFlow), periods, includeGeography, includeSegments, showGrowthRates, fiscalPeriod: FY, H1, Q1, Q2, Q3 or all (JP), documentTypes: JP document categories or codes, e.g. ["annual_report"] for annual reports only, latestOnly: JP use the latest version of amended filings, default true)'
             }
           },
           required: ['method'],
@@ -212,12 +339,16 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       // ============= JAPAN EDINET METHODS =============
 
       case 'search_japan_companies': {
-        const { query, limit, date } = params;
+        const { query, limit, listed_only, industry } = params;
         if (!query) {
           throw new Error('query parameter is required for search_japan_companies');
         }
 
-        const results = await edinetApi.searchCompanies(query, { limit, date });
+        const results = await edinetApi.searchCompanies(query, {
+          limit,
+          listedOnly: listed_only,
+          industry
+        });
         return {
           content: [
             {
@@ -246,7 +377,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       }
 
       case 'get_japan_company_filings': {
-        const { edinet_code, start_date, end_date, limit } = params;
+        const { edinet_code, start_date, end_date, limit, document_types, latest_only } = params;
         if (!edinet_code) {
           throw new Error('edinet_code parameter is required for get_japan_company_filings');
         }
@@ -254,7 +385,9 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         const results = await edinetApi.getCompanyFilings(edinet_code, {
           startDate: start_date,
           endDate: end_date,
-          limit
+          limit,
+          documentTypes: document_types,
+          latestOnly: latest_only
         });
 
         return {
@@ -268,36 +401,35 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       }
 
       case 'get_japan_filing_document': {
-        const { document_id, document_type } = params;
+        const { document_id, document_type, members, output_dir, format, max_chars } = params;
         if (!document_id) {
           throw new Error('document_id parameter is required for get_japan_filing_document');
         }
 
-        const result = await edinetApi.getFilingDocument(document_id, document_type || '1');
+        const result = await edinetApi.getFilingDocument(document_id, document_type || '1', {
+          members: members || [],
+          outputDir: output_dir,
+          format,
+          maxChars: max_chars
+        });
 
-        // For binary data, return metadata only
         return {
           content: [
             {
               type: 'text',
-              text: JSON.stringify({
-                document_id: result.document_id,
-                type: result.type,
-                content_type: result.content_type,
-                note: 'Document downloaded successfully. Binary data not displayed.'
-              }, null, 2)
+              text: JSON.stringify(result, null, 2)
             }
           ]
         };
       }
 
       case 'get_japan_documents_by_date': {
-        const { date } = params;
+        const { date, document_types } = params;
         if (!date) {
           throw new Error('date parameter is required for get_japan_documents_by_date');
         }
 
-        const results = await edinetApi.getDocumentsByDate(date);
+        const results = await edinetApi.getDocumentsByDate(date, { documentTypes: document_types });
         return {
           content: [
             {
@@ -309,12 +441,12 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       }
 
       case 'get_japan_filing_facts': {
-        const { document_id } = params;
+        const { document_id, source } = params;
         if (!document_id) {
           throw new Error('document_id parameter is required for get_japan_filing_facts');
         }
 
-        const results = await edinetApi.getFilingFacts(document_id);
+        const results = await edinetApi.getFilingFacts(document_id, { source });
         return {
           content: [
             {
@@ -342,15 +474,77 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
+      case 'get_japan_financial_statements': {
+        const { document_id, statements, statement_basis, source } = params;
+        if (!document_id) {
+          throw new Error('document_id parameter is required for get_japan_financial_statements');
+        }
+
+        const results = await edinetApi.getFinancialStatements(document_id, {
+          statements,
+          basis: statement_basis,
+          source
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(results, null, 2)
+            }
+          ]
+        };
+      }
+
+      case 'validate_filing_calculations': {
+        const { document_id, source, include_consistent } = params;
+        if (!document_id) {
+          throw new Error('document_id parameter is required for validate_filing_calculations');
+        }
+
+        const results = await edinetApi.validateFilingCalculations(document_id, {
+          source,
+          includeConsistent: include_consistent
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(results, null, 2)
+            }
+          ]
+        };
+      }
+
+      case 'get_japan_large_shareholdings': {
+        const { edinet_code, start_date, end_date, limit } = params;
+        if (!edinet_code) {
+          throw new Error('edinet_code parameter is required for get_japan_large_shareholdings');
+        }
+
+        const results = await edinetApi.getLargeShareholdings(edinet_code, {
+          startDate: start_date,
+          endDate: end_date,
+          limit
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(results, null, 2)
+            }
+          ]
+        };
+      }
+
       // ============= KOREA DART METHODS =============
 
       case 'search_korea_companies': {
-        const { query, limit } = params;
+        const { query, limit, listed_only } = params;
         if (!query) {
           throw new Error('query parameter is required for search_korea_companies');
         }
 
-        const results = await dartApi.searchCompanies(query, { limit });
+        const results = await dartApi.searchCompanies(query, { limit, listedOnly: listed_only });
         return {
           content: [
             {
@@ -379,7 +573,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       }
 
       case 'get_korea_company_filings': {
-        const { corp_code, start_date, end_date, report_type, limit } = params;
+        const { corp_code, start_date, end_date, report_type, limit, latest_only } = params;
         if (!corp_code) {
           throw new Error('corp_code parameter is required for get_korea_company_filings');
         }
@@ -388,7 +582,8 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           startDate: start_date,
           endDate: end_date,
           reportType: report_type,
-          limit
+          limit,
+          latestOnly: latest_only
         });
 
         return {
@@ -401,13 +596,38 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
+      case 'get_korea_filing_document': {
+        const { receipt_number, sections, document_file, format, max_chars } = params;
+        if (!receipt_number) {
+          throw new Error('receipt_number parameter is required for get_korea_filing_document');
+        }
+
+        const result = await dartDocument.getFilingDocument(receipt_number, {
+          sections: sections || [],
+          file: document_file,
+          format,
+          maxChars: max_chars
+        });
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(result, null, 2)
+            }
+          ]
+        };
+      }
+
       case 'get_korea_financial_statements': {
-        const { corp_code, business_year, report_code } = params;
+        const { corp_code, business_year, report_code, statement_basis } = params;
         if (!corp_code || !business_year) {
           throw new Error('corp_code and business_year parameters are required for get_korea_financial_statements');
         }
 
-        const results = await dartApi.getFinancialStatements(corp_code, business_year, report_code);
+        const results = await dartApi.getFinancialStatements(corp_code, business_year, report_code, {
+          basis: statement_basis
+        });
         return {
           content: [
             {
@@ -435,13 +655,72 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
-      case 'get_korea_executive_info': {
+      case 'get_korea_insider_ownership': {
         const { corp_code } = params;
+        if (!corp_code) {
+          throw new Error('corp_code parameter is required for get_korea_insider_ownership');
+        }
+
+        const results = await dartApi.getInsiderOwnership(corp_code);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(results, null, 2)
+            }
+          ]
+        };
+      }
+
+      case 'get_korea_ownership_history': {
+        const { corp_code, start_date, end_date, holder } = params;
+        if (!corp_code) {
+          throw new Error('corp_code parameter is required for get_korea_ownership_history');
+        }
+
+        const results = await dartApi.getOwnershipHistory(corp_code, {
+          startDate: start_date,
+          endDate: end_date,
+          holder
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(results, null, 2)
+            }
+          ]
+        };
+      }
+
+      case 'get_korea_executive_info': {
+        const { corp_code, business_year, report_code } = params;
         if (!corp_code) {
           throw new Error('corp_code parameter is required for get_korea_executive_info');
         }
 
-        const results = await dartApi.getExecutiveInfo(corp_code);
+        const results = await dartApi.getExecutiveInfo(corp_code, business_year, report_code);
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(results, null, 2)
+            }
+          ]
+        };
+      }
+
+      case 'get_korea_executive_history': {
+        const { corp_code, business_year, periods, include_quarterly } = params;
+        if (!corp_code) {
+          throw new Error('corp_code parameter is required for get_korea_executive_history');
+        }
+
+        const results = await dartApi.getExecutiveHistory(corp_code, {
+          endYear: business_year,
+          periods,
+          includeQuarterly: include_quarterly
+        });
         return {
           content: [
             {
@@ -469,17 +748,56 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
+      case 'get_korea_report_item': {
+        const { corp_code, item, business_year, report_code } = params;
+        if (!corp_code || !item || !business_year) {
+          throw new Error('corp_code, item and business_year parameters are required for get_korea_report_item');
+        }
+
+        const results = await dartApi.getReportItem(corp_code, item, business_year, report_code || '11011');
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(results, null, 2)
+            }
+          ]
+        };
+      }
+
+      case 'get_korea_material_events': {
+        const { corp_code, start_date, end_date, event_types } = params;
+        if (!corp_code) {
+          throw new Error('corp_code parameter is required for get_korea_material_events');
+        }
+
+        const results = await dartApi.getMaterialEvents(corp_code, {
+          startDate: start_date,
+          endDate: end_date,
+          eventTypes: event_types
+        });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(results, null, 2)
+            }
+          ]
+        };
+      }
+
       case 'get_korea_dimensional_facts': {
-        const { corp_code, business_year, report_code, search_criteria } = params;
-        if (!corp_code || !business_year) {
-          throw new Error('corp_code and business_year parameters are required for get_korea_dimensional_facts');
+        const { corp_code, business_year, report_code, search_criteria, statement_basis, source, receipt_number } = params;
+        if (!corp_code || (!business_year && !receipt_number)) {
+          throw new Error('corp_code and business_year (or receipt_number) parameters are required for get_korea_dimensional_facts');
         }
 
         const results = await dartApi.getDimensionalFacts(
           corp_code,
           business_year,
           report_code || '11011',
-          search_criteria || {}
+          search_criteria || {},
+          { basis: statement_basis, source, receiptNumber: receipt_number }
         );
         return {
           content: [
@@ -495,7 +813,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
 
       case 'build_fact_table':
       case 'search_facts_by_value': {
-        const { country, company_id, target_value, tolerance, document_id, options } = params;
+        const { country, company_id, target_value, tolerance, document_id, statement_basis, options } = params;
 
         if (!country || !company_id || target_value === undefined) {
           throw new Error('country, company_id, and target_value parameters are required for build_fact_table/search_facts_by_value');
@@ -507,6 +825,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           targetValue: target_value,
           tolerance: tolerance || 50000000,
           documentId: document_id,
+          statementBasis: statement_basis,
           options: options || {}
         });
 
@@ -521,7 +840,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       }
 
       case 'time_series_analysis': {
-        const { country, company_id, options } = params;
+        const { country, company_id, statement_basis, options } = params;
 
         if (!country || !company_id) {
           throw new Error('country and company_id parameters are required for time_series_analysis');
@@ -530,6 +849,7 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         const results = await timeSeriesAnalyzer.timeSeriesAnalysis({
           country,
           companyId: company_id,
+          statementBasis: statement_basis,
           options: options || {}
         });
 
@@ -570,6 +890,24 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
         };
       }
 
+      case 'get_fiscal_calendar': {
+        const { country, company_id, years } = params;
+        if (!country || !company_id) {
+          throw new Error('country and company_id parameters are required for get_fiscal_calendar');
+        }
+
+        const results = await fiscalCalendar.getFiscalCalendar(country, company_id, { years });
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify(results, null, 2)
+            }
+          ]
+        };
+      }
+
       default:
         throw new Error(`Unknown method: ${method}`);
     }
@@ -0,0 +1,272 @@
+/**
+ * Inline XBRL Transformation Registry (ixt / ixt-jpn) formats used in EDINET filings
+ *
+ * Format names are matched on their local name with hyphens removed, so TR1-TR3 names
+ * (ixt:numdotdecimal, ixt:dateerayearmonthdayjp) and TR4+ names
+ * (ixt:num-dot-decimal, ixt:date-era-year-month-day-jpn) resolve to the same transform.
+ */
+
+const KANJI_DIGITS = {
+  '〇': 0, '零': 0, '一': 1, '壱': 1, '二': 2, '弐': 2, '三': 3, '参': 3, '四': 4,
+  '五': 5, '六': 6, '七': 7, '八': 8, '九': 9
+};
+const KANJI_SMALL_UNITS = { '十': 10, '拾': 10, '百': 100, '千': 1000, '阡': 1000 };
+const KANJI_LARGE_UNITS = { '万': 1e4, '萬': 1e4, '億': 1e8, '兆': 1e12 };
+
+// Japanese eras (first year as Gregorian year)
+const JAPANESE_ERAS = {
+  '令和': 2019, 'R': 2019,
+  '平成': 1989, 'H': 1989,
+  '昭和': 1926, 'S': 1926,
+  '大正': 1912, 'T': 1912,
+  '明治': 1868, 'M': 1868
+};
+
+/**
+ * Normalize a format QName to a lookup key ("ixt:num-dot-decimal" -> "numdotdecimal")
+ * @param {string} format - Format attribute value
+ * @returns {string} Lookup key
+ */
+export function formatKey(format) {
+  if (!format) return '';
+  return format.split(':').pop().toLowerCase().replace(/-/g, '');
+}
+
+/**
+ * Parse a group of Arabic or kanji digits below 10,000 (e.g. "2,345", "三千五百")
+ */
+function parseKanjiGroup(text) {
+  if (/^[\d,.]+$/.test(text)) {
+    return parseFloat(text.replace(/,/g, ''));
+  }
+
+  let total = 0;
+  let digit = null;
+
+  for (const char of text) {
+    if (char in KANJI_DIGITS) {
+      digit = (digit || 0) * 10 + KANJI_DIGITS[char];
+    } else if (/\d/.test(char)) {
+      digit = (digit || 0) * 10 + Number(char);
+    } else if (char in KANJI_SMALL_UNITS) {
+      total += (digit === null ? 1 : digit) * KANJI_SMALL_UNITS[char];
+      digit = null;
+    } else if (char !== ',') {
+      return NaN;
+    }
+  }
+
+  return total + (digit || 0);
+}
+
+/**
+ * Parse Japanese numerals: full-width digits, kanji digits and 万/億/兆 units
+ * @param {string} text - Text such as "1億2,345万", "三千五百", "１２３"
+ * @returns {number|null} Parsed value or null
+ */
+export function parseJapaneseNumber(text) {
+  if (!text) return null;
+
+  const cleaned = text.normalize('NFKC').replace(/[\s円株個人%％]/g, '');
+  if (!cleaned) return null;
+
+  let total = 0;
+  let group = '';
+
+  for (const char of cleaned) {
+    if (char in KANJI_LARGE_UNITS) {
+      const value = group === '' ? 1 : parseKanjiGroup(group);
+      if (isNaN(value)) return null;
+      total += value * KANJI_LARGE_UNITS[char];
+      group = '';
+    } else {
+      group += char;
+    }
+  }
+
+  if (group !== '') {
+    const value = parseKanjiGroup(group);
+    if (isNaN(value)) return null;
+    total += value;
+  }
+
+  return total;
+}
+
+/**
+ * Build an ISO date string, validating the parts
+ */
+function isoDate(year, month, day) {
+  const y = Number(year);
+  const m = Number(month);
+  const d = day === undefined ? null : Number(day);
+  if (!y || !m || m < 1 || m > 12) return null;
+  if (d === null) return `${y}-${String(m).padStart(2, '0')}`;
+  if (d < 1 || d > 31) return null;
+  return `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+}
+
+/**
+ * Convert a number written in Arabic or kanji digits ("元" = 1)
+ */
+function toInteger(text) {
+  if (text === '元') return 1;
+  return parseJapaneseNumber(text);
+}
+
+/**
+ * Parse a Japanese era date ("令和5年3月31日", "平成元年4月", "R5.3.31")
+ */
+function parseEraDate(text, withDay) {
+  const cleaned = text.normalize('NFKC').replace(/\s/g, '');
+  const match = cleaned.match(/^(令和|平成|昭和|大正|明治|[RHSTM])(元|[\d〇一二三四五六七八九十]+)[年.](\d+|[〇一二三四五六七八九十]+)[月.]?(?:(\d+|[〇一二三四五六七八九十]+)日?)?$/);
+  if (!match) return null;
+
+  const eraYear = toInteger(match[2]);
+  const year = JAPANESE_ERAS[match[1]] + eraYear - 1;
+  return isoDate(year, toInteger(match[3]), withDay ? toInteger(match[4]) : undefined);
+}
+
+/**
+ * Parse a CJK date ("2024年3月31日", "2024年3月")
+ */
+function parseCJKDate(text, withDay) {
+  const cleaned = text.normalize('NFKC').replace(/\s/g, '');
+  const match = cleaned.match(/^(\d{2,4}|[〇一二三四五六七八九]+)年(\d+|[〇一二三四五六七八九十]+)月(?:(\d+|[〇一二三四五六七八九十]+)日)?$/);
+  if (!match) return null;
+
+  let year = toInteger(match[1]);
+  if (year < 100) year += 2000;
+  return isoDate(year, toInteger(match[2]), withDay ? toInteger(match[3]) : undefined);
+}
+
+/**
+ * Parse a numeric date with separators, given the order of its parts
+ */
+function parseSeparatedDate(text, order) {
+  const parts = text.normalize('NFKC').trim().split(/[^\d]+/).filter(Boolean);
+  if (parts.length < 3) return null;
+
+  const fields = {};
+  order.forEach((key, i) => {
+    fields[key] = parts[i];
+  });
+
+  let year = Number(fields.y);
+  if (year < 100) year += 2000;
+  return isoDate(year, fields.m, fields.d);
+}
+
+/**
+ * Parse "1,234.56" style numbers (dot decimal)
+ */
+function parseDotDecimal(text) {
+  const cleaned = text.normalize('NFKC').replace(/[^\d.]/g, '');
+  if (!/\d/.test(cleaned)) return null;
+  const value = parseFloat(cleaned);
+  return isNaN(value) ? null : value;
+}
+
+/**
+ * Parse "1.234,56" style numbers (comma decimal)
+ */
+function parseCommaDecimal(text) {
+  const cleaned = text.normalize('NFKC').replace(/[^\d,]/g, '').replace(',', '.');
+  if (!/\d/.test(cleaned)) return null;
+  const value = parseFloat(cleaned);
+  return isNaN(value) ? null : value;
+}
+
+/**
+ * Parse "5円30銭" / "12 dollars 50 cents" style numbers (unit decimal)
+ */
+function parseUnitDecimal(text) {
+  const groups = text.normalize('NFKC').match(/\d[\d,]*/g);
+  if (!groups) return null;
+
+  const integer = groups[0].replace(/,/g, '');
+  const fraction = groups[1] ? groups[1].replace(/,/g, '').padStart(2, '0') : '0';
+  return parseFloat(`${integer}.${fraction}`);
+}
+
+// Transforms by format key: result type and parse function
+const TRANSFORMS = {
+  // Numbers
+  numdotdecimal: { type: 'number', parse: parseDotDecimal },
+  numcommadecimal: { type: 'number', parse: parseCommaDecimal },
+  numunitdecimal: { type: 'number', parse: parseUnitDecimal },
+  numunitdecimaljpn: { type: 'number', parse: parseUnitDecimal },
+  numjpn: { type: 'number', parse: parseJapaneseNumber },
+  numdotdecimaljpn: { type: 'number', parse: parseJapaneseNumber },
+  numeralsjpn: { type: 'number', parse: parseJapaneseNumber },
+  numwordsjpn: { type: 'number', parse: parseJapaneseNumber },
+  zerodash: { type: 'number', parse: () => 0 },
+  fixedzero: { type: 'number', parse: () => 0 },
+  numdash: { type: 'number', parse: () => 0 },
+
+  // Fixed values
+  fixedempty: { type: 'string', parse: () => '' },
+  nocontent: { type: 'string', parse: () => '' },
+  fixedtrue: { type: 'boolean', parse: () => true },
+  booleantrue: { type: 'boolean', parse: () => true },
+  fixedfalse: { type: 'boolean', parse: () => false },
+  booleanfalse: { type: 'boolean', parse: () => false },
+
+  // Japanese era dates
+  dateerayearmonthdayjpn: { type: 'date', parse: text => parseEraDate(text, true) },
+  dateerayearmonthdayjp: { type: 'date', parse: text => parseEraDate(text, true) },
+  datejpnerayearmonthday: { type: 'date', parse: text => parseEraDate(text, true) },
+  dateerayearmonthjpn: { type: 'date', parse: text => parseEraDate(text, false) },
+  datejpnerayearmonth: { type: 'date', parse: text => parseEraDate(text, false) },
+
+  // CJK dates
+  dateyearmonthdaycjk: { type: 'date', parse: text => parseCJKDate(text, true) },
+  datejpnyearmonthday: { type: 'date', parse: text => parseCJKDate(text, true) },
+  dateyearmonthcjk: { type: 'date', parse: text => parseCJKDate(text, false) },
+  datejpnyearmonth: { type: 'date', parse: text => parseCJKDate(text, false) },
+
+  // Numeric dates
+  dateyearmonthday: { type: 'date', parse: text => parseSeparatedDate(text, ['y', 'm', 'd']) },
+  datedaymonthyear: { type: 'date', parse: text => parseSeparatedDate(text, ['d', 'm', 'y']) },
+  datemonthdayyear: { type: 'date', parse: text => parseSeparatedDate(text, ['m', 'd', 'y']) },
+  dateslashus: { type: 'date', parse: text => parseSeparatedDate(text, ['m', 'd', 'y']) },
+  dateslasheu: { type: 'date', parse: text => parseSeparatedDate(text, ['d', 'm', 'y']) },
+  datedotus: { type: 'date', parse: text => parseSeparatedDate(text, ['m', 'd', 'y']) },
+  datedoteu: { type: 'date', parse: text => parseSeparatedDate(text, ['d', 'm', 'y']) }
+};
+
+/**
+ * Check whether a format is implemented
+ * @param {string} format - Format attribute value
+ * @returns {boolean} True when the transform is known
+ */
+export function isSupportedFormat(format) {
+  return formatKey(format) in TRANSFORMS;
+}
+
+/**
+ * Apply an inline XBRL transformation to the displayed text of a fact
+ * @param {string} format - Format attribute value (e.g. "ixt:num-dot-decimal")
+ * @param {string} text - Displayed text
+ * @returns {Object} { value, type, supported } - value is null when the text does not match the format
+ */
+export function applyTransform(format, text) {
+  const transform = TRANSFORMS[formatKey(format)];
+  if (!transform) {
+    return { value: null, type: null, supported: false };
+  }
+
+  const value = transform.parse(text || '');
+  return {
+    value: value === undefined || (typeof value === 'number' && isNaN(value)) ? null : value,
+    type: transform.type,
+    supported: true
+  };
+}
+
+export default {
+  formatKey,
+  isSupportedFormat,
+  applyTransform,
+  parseJapaneseNumber
+};
@@ -0,0 +1,96 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Local on-disk store for data that is expensive to fetch repeatedly
+ * (EDINET daily document lists, code lists, downloaded packages).
+ * Location can be overridden with the ASIA_FILINGS_CACHE_DIR environment variable.
+ */
+const STORE_ROOT = process.env.ASIA_FILINGS_CACHE_DIR ||
+  path.join(os.homedir(), '.cache', 'asia-filings-mcp-server');
+
+/**
+ * Resolve a path inside the local store
+ * @param {...string} segments - Path segments below the store root
+ * @returns {string} Absolute path
+ */
+export function storePath(...segments) {
+  return path.join(STORE_ROOT, ...segments);
+}
+
+/**
+ * Read a JSON file from the local store
+ * @param {string} filePath - Absolute file path
+ * @param {*} fallback - Value returned when the file does not exist or is unreadable
+ * @returns {Promise<*>} Parsed JSON or fallback
+ */
+export async function readJSON(filePath, fallback = null) {
+  try {
+    const content = await fs.readFile(filePath, 'utf8');
+    return JSON.parse(content);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+/**
+ * Write a JSON file to the local store (atomically, via a temporary file)
+ * @param {string} filePath - Absolute file path
+ * @param {*} data - Data to serialize
+ * @returns {Promise<void>}
+ */
+export async function writeJSON(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(data));
+  await fs.rename(tmpPath, filePath);
+}
+
+/**
+ * Read a binary file from the local store
+ * @param {string} filePath - Absolute file path
+ * @returns {Promise<Buffer|null>} File contents or null when missing
+ */
+export async function readBuffer(filePath) {
+  try {
+    return await fs.readFile(filePath);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Write a binary file to the local store
+ * @param {string} filePath - Absolute file path
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<void>}
+ */
+export async function writeBuffer(filePath, buffer) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tmpPath, buffer);
+  await fs.rename(tmpPath, filePath);
+}
+
+/**
+ * List files in a local store directory
+ * @param {string} dirPath - Absolute directory path
+ * @returns {Promise<Array<string>>} File names (empty when the directory does not exist)
+ */
+export async function listFiles(dirPath) {
+  try {
+    return await fs.readdir(dirPath);
+  } catch (error) {
+    return [];
+  }
+}
+
+export default {
+  storePath,
+  readJSON,
+  writeJSON,
+  readBuffer,
+  writeBuffer,
+  listFiles
+};
@@ -1,7 +1,10 @@
 import * as edinetApi from './edinet-api.js';
 import * as dartApi from './dart-api.js';
 import * as xbrlParser from './xbrl-parser.js';
-import { formatCurrency, extractGeographyFromDimensions, extractSegmentFromDimensions } from './fact-table-builder.js';
+import * as fiscalCalendar from './fiscal-calendar.js';
+import * as edinetDocTypes from './edinet-doc-types.js';
+import * as conceptMap from './concept-map.js';
+import { formatCurrency, formatFactValue, extractGeographyFromDimensions, extractSegmentFromDimensions } from './fact-table-builder.js';
 
 /**
  * Perform time-series dimensional analysis across multiple periods
@@ -11,6 +14,7 @@ import { formatCurrency, extractGeographyFromDimensions, extractSegmentFromDimen
  * @param {Object} params - Parameters
  * @param {string} params.country - Country code ('JP' or 'KR')
  * @param {string} params.companyId - EDINET code (JP) or corp code (KR)
+ * @param {string} params.statementBasis - KR: CFS (consolidated), OFS (separate) or auto
  * @param {Object} params.options - Analysis options
  * @returns {Promise<Object>} Time-series analysis with growth rates and trends
  */
@@ -18,12 +22,17 @@ export async function timeSeriesAnalysis(params) {
   const {
     country,
     companyId,
+    statementBasis = 'auto',
     options = {}
   } = params;
 
   const defaultOptions = {
-    concept: 'Revenue', // Concept to track (Revenue, Assets, NetIncome, etc.)
+    concept: 'Revenue', // Concept to track (Revenue, Assets, NetIncome, etc.); canonical metric names use the concept map
+    metric: null, // Canonical metric to track (Revenue, OperatingIncome, TotalAssets, ...); overrides concept
     periods: 4, // Number of periods to analyze
+    fiscalPeriod: null, // FY, H1, Q1, Q2, Q3 or 'all' (JP); default FY, or every period of the selected documentTypes (JP)
+    documentTypes: null, // JP: document categories or docTypeCodes to analyze (e.g. ['annual_report'])
+    latestOnly: true, // JP: use the latest version of amended filings and skip withdrawn ones
     includeGeography: true,
     includeSegments: true,
     showGrowthRates: true,
@@ -37,52 +46,99 @@ export async function timeSeriesAnalysis(params) {
   try {
     const periodData = [];
 
+    if (country !== 'JP' && country !== 'KR') {
+      throw new Error('Unsupported country. Use JP for Japan or KR for Korea');
+    }
+
+    // Periods are chosen and dated from the company's fiscal calendar (settlement month, reported periods)
+    const fiscalPeriod = analysisOptions.fiscalPeriod || (country === 'JP' && analysisOptions.documentTypes ? 'all' : 'FY');
+    if (fiscalPeriod !== 'all' && !fiscalCalendar.FISCAL_PERIODS[fiscalPeriod]) {
+      throw new Error(`Unknown fiscal period "${fiscalPeriod}". Use ${Object.keys(fiscalCalendar.FISCAL_PERIODS).join(', ')} or all (JP)`);
+    }
+
+    // JP reads the document index back only until enough periods are reported
+    const calendar = await fiscalCalendar.getFiscalCalendar(country, companyId, {
+      years: analysisOptions.periods + 1,
+      latestOnly: analysisOptions.latestOnly,
+      periods: analysisOptions.periods,
+      fiscalPeriod
+    });
+
+    // Canonical metrics are read from their mapped concepts; other concepts are matched by name
+    const metric = conceptMap.resolveMetric(analysisOptions.metric || analysisOptions.concept);
+    if (analysisOptions.metric && !metric) {
+      throw new Error(`Unknown metric "${analysisOptions.metric}". Available metrics: ${Object.keys(conceptMap.METRICS).join(', ')}`);
+    }
+
+    const searchCriteria = {
+      concept: metric ? null : analysisOptions.concept,
+      valueRange: {
+        min: analysisOptions.minValue,
+        max: analysisOptions.maxValue
+      },
+      hasValue: true
+    };
+
+    // Segments and regions are the breakdowns of a metric; other dimensions are dropped
+    const breakdownAxis = axis => Boolean(extractGeographyFromDimensions({ [axis]: axis }) || extractSegmentFromDimensions({ [axis]: axis }));
+    const isTotal = fact => !extractGeographyFromDimensions(fact.dimensions) && !extractSegmentFromDimensions(fact.dimensions);
+    const periodWarnings = [];
+
+    // Only amounts of the fiscal period itself - not the three-month quarter of a year-to-date
+    // report, nor prior-year comparatives (those come from the earlier reports). A canonical
+    // metric must come to one total per period; a period where it does not is skipped.
+    const selectFacts = (facts, fiscal) => {
+      const matches = xbrlParser.filterFacts(facts, searchCriteria)
+        .filter(fact => fiscalCalendar.coversFiscalPeriod(fact.period, fiscal));
+      if (!metric) return matches;
+
+      const selected = conceptMap.selectMetricFacts(matches, metric, { breakdownAxis });
+      const totals = [...new Set(selected.filter(isTotal).map(fact => fact.value))];
+      if (totals.length > 1) {
+        periodWarnings.push(`${fiscal.label}: ${metric} has ${totals.length} different totals (${totals.join(', ')}); period skipped`);
+        return [];
+      }
+      return selected;
+    };
+
+    const enrich = facts => facts.map(fact => ({
+      ...fact,
+      geography: extractGeographyFromDimensions(fact.dimensions) || 'Total',
+      segment: extractSegmentFromDimensions(fact.dimensions) || 'Total'
+    }));
+
     if (country === 'JP') {
-      // Japan - EDINET: Get recent filings
-      const filings = await edinetApi.getCompanyFilings(companyId, {
-        limit: analysisOptions.periods * 2 // Get extra in case some fail
-      });
+      // Japan - EDINET: the periodic reports of the fiscal calendar (newest first)
+      const docTypeCodes = edinetDocTypes.resolveDocumentTypes(analysisOptions.documentTypes);
+      const candidates = calendar.reported.filter(period =>
+        (fiscalPeriod === 'all' || fiscalCalendar.isFiscalPeriod(period, fiscalPeriod)) &&
+        (!docTypeCodes || docTypeCodes.includes(period.document_type)));
 
-      if (!filings.filings || filings.filings.length === 0) {
+      if (candidates.length === 0) {
         throw new Error('No filings found for company');
       }
 
       // Extract facts from each period
-      let processedCount = 0;
-      for (let i = 0; i < filings.filings.length && processedCount < analysisOptions.periods; i++) {
-        const filing = filings.filings[i];
+      for (let i = 0; i < candidates.length && periodData.length < analysisOptions.periods; i++) {
+        const fiscal = candidates[i];
 
         try {
-          const xbrlData = await edinetApi.getFilingFacts(filing.document_id);
-
-          // Search for the concept
-          const searchCriteria = {
-            concept: analysisOptions.concept,
-            valueRange: {
-              min: analysisOptions.minValue,
-              max: analysisOptions.maxValue
-            },
-            hasValue: true
-          };
-
-          const facts = xbrlParser.filterFacts(xbrlData.facts, searchCriteria);
-
-          if (facts.length > 0) {
-            const enrichedFacts = facts.map(fact => ({
-              ...fact,
-              geography: extractGeographyFromDimensions(fact.dimensions) || 'Total',
-              segment: extractSegmentFromDimensions(fact.dimensions) || 'Total'
-            }));
+          // Statements of each concept, so a metric is read from its primary statement
+          const xbrlData = await edinetApi.getFilingFacts(fiscal.document_id, { statements: Boolean(metric) });
+          const periodFacts = selectFacts(xbrlData.facts, fiscal);
 
+          if (periodFacts.length > 0) {
             periodData.push({
-              period: filing.period_end || filing.submit_date.substring(0, 10),
-              document_id: filing.document_id,
-              submit_date: filing.submit_date,
+              period: fiscal.end_date,
+              period_label: fiscal.label,
+              fiscal_year: fiscal.fiscal_year,
+              fiscal_period: fiscal.fiscal_period,
+              period_start: fiscal.start_date,
+              document_id: fiscal.document_id,
+              submit_date: fiscal.filed,
               country: 'JP',
-              facts: enrichedFacts
+              facts: enrich(periodFacts)
             });
-
-            processedCount++;
           }
 
           // Rate limiting
@@ -94,42 +150,41 @@ export async function timeSeriesAnalysis(params) {
         }
       }
 
-    } else if (country === 'KR') {
-      // Korea - DART: Get financial statements for multiple years
-      const currentYear = new Date().getFullYear();
-      const reportCode = '11011'; // Annual reports
+    } else {
+      // Korea - DART: financial statements of the latest reported fiscal years
+      if (fiscalPeriod === 'all') {
+        throw new Error('fiscalPeriod "all" is only supported for JP; use FY, H1, Q1 or Q3');
+      }
+
+      const reportCode = fiscalCalendar.DART_REPORT_CODES[fiscalPeriod];
+      const latestYear = fiscalCalendar.latestFiscalYear(calendar, fiscalPeriod);
 
       for (let i = 0; i < analysisOptions.periods; i++) {
-        const businessYear = (currentYear - i - 1).toString();
+        const fiscal = fiscalCalendar.fiscalPeriodDates(latestYear - i, fiscalPeriod, calendar.fiscal_year_end_month);
+        const businessYear = String(fiscal.fiscal_year);
 
         try {
-          const xbrlData = await dartApi.getFinancialStatements(companyId, businessYear, reportCode);
+          const xbrlData = await dartApi.getFinancialStatements(companyId, businessYear, reportCode, {
+            basis: statementBasis,
+            fiscalYearEndMonth: calendar.fiscal_year_end_month
+          });
 
-          // Search for the concept
-          const searchCriteria = {
-            concept: analysisOptions.concept,
-            valueRange: {
-              min: analysisOptions.minValue,
-              max: analysisOptions.maxValue
-            },
-            hasValue: true
-          };
-
-          const facts = xbrlParser.filterFacts(xbrlData.facts, searchCriteria);
+          // Interim income statements: the year to date (currentCumulative), not the quarter
+          const facts = selectFacts(xbrlData.facts, fiscal);
 
           if (facts.length > 0) {
-            const enrichedFacts = facts.map(fact => ({
-              ...fact,
-              geography: extractGeographyFromDimensions(fact.dimensions) || 'Total',
-              segment: extractSegmentFromDimensions(fact.dimensions) || 'Total'
-            }));
-
             periodData.push({
-              period: `${businessYear}-12-31`,
+              period: fiscal.end_date,
+              period_label: fiscal.label,
+              fiscal_year: fiscal.fiscal_year,
+              fiscal_period: fiscal.fiscal_period,
+              period_start: fiscal.start_date,
               business_year: businessYear,
               report_code: reportCode,
+              fs_div: xbrlData.fs_div,
+              statement_basis: xbrlData.statement_basis,
               country: 'KR',
-              facts: enrichedFacts
+              facts: enrich(facts)
             });
           }
 
@@ -141,13 +196,11 @@ export async function timeSeriesAnalysis(params) {
           continue;
         }
       }
-
-    } else {
-      throw new Error('Unsupported country. Use JP for Japan or KR for Korea');
     }
 
     if (periodData.length === 0) {
-      throw new Error(`No valid period data found for concept: ${analysisOptions.concept}`);
+      throw new Error(`No valid period data found for ${metric ? `metric: ${metric}` : `concept: ${analysisOptions.concept}`}` +
+        (periodWarnings.length > 0 ? ` (${periodWarnings.join('; ')})` : ''));
     }
 
     // Sort periods (newest first)
@@ -171,12 +224,23 @@ export async function timeSeriesAnalysis(params) {
     // Calculate trends
     const trends = calculateTrends(timeSeriesTable, currencySymbol);
 
+    // With basis auto, years without consolidated statements fall back to separate statements
+    const statementBases = [...new Set(periodData.map(p => p.fs_div).filter(Boolean))];
+
     return {
       country,
       company: companyId,
-      concept: analysisOptions.concept,
+      concept: metric || analysisOptions.concept,
+      metric: metric ? { name: metric, definition: conceptMap.METRICS[metric].definition } : null,
       periods: periodData.map(p => p.period).sort(),
+      periodLabels: Object.fromEntries(periodData.map(p => [p.period, p.period_label])),
       periodsAnalyzed: periodData.length,
+      fiscalCalendar: {
+        fiscalYearEndMonth: calendar.fiscal_year_end_month,
+        source: calendar.fiscal_year_end_source,
+        fiscalPeriod,
+        latestFiscalYear: calendar.latest_fiscal_year
+      },
       timeSeries: timeSeriesTable,
       growthAnalysis,
       mixAnalysis,
@@ -189,7 +253,12 @@ export async function timeSeriesAnalysis(params) {
           to: periodData[0]?.period
         },
         uniqueGeographies: [...new Set(timeSeriesTable.map(t => t.geography))],
-        uniqueSegments: [...new Set(timeSeriesTable.map(t => t.segment))]
+        uniqueSegments: [...new Set(timeSeriesTable.map(t => t.segment))],
+        statementBases,
+        ...(periodWarnings.length > 0 && { periodWarnings }),
+        ...(statementBases.length > 1 && {
+          warning: 'Periods mix consolidated (CFS) and separate (OFS) statements; growth rates compare different bases'
+        })
       },
       source: country === 'JP' ? 'EDINET J-GAAP Time-Series Analysis' : 'DART K-GAAP Time-Series Analysis',
       taxonomy: country === 'JP' ? 'J-GAAP' : 'K-GAAP/IFRS'
@@ -210,12 +279,20 @@ function buildTimeSeriesTable(periodData, options, currencySymbol) {
     period.facts.forEach(fact => {
       table.push({
         period: period.period,
+        periodLabel: period.period_label,
+        fiscalYear: period.fiscal_year,
+        fiscalPeriod: period.fiscal_period,
         document_id: period.document_id || period.business_year,
         country: period.country,
         concept: fact.concept,
+        metric: fact.metric || null,
+        label: fact.label || null,
+        labelEn: fact.labelEn || null,
         accountName: fact.accountName || null,
+        fs_div: period.fs_div || null,
         value: fact.value,
-        valueFormatted: formatCurrency(fact.value, currencySymbol),
+        valueFormatted: formatFactValue(fact.value, fact.unitType, currencySymbol),
+        unitType: fact.unitType || null,
         geography: fact.geography,
         segment: fact.segment,
         periodType: fact.period?.instant ? 'instant' : 'duration',
@@ -241,7 +318,9 @@ function buildTimeSeriesTable(periodData, options, currencySymbol) {
  * Calculate period-over-period growth rates
  */
 function calculateGrowthRates(timeSeries, periodData, currencySymbol) {
-  const periods = periodData.map(p => p.period).sort();
+  // Newest first, so each period is compared with the one before it
+  const periods = periodData.map(p => p.period).sort().reverse();
+  const labels = Object.fromEntries(periodData.map(p => [p.period, p.period_label]));
 
   if (periods.length < 2) {
     return null;
@@ -278,6 +357,8 @@ function calculateGrowthRates(timeSeries, periodData, currencySymbol) {
         growthRates.push({
           from: priorPeriod,
           to: currentPeriod,
+          fromLabel: labels[priorPeriod],
+          toLabel: labels[currentPeriod],
           geography: geo,
           priorValue,
           currentValue,
@@ -377,7 +458,8 @@ function analyzeMix(timeSeries, options, currencySymbol) {
  * Calculate overall trends
  */
 function calculateTrends(timeSeries, currencySymbol) {
-  const periods = [...new Set(timeSeries.map(t => t.period))].sort();
+  // Newest first: the first total is the latest period
+  const periods = [...new Set(timeSeries.map(t => t.period))].sort().reverse();
 
   if (periods.length < 2) {
     return {
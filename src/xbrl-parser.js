@@ -1,8 +1,11 @@
 import * as cheerio from 'cheerio';
+import { parseDelimited } from './archive-utils.js';
+import { applyTransform } from './ixbrl-transforms.js';
+import { METRICS, metricOfConcept, metricOfFact, resolveMetric } from './concept-map.js';
 
 /**
  * Parse XBRL data from various Asian taxonomies (J-GAAP, K-GAAP)
- * Handles both inline XBRL (iXBRL) and XBRL-JSON formats
+ * Handles inline XBRL (iXBRL), XBRL instance documents, EDINET XBRL-to-CSV and XBRL-JSON formats
  */
 
 /**
@@ -30,6 +33,308 @@ function parseFactValue(text) {
   return isNegative ? -num : num;
 }
 
+/**
+ * Parse the displayed text of an ix:nonFraction fact
+ * Uses the transformation named by the format attribute, falling back to
+ * parseFactValue for facts without a (known) format
+ * @param {string} text - Displayed text
+ * @param {string} format - Format attribute value
+ * @returns {number|null} Parsed value (before scale and sign) or null
+ */
+function parseNonFractionValue(text, format) {
+  if (format) {
+    const transformed = applyTransform(format, text);
+    if (transformed.supported) {
+      return transformed.type === 'number' ? transformed.value : null;
+    }
+  }
+
+  return parseFactValue(text);
+}
+
+/**
+ * Parse xbrli:context elements (shared by inline and instance documents)
+ * @param {Function} $ - Cheerio document
+ * @returns {Object} Contexts by ID
+ */
+function parseContexts($) {
+  const contexts = {};
+
+  $('xbrli\\:context, context').each((i, elem) => {
+    const contextId = $(elem).attr('id');
+    const period = $(elem).find('xbrli\\:period, period');
+    const entity = $(elem).find('xbrli\\:entity, entity');
+
+    contexts[contextId] = {
+      id: contextId,
+      entity: $(entity).find('xbrli\\:identifier, identifier').text(),
+      period: {
+        instant: $(period).find('xbrli\\:instant, instant').text(),
+        startDate: $(period).find('xbrli\\:startDate, startDate').text(),
+        endDate: $(period).find('xbrli\\:endDate, endDate').text()
+      },
+      dimensions: {}
+    };
+
+    // Parse explicit dimensions
+    $(elem).find('xbrldi\\:explicitMember, explicitMember').each((j, dimElem) => {
+      const dimension = $(dimElem).attr('dimension');
+      const member = $(dimElem).text();
+      contexts[contextId].dimensions[dimension] = member;
+    });
+
+    // Parse typed dimensions (the member is a typed value, e.g. a property or contract ID)
+    $(elem).find('xbrldi\\:typedMember, typedMember').each((j, dimElem) => {
+      const dimension = $(dimElem).attr('dimension');
+      const valueElem = $(dimElem).children().first();
+      const value = $(dimElem).text().trim();
+
+      contexts[contextId].dimensions[dimension] = value;
+      contexts[contextId].typedDimensions = contexts[contextId].typedDimensions || {};
+      contexts[contextId].typedDimensions[dimension] = {
+        element: valueElem.length > 0 ? valueElem[0].name : null,
+        value
+      };
+    });
+  });
+
+  return contexts;
+}
+
+/**
+ * Describe a unit from its measures
+ * type is monetary (currency), shares, perShare (currency per share), pure, ratio (other divide units) or other
+ * @param {string} id - Unit ID
+ * @param {Array<string>} numerator - Measures (or numerator measures of a divide unit)
+ * @param {Array<string>} denominator - Denominator measures (empty for simple units)
+ * @returns {Object} Structured unit ({ id, measures, numerator, denominator, type, label, display })
+ */
+function describeUnit(id, numerator, denominator = []) {
+  const local = measure => measure.split(':').pop();
+  const isCurrency = measure => /^iso4217:/i.test(measure);
+  const isShares = measure => local(measure) === 'shares';
+
+  let type = 'other';
+  if (denominator.length > 0) {
+    type = numerator.length === 1 && isCurrency(numerator[0]) && denominator.length === 1 && isShares(denominator[0])
+      ? 'perShare'
+      : 'ratio';
+  } else if (numerator.length === 1 && isCurrency(numerator[0])) {
+    type = 'monetary';
+  } else if (numerator.length === 1 && isShares(numerator[0])) {
+    type = 'shares';
+  } else if (numerator.length === 1 && local(numerator[0]) === 'pure') {
+    type = 'pure';
+  }
+
+  const numeratorLabel = numerator.map(local).join('*');
+  const label = type === 'perShare'
+    ? `${numeratorLabel} per share`
+    : denominator.length > 0 ? `${numeratorLabel}/${denominator.map(local).join('*')}` : numeratorLabel;
+
+  return {
+    id,
+    measures: denominator.length > 0 ? [] : numerator,
+    numerator: denominator.length > 0 ? numerator : [],
+    denominator,
+    type,
+    label,
+    // Measure string kept as the fact's unit (e.g. iso4217:JPY, iso4217:JPY/xbrli:shares)
+    display: denominator.length > 0 ? `${numerator.join('*')}/${denominator.join('*')}` : numerator.join('*')
+  };
+}
+
+/**
+ * Parse xbrli:unit elements (shared by inline and instance documents)
+ * Divide units (e.g. JPY per share) keep their numerator and denominator measures
+ * @param {Function} $ - Cheerio document
+ * @returns {Object} Units by ID (see describeUnit)
+ */
+function parseUnits($) {
+  const units = {};
+  const measuresIn = (elem) => $(elem).find('xbrli\\:measure, measure').map((j, m) => $(m).text().trim()).get();
+
+  $('xbrli\\:unit, unit').each((i, elem) => {
+    const unitId = $(elem).attr('id');
+    const divide = $(elem).find('xbrli\\:divide, divide');
+
+    if (divide.length > 0) {
+      units[unitId] = describeUnit(
+        unitId,
+        measuresIn(divide.find('xbrli\\:unitNumerator, unitNumerator')),
+        measuresIn(divide.find('xbrli\\:unitDenominator, unitDenominator')));
+    } else {
+      units[unitId] = describeUnit(unitId, measuresIn(elem));
+    }
+  });
+
+  return units;
+}
+
+/**
+ * Read an inline XBRL attribute
+ * HTML parsing lower-cases attribute names (contextRef -> contextref), so both spellings are tried
+ * @param {Object} $elem - Cheerio element
+ * @param {string} name - Attribute name as written in the specification
+ * @returns {string|undefined} Attribute value
+ */
+function ixAttr($elem, name) {
+  return $elem.attr(name) ?? $elem.attr(name.toLowerCase());
+}
+
+/**
+ * Text of an inline XBRL element with ix:exclude content removed
+ * @param {Function} $ - Cheerio document
+ * @param {Object} elem - Element
+ * @returns {string} Displayed text
+ */
+function inlineText($, elem) {
+  const $clone = $(elem).clone();
+  $clone.find('ix\\:exclude').remove();
+  return $clone.text();
+}
+
+/**
+ * Collect ix:continuation elements by ID
+ * @param {Function} $ - Cheerio document
+ * @param {string} sourceFile - File the document was read from
+ * @returns {Object} Continuations by ID ({ $, elem, sourceFile })
+ */
+function collectContinuations($, sourceFile) {
+  const continuations = {};
+
+  $('ix\\:continuation').each((i, elem) => {
+    const id = $(elem).attr('id');
+    if (id) continuations[id] = { $, elem, sourceFile };
+  });
+
+  return continuations;
+}
+
+/**
+ * Text of an ix:nonNumeric fact including its ix:continuation chain
+ * @param {Function} $ - Cheerio document holding the fact
+ * @param {Object} elem - ix:nonNumeric element
+ * @param {Object} continuations - Continuations by ID (possibly from other files)
+ * @returns {Object} Text and the IDs of the continuations followed
+ */
+function followContinuations($, elem, continuations) {
+  let text = inlineText($, elem);
+  const followed = [];
+  let next = ixAttr($(elem), 'continuedAt');
+
+  // Guard against cyclic chains
+  while (next && continuations[next] && !followed.includes(next)) {
+    const continuation = continuations[next];
+    followed.push(next);
+    text += inlineText(continuation.$, continuation.elem);
+    next = ixAttr(continuation.$(continuation.elem), 'continuedAt');
+  }
+
+  return { text, followed };
+}
+
+/**
+ * Extract ix:nonFraction and ix:nonNumeric facts from one inline XBRL document
+ * @param {Function} $ - Cheerio document
+ * @param {Object} state - Contexts, units and continuations (merged across a document set)
+ * @param {Object} options - includeNonNumeric and sourceFile
+ * @returns {Array} Facts
+ */
+function extractInlineFacts($, state, options = {}) {
+  const { includeNonNumeric = false, sourceFile = null } = options;
+  const { contexts, units, continuations } = state;
+  const source = sourceFile ? { sourceFile } : {};
+  const facts = [];
+
+  // Parse inline XBRL facts (ix:nonFraction for numeric values)
+  $('ix\\:nonFraction, ix\\:nonfraction').each((i, elem) => {
+    const $elem = $(elem);
+    const name = $elem.attr('name');
+    const contextRef = ixAttr($elem, 'contextRef');
+    const unitRef = ixAttr($elem, 'unitRef');
+    const decimals = $elem.attr('decimals');
+    const scale = $elem.attr('scale') || '0';
+    const format = $elem.attr('format');
+    const sign = $elem.attr('sign') || null;
+    const isNil = $elem.attr('xsi:nil') === 'true';
+
+    const text = inlineText($, elem);
+    let value = isNil ? null : parseNonFractionValue(text, format);
+
+    // Apply scale (rounded to avoid floating point noise such as 530.0000000001)
+    if (value !== null && scale) {
+      const scaleNum = parseInt(scale, 10);
+      value = Number((value * Math.pow(10, scaleNum)).toPrecision(15));
+    }
+
+    // The displayed text never carries the sign; sign="-" marks a negative fact
+    if (value !== null && sign === '-') {
+      value = -value;
+    }
+
+    if (value !== null || includeNonNumeric) {
+      const [namespace, concept] = name.includes(':') ? name.split(':', 2) : ['unknown', name];
+
+      facts.push({
+        namespace,
+        concept,
+        value,
+        rawValue: text,
+        contextRef,
+        unitRef,
+        unit: units[unitRef]?.display,
+        unitType: units[unitRef]?.type || null,
+        decimals,
+        scale,
+        format,
+        sign,
+        nil: isNil,
+        context: contexts[contextRef],
+        period: contexts[contextRef]?.period,
+        dimensions: contexts[contextRef]?.dimensions || {},
+        ...source
+      });
+    }
+  });
+
+  // Parse inline XBRL text facts (ix:nonNumeric for text values)
+  if (includeNonNumeric) {
+    $('ix\\:nonNumeric, ix\\:nonnumeric').each((i, elem) => {
+      const $elem = $(elem);
+      const name = $elem.attr('name');
+      const contextRef = ixAttr($elem, 'contextRef');
+      const format = $elem.attr('format');
+      const isNil = $elem.attr('xsi:nil') === 'true';
+      const { text, followed } = followContinuations($, elem, continuations);
+
+      const [namespace, concept] = name.includes(':') ? name.split(':', 2) : ['unknown', name];
+
+      // Dates, booleans and fixed values are reported in their transformed (XML Schema) form
+      const transformed = format && !isNil ? applyTransform(format, text) : null;
+
+      facts.push({
+        namespace,
+        concept,
+        value: null,
+        rawValue: text,
+        transformedValue: transformed?.supported ? transformed.value : null,
+        contextRef,
+        format,
+        nil: isNil,
+        context: contexts[contextRef],
+        period: contexts[contextRef]?.period,
+        dimensions: contexts[contextRef]?.dimensions || {},
+        type: transformed?.type === 'date' ? 'date' : 'text',
+        ...(followed.length > 0 ? { continuations: followed } : {}),
+        ...source
+      });
+    });
+  }
+
+  return facts;
+}
+
 /**
  * Extract XBRL facts from inline XBRL (iXBRL) HTML document
  * Used for Japanese EDINET filings
@@ -46,158 +351,1025 @@ export function parseIXBRL(htmlContent, options = {}) {
       decodeEntities: true
     });
 
-    const facts = [];
+    const contexts = parseContexts($);
+    const units = parseUnits($);
+    const continuations = collectContinuations($, null);
+    const facts = extractInlineFacts($, { contexts, units, continuations }, { includeNonNumeric });
+
+    return {
+      facts,
+      contexts,
+      units,
+      total_facts: facts.length,
+      numeric_facts: facts.filter(f => f.value !== null).length,
+      source: 'iXBRL Parser'
+    };
+
+  } catch (error) {
+    throw new Error(`Failed to parse iXBRL: ${error.message}`);
+  }
+}
+
+/**
+ * Extract XBRL facts from an inline XBRL document set
+ * EDINET filings split one report over many HTML files: the ix:header (contexts, units)
+ * usually sits in the first file only, and ix:continuation chains can cross files.
+ * Headers and continuations are merged across the set before facts are read.
+ * @param {Array<Object>} files - Documents ({ name, content })
+ * @param {Object} options - Parsing options
+ * @returns {Object} Parsed XBRL data (same fact shape as parseIXBRL, plus sourceFile)
+ */
+export function parseIXBRLDocumentSet(files, options = {}) {
+  const { includeNonNumeric = false } = options;
+
+  try {
+    const documents = files.map(file => ({
+      name: file.name,
+      $: cheerio.load(file.content, { xmlMode: false, decodeEntities: true })
+    }));
+
     const contexts = {};
     const units = {};
+    const continuations = {};
 
-    // Parse contexts
-    $('xbrli\\:context, context').each((i, elem) => {
-      const contextId = $(elem).attr('id');
-      const period = $(elem).find('xbrli\\:period, period');
-      const entity = $(elem).find('xbrli\\:entity, entity');
-
-      contexts[contextId] = {
-        id: contextId,
-        entity: $(entity).find('xbrli\\:identifier, identifier').text(),
-        period: {
-          instant: $(period).find('xbrli\\:instant, instant').text(),
-          startDate: $(period).find('xbrli\\:startDate, startDate').text(),
-          endDate: $(period).find('xbrli\\:endDate, endDate').text()
-        },
-        dimensions: {}
-      };
+    for (const doc of documents) {
+      doc.contexts = parseContexts(doc.$);
+      doc.units = parseUnits(doc.$);
+      Object.assign(contexts, doc.contexts);
+      Object.assign(units, doc.units);
+      Object.assign(continuations, collectContinuations(doc.$, doc.name));
+    }
 
-      // Parse explicit dimensions
-      $(elem).find('xbrldi\\:explicitMember, explicitMember').each((j, dimElem) => {
-        const dimension = $(dimElem).attr('dimension');
-        const member = $(dimElem).text();
-        contexts[contextId].dimensions[dimension] = member;
+    const facts = [];
+    const fileSummary = documents.map(doc => {
+      const docFacts = extractInlineFacts(doc.$, { contexts, units, continuations }, {
+        includeNonNumeric,
+        sourceFile: doc.name
       });
+      facts.push(...docFacts);
+
+      return {
+        file: doc.name,
+        has_header: doc.$('ix\\:header').length > 0,
+        contexts: Object.keys(doc.contexts).length,
+        units: Object.keys(doc.units).length,
+        facts: docFacts.length
+      };
     });
 
-    // Parse units
-    $('xbrli\\:unit, unit').each((i, elem) => {
-      const unitId = $(elem).attr('id');
-      const measure = $(elem).find('xbrli\\:measure, measure').text();
-      units[unitId] = measure;
+    return {
+      facts,
+      contexts,
+      units,
+      files: fileSummary,
+      total_facts: facts.length,
+      numeric_facts: facts.filter(f => f.value !== null).length,
+      source: 'iXBRL Document Set Parser'
+    };
+
+  } catch (error) {
+    throw new Error(`Failed to parse iXBRL document set: ${error.message}`);
+  }
+}
+
+/**
+ * Local name of an element (without namespace prefix)
+ */
+function localName(elem) {
+  return (elem.name || '').split(':').pop();
+}
+
+/**
+ * Parse link:footnoteLink elements of an XBRL instance
+ * @param {Function} $ - Cheerio document (XML mode)
+ * @returns {Object} Footnotes and footnote texts by fact ID
+ */
+function parseFootnotes($) {
+  const footnotes = [];
+  const byFactId = {};
+
+  $('*').filter((i, elem) => localName(elem) === 'footnoteLink').each((i, link) => {
+    const locs = {};
+    const notes = {};
+
+    $(link).children().each((j, child) => {
+      const $child = $(child);
+      const label = $child.attr('xlink:label');
+
+      if (localName(child) === 'loc') {
+        const factId = ($child.attr('xlink:href') || '').split('#').pop();
+        (locs[label] = locs[label] || []).push(factId);
+      } else if (localName(child) === 'footnote') {
+        notes[label] = {
+          id: $child.attr('id') || label,
+          lang: $child.attr('xml:lang') || null,
+          role: $child.attr('xlink:role') || null,
+          text: $child.text().trim()
+        };
+      }
     });
 
-    // Parse inline XBRL facts (ix:nonFraction for numeric values)
-    $('ix\\:nonFraction, ix\\:nonfraction').each((i, elem) => {
+    $(link).children().filter((j, child) => localName(child) === 'footnoteArc').each((j, arc) => {
+      const note = notes[$(arc).attr('xlink:to')];
+      if (!note) return;
+
+      for (const factId of locs[$(arc).attr('xlink:from')] || []) {
+        (byFactId[factId] = byFactId[factId] || []).push(note.text);
+        footnotes.push({ factId, ...note });
+      }
+    });
+  });
+
+  return { footnotes, byFactId };
+}
+
+/**
+ * Parse a traditional XBRL instance document (.xbrl)
+ * Used for the XBRL/PublicDoc instance in EDINET filing packages
+ * @param {string} xmlContent - XBRL instance XML
+ * @param {Object} options - Parsing options
+ * @returns {Object} Parsed XBRL data (same fact shape as parseIXBRL)
+ */
+export function parseXBRLInstance(xmlContent, options = {}) {
+  const { includeNonNumeric = false } = options;
+
+  try {
+    const $ = cheerio.load(xmlContent, {
+      xmlMode: true,
+      decodeEntities: true
+    });
+
+    const facts = [];
+    const contexts = parseContexts($);
+    const units = parseUnits($);
+    const { footnotes, byFactId } = parseFootnotes($);
+
+    // Facts are the elements carrying a contextRef (tuples are walked recursively)
+    $('[contextRef]').each((i, elem) => {
       const $elem = $(elem);
-      const name = $elem.attr('name');
+      const name = elem.name;
       const contextRef = $elem.attr('contextRef');
       const unitRef = $elem.attr('unitRef');
-      const decimals = $elem.attr('decimals');
-      const scale = $elem.attr('scale') || '0';
-      const format = $elem.attr('format');
+      const isNil = $elem.attr('xsi:nil') === 'true';
+      const rawValue = $elem.text();
+      const [namespace, concept] = name.includes(':') ? name.split(':', 2) : ['unknown', name];
+      const factId = $elem.attr('id');
 
-      const text = $elem.text();
-      let value = parseFactValue(text);
-
-      // Apply scale
-      if (value !== null && scale) {
-        const scaleNum = parseInt(scale, 10);
-        value = value * Math.pow(10, scaleNum);
-      }
-
-      if (value !== null || includeNonNumeric) {
-        const [namespace, concept] = name.includes(':') ? name.split(':', 2) : ['unknown', name];
+      if (unitRef) {
+        const value = isNil ? null : parseFactValue(rawValue);
+        if (value === null && !includeNonNumeric) return;
 
         facts.push({
           namespace,
           concept,
           value,
-          rawValue: text,
+          rawValue,
           contextRef,
           unitRef,
-          unit: units[unitRef],
-          decimals,
-          scale,
-          format,
+          unit: units[unitRef]?.display,
+          unitType: units[unitRef]?.type || null,
+          decimals: $elem.attr('decimals'),
           context: contexts[contextRef],
           period: contexts[contextRef]?.period,
-          dimensions: contexts[contextRef]?.dimensions || {}
+          dimensions: contexts[contextRef]?.dimensions || {},
+          ...(isNil && { nil: true }),
+          ...(factId && byFactId[factId] && { footnotes: byFactId[factId] })
         });
-      }
-    });
-
-    // Parse inline XBRL text facts (ix:nonNumeric for text values)
-    if (includeNonNumeric) {
-      $('ix\\:nonNumeric, ix\\:nonnumeric').each((i, elem) => {
-        const $elem = $(elem);
-        const name = $elem.attr('name');
-        const contextRef = $elem.attr('contextRef');
-
-        const [namespace, concept] = name.includes(':') ? name.split(':', 2) : ['unknown', name];
-
+      } else if (includeNonNumeric) {
         facts.push({
           namespace,
           concept,
           value: null,
-          rawValue: $elem.text(),
+          rawValue,
           contextRef,
           context: contexts[contextRef],
           period: contexts[contextRef]?.period,
           dimensions: contexts[contextRef]?.dimensions || {},
-          type: 'text'
+          type: 'text',
+          ...(isNil && { nil: true }),
+          ...(factId && byFactId[factId] && { footnotes: byFactId[factId] })
         });
+      }
+    });
+
+    return {
+      facts,
+      contexts,
+      units,
+      footnotes,
+      total_facts: facts.length,
+      numeric_facts: facts.filter(f => f.value !== null).length,
+      source: 'XBRL Instance Parser'
+    };
+
+  } catch (error) {
+    throw new Error(`Failed to parse XBRL instance: ${error.message}`);
+  }
+}
+
+// Label roles (http://www.xbrl.org/2003/role/...) to label keys
+export const LABEL_ROLES = {
+  label: 'standard',
+  terseLabel: 'terse',
+  verboseLabel: 'verbose'
+};
+
+/**
+ * Parse a label linkbase (_lab.xml, _lab-en.xml)
+ * Concepts are keyed by the locator's href fragment, which in EDINET taxonomies is
+ * "{prefix}_{localName}" (e.g. jppfs_cor_NetSales)
+ * @param {string} xmlContent - Label linkbase XML
+ * @returns {Object} Labels by concept key, then language, then role (standard, terse, verbose, ...)
+ */
+export function parseLabelLinkbase(xmlContent) {
+  try {
+    const $ = cheerio.load(xmlContent, {
+      xmlMode: true,
+      decodeEntities: true
+    });
+
+    const labels = {};
+
+    $('*').filter((i, elem) => localName(elem) === 'labelLink').each((i, link) => {
+      const locs = {};
+      const resources = {};
+
+      $(link).children().each((j, child) => {
+        const $child = $(child);
+        const label = $child.attr('xlink:label');
+
+        if (localName(child) === 'loc') {
+          const key = ($child.attr('xlink:href') || '').split('#').pop();
+          (locs[label] = locs[label] || []).push(key);
+        } else if (localName(child) === 'label') {
+          const role = ($child.attr('xlink:role') || 'http://www.xbrl.org/2003/role/label').split('/').pop();
+          (resources[label] = resources[label] || []).push({
+            role: LABEL_ROLES[role] || role,
+            lang: ($child.attr('xml:lang') || 'ja').split('-')[0],
+            text: $child.text().trim()
+          });
+        }
+      });
+
+      $(link).children().filter((j, child) => localName(child) === 'labelArc').each((j, arc) => {
+        const keys = locs[$(arc).attr('xlink:from')] || [];
+        const texts = resources[$(arc).attr('xlink:to')] || [];
+
+        for (const key of keys) {
+          for (const { role, lang, text } of texts) {
+            labels[key] = labels[key] || {};
+            labels[key][lang] = labels[key][lang] || {};
+            labels[key][lang][role] = text;
+          }
+        }
       });
+    });
+
+    return labels;
+
+  } catch (error) {
+    throw new Error(`Failed to parse label linkbase: ${error.message}`);
+  }
+}
+
+/**
+ * Merge label maps (later maps win for the same concept, language and role)
+ * @param {...Object} labelMaps - Maps returned by parseLabelLinkbase
+ * @returns {Object} Merged labels
+ */
+export function mergeLabels(...labelMaps) {
+  const merged = {};
+
+  for (const labels of labelMaps) {
+    for (const [key, byLang] of Object.entries(labels || {})) {
+      merged[key] = merged[key] || {};
+      for (const [lang, byRole] of Object.entries(byLang)) {
+        merged[key][lang] = { ...merged[key][lang], ...byRole };
+      }
     }
+  }
+
+  return merged;
+}
+
+/**
+ * Attach labels to facts
+ * Adds labels ({ ja: { standard, terse, verbose }, en: {...} }), label (standard label in the
+ * filing language, Japanese by default) and labelEn (English standard). Labels already set by
+ * the parser are kept.
+ * @param {Array} facts - Facts
+ * @param {Object} labels - Labels from parseLabelLinkbase / mergeLabels
+ * @param {Object} options - Options (lang: language of label, 'ja' or 'ko')
+ * @returns {number} Number of facts that received labels
+ */
+export function applyLabels(facts, labels, options = {}) {
+  const { lang = 'ja' } = options;
+  let labelled = 0;
+
+  for (const fact of facts) {
+    const factLabels = labels[`${fact.namespace}_${fact.concept}`];
+    if (!factLabels) continue;
+
+    fact.labels = factLabels;
+    fact.label = fact.label || factLabels[lang]?.standard || null;
+    fact.labelEn = fact.labelEn || factLabels.en?.standard || null;
+    labelled++;
+  }
+
+  return labelled;
+}
+
+/**
+ * Parse a calculation linkbase (_cal.xml) into summation-item relationships
+ * Concepts are keyed like labels ("{prefix}_{localName}", the locator's href fragment)
+ * @param {string} xmlContent - Calculation linkbase XML
+ * @returns {Array<Object>} Relationships ({ role, parent, children: [{ concept, weight, order }] })
+ */
+export function parseCalculationLinkbase(xmlContent) {
+  try {
+    const $ = cheerio.load(xmlContent, {
+      xmlMode: true,
+      decodeEntities: true
+    });
+
+    const relationships = [];
+
+    $('*').filter((i, elem) => localName(elem) === 'calculationLink').each((i, link) => {
+      const role = $(link).attr('xlink:role') || null;
+      const locs = {};
+      const byParent = {};
+
+      $(link).children().filter((j, child) => localName(child) === 'loc').each((j, loc) => {
+        locs[$(loc).attr('xlink:label')] = ($(loc).attr('xlink:href') || '').split('#').pop();
+      });
+
+      $(link).children().filter((j, child) => localName(child) === 'calculationArc').each((j, arc) => {
+        const $arc = $(arc);
+        // Prohibited arcs remove a relationship from a base set; they are not checks
+        if ($arc.attr('use') === 'prohibited') return;
+
+        const parent = locs[$arc.attr('xlink:from')];
+        const concept = locs[$arc.attr('xlink:to')];
+        if (!parent || !concept) return;
+
+        if (!byParent[parent]) {
+          byParent[parent] = { role, parent, children: [] };
+          relationships.push(byParent[parent]);
+        }
+        byParent[parent].children.push({
+          concept,
+          weight: parseFloat($arc.attr('weight') || '1'),
+          order: parseFloat($arc.attr('order') || '0')
+        });
+      });
+    });
+
+    relationships.forEach(relationship => relationship.children.sort((a, b) => a.order - b.order));
+    return relationships;
+
+  } catch (error) {
+    throw new Error(`Failed to parse calculation linkbase: ${error.message}`);
+  }
+}
+
+/**
+ * Parse a presentation linkbase (_pre.xml) into one ordered tree per extended link role
+ * Concepts are keyed like labels ("{prefix}_{localName}", the locator's href fragment)
+ * @param {string} xmlContent - Presentation linkbase XML
+ * @returns {Array<Object>} Trees ({ role, roots: [{ concept, order, preferredLabel, children }] })
+ */
+export function parsePresentationLinkbase(xmlContent) {
+  try {
+    const $ = cheerio.load(xmlContent, {
+      xmlMode: true,
+      decodeEntities: true
+    });
+
+    // Arcs by role (a role can be split over several presentationLink elements)
+    const arcsByRole = {};
+
+    $('*').filter((i, elem) => localName(elem) === 'presentationLink').each((i, link) => {
+      const role = $(link).attr('xlink:role') || '';
+      const locs = {};
+
+      $(link).children().filter((j, child) => localName(child) === 'loc').each((j, loc) => {
+        locs[$(loc).attr('xlink:label')] = ($(loc).attr('xlink:href') || '').split('#').pop();
+      });
+
+      $(link).children().filter((j, child) => localName(child) === 'presentationArc').each((j, arc) => {
+        const $arc = $(arc);
+        if ($arc.attr('use') === 'prohibited') return;
+
+        const parent = locs[$arc.attr('xlink:from')];
+        const concept = locs[$arc.attr('xlink:to')];
+        if (!parent || !concept) return;
+
+        (arcsByRole[role] = arcsByRole[role] || []).push({
+          parent,
+          concept,
+          order: parseFloat($arc.attr('order') || '0'),
+          preferredLabel: $arc.attr('preferredLabel') || null
+        });
+      });
+    });
+
+    return Object.entries(arcsByRole).map(([role, arcs]) => {
+      const childArcs = {};
+      for (const arc of arcs) {
+        (childArcs[arc.parent] = childArcs[arc.parent] || []).push(arc);
+      }
+      Object.values(childArcs).forEach(list => list.sort((a, b) => a.order - b.order));
+
+      const childConcepts = new Set(arcs.map(arc => arc.concept));
+      const rootConcepts = [...new Set(arcs.map(arc => arc.parent))].filter(concept => !childConcepts.has(concept));
+
+      // Path guard: cyclic arcs are not followed
+      const buildNode = (concept, order, preferredLabel, path) => ({
+        concept,
+        order,
+        preferredLabel,
+        children: path.includes(concept)
+          ? []
+          : (childArcs[concept] || []).map(arc =>
+            buildNode(arc.concept, arc.order, arc.preferredLabel, [...path, concept]))
+      });
+
+      return {
+        role: role || null,
+        roots: rootConcepts.map(concept => buildNode(concept, 0, null, []))
+      };
+    });
+
+  } catch (error) {
+    throw new Error(`Failed to parse presentation linkbase: ${error.message}`);
+  }
+}
+
+/**
+ * Rounding tolerance allowed by a decimals attribute (half a unit of the last reported digit)
+ */
+function decimalsTolerance(decimals) {
+  if (decimals === undefined || decimals === null || decimals === '' || decimals === 'INF') return 0;
+  const places = parseInt(decimals, 10);
+  return isNaN(places) ? 0 : 0.5 * Math.pow(10, -places);
+}
+
+/**
+ * Check summation-item relationships against facts, context by context
+ * A relationship is checked for every context (and unit) that has the total and at least one item.
+ * The allowed difference is the sum of the rounding tolerances of the total and its items.
+ * @param {Array} facts - Parsed facts (parseIXBRL / parseXBRLInstance)
+ * @param {Array} relationships - Relationships from parseCalculationLinkbase
+ * @param {Object} options - Options (includeConsistent: also list passing checks)
+ * @returns {Object} Check counts, inconsistencies and per-role summary
+ */
+export function validateCalculations(facts, relationships, options = {}) {
+  const { includeConsistent = false } = options;
+
+  // Numeric facts by concept key, context and unit (first occurrence wins for duplicates)
+  const index = {};
+  const duplicates = [];
+  for (const fact of facts) {
+    if (fact.value === null || fact.value === undefined || fact.nil) continue;
+
+    const key = `${fact.namespace}_${fact.concept}|${fact.contextRef}|${fact.unitRef || ''}`;
+    if (index[key]) {
+      if (index[key].value !== fact.value) duplicates.push(key);
+      continue;
+    }
+    index[key] = fact;
+  }
+
+  const totalsByConcept = {};
+  for (const fact of Object.values(index)) {
+    const conceptKey = `${fact.namespace}_${fact.concept}`;
+    (totalsByConcept[conceptKey] = totalsByConcept[conceptKey] || []).push(fact);
+  }
+
+  const results = [];
+  const byRole = {};
+
+  for (const relationship of relationships) {
+    for (const total of totalsByConcept[relationship.parent] || []) {
+      const contributors = [];
+      const missing = [];
+
+      for (const child of relationship.children) {
+        const fact = index[`${child.concept}|${total.contextRef}|${total.unitRef || ''}`];
+        if (fact) {
+          contributors.push({
+            concept: child.concept,
+            weight: child.weight,
+            value: fact.value,
+            decimals: fact.decimals ?? null
+          });
+        } else {
+          missing.push(child.concept);
+        }
+      }
+
+      if (contributors.length === 0) continue;
+
+      const computed = Number(contributors.reduce((sum, c) => sum + c.weight * c.value, 0).toPrecision(15));
+      const difference = Number((total.value - computed).toPrecision(15));
+      const tolerance = decimalsTolerance(total.decimals) +
+        contributors.reduce((sum, c) => sum + decimalsTolerance(c.decimals), 0);
+      const consistent = Math.abs(difference) <= tolerance;
+
+      const roleName = (relationship.role || '').split('/').pop();
+      byRole[roleName] = byRole[roleName] || { checked: 0, inconsistent: 0 };
+      byRole[roleName].checked++;
+      if (!consistent) byRole[roleName].inconsistent++;
+
+      results.push({
+        consistent,
+        role: relationship.role,
+        concept: relationship.parent,
+        contextRef: total.contextRef,
+        period: total.period,
+        dimensions: total.dimensions || {},
+        unit: total.unit,
+        reported_value: total.value,
+        computed_sum: computed,
+        difference,
+        tolerance,
+        decimals: total.decimals ?? null,
+        contributors,
+        missing_items: missing
+      });
+    }
+  }
+
+  const inconsistencies = results
+    .filter(result => !result.consistent)
+    .sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference));
+
+  return {
+    relationships: relationships.length,
+    checks: results.length,
+    consistent: results.length - inconsistencies.length,
+    inconsistent: inconsistencies.length,
+    inconsistencies,
+    ...(includeConsistent && { consistent_checks: results.filter(result => result.consistent) }),
+    by_role: byRole,
+    duplicate_facts: [...new Set(duplicates)]
+  };
+}
+
+// EDINET XBRL-to-CSV column headers
+const CSV_COLUMNS = {
+  '要素ID': 'elementId',
+  '項目名': 'label',
+  'コンテキストID': 'contextId',
+  '相対年度': 'relativeYear',
+  '連結・個別': 'consolidation',
+  '期間・時点': 'periodType',
+  'ユニットID': 'unitId',
+  '単位': 'unitLabel',
+  '値': 'value'
+};
+
+// Common EDINET unit IDs as measures
+const CSV_UNIT_MEASURES = {
+  JPY: 'iso4217:JPY',
+  USD: 'iso4217:USD',
+  shares: 'xbrli:shares',
+  pure: 'xbrli:pure'
+};
+
+/**
+ * Describe a CSV unit ID (JPY, shares, pure, JPYPerShares, ...)
+ */
+function csvUnit(unitId) {
+  const measure = id => CSV_UNIT_MEASURES[id] || CSV_UNIT_MEASURES[id.toLowerCase()] || id;
+  const divide = unitId.match(/^(\w+?)Per(\w+)$/);
+
+  return divide
+    ? describeUnit(unitId, [measure(divide[1])], [measure(divide[2])])
+    : describeUnit(unitId, [measure(unitId)]);
+}
+
+/**
+ * Shift an ISO date by whole years (clamping Feb 29)
+ */
+function shiftYears(isoDate, years) {
+  if (!isoDate || years === 0) return isoDate || '';
+  const [y, m, d] = isoDate.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(y + years, m, 0)).getUTCDate();
+  return `${y + years}-${String(m).padStart(2, '0')}-${String(Math.min(d, lastDay)).padStart(2, '0')}`;
+}
+
+/**
+ * Resolve an EDINET context ID (CurrentYearDuration, Prior1YearInstant, CurrentYTDDuration, ...)
+ * to period dates using the DEI cover facts of the same filing
+ * FilingDateInstant is dated by the filing date on the cover page; other contexts are left without
+ * dates and flagged undated
+ */
+function resolveContextPeriod(contextId, dei) {
+  const period = { instant: '', startDate: '', endDate: '' };
+  const base = contextId.split('_')[0];
+  if (base === 'FilingDateInstant') {
+    return dei.filingDate ? { ...period, instant: dei.filingDate } : { ...period, undated: true };
+  }
+
+  const match = base.match(/^(Current|Prior(\d+))(Year|YTD|Quarter|Interim)(Duration|Instant)$/);
+  if (!match) return { ...period, undated: true };
+
+  const offset = -(parseInt(match[2] || '0', 10));
+  const kind = match[3];
+  const isInstant = match[4] === 'Instant';
+
+  let start = shiftYears(dei.fiscalYearStart, offset);
+  let end = kind === 'Year'
+    ? shiftYears(dei.fiscalYearEnd, offset)
+    : shiftYears(dei.periodEnd || dei.fiscalYearEnd, offset);
+
+  if (kind === 'Quarter' && end) {
+    const quarterStart = new Date(`${end}T00:00:00Z`);
+    quarterStart.setUTCDate(1);
+    quarterStart.setUTCMonth(quarterStart.getUTCMonth() - 2);
+    start = quarterStart.toISOString().split('T')[0];
+  }
+
+  if (isInstant) {
+    period.instant = end;
+  } else {
+    period.startDate = start;
+    period.endDate = end;
+  }
+  return period;
+}
+
+/**
+ * Derive dimensions from the member suffixes of an EDINET context ID
+ * Only the consolidation and operating segment axes can be told from a suffix; the context keeps
+ * all suffixes as contextMembers
+ */
+function contextIdDimensions(contextId, consolidation) {
+  const dimensions = {};
+
+  for (const member of contextId.split('_').slice(1)) {
+    if (member === 'NonConsolidatedMember') {
+      dimensions['jppfs_cor:ConsolidatedOrNonConsolidatedAxis'] = 'jppfs_cor:NonConsolidatedMember';
+    } else if (/SegmentMember$/.test(member) || /ReportableSegment/.test(member)) {
+      dimensions['jpcrp_cor:OperatingSegmentsAxis'] = member;
+    }
+  }
+
+  if (consolidation === '個別' && !dimensions['jppfs_cor:ConsolidatedOrNonConsolidatedAxis']) {
+    dimensions['jppfs_cor:ConsolidatedOrNonConsolidatedAxis'] = 'jppfs_cor:NonConsolidatedMember';
+  }
+
+  return dimensions;
+}
+
+/**
+ * Parse EDINET XBRL-to-CSV files (download type 5)
+ * Files are tab-separated with element ID, label, context ID, relative year,
+ * consolidation flag, period type, unit and value columns.
+ * @param {Array<Object>|string} files - CSV files ({ name, content }) or a single CSV text
+ * @param {Object} options - Parsing options
+ * @returns {Object} Parsed XBRL data (same fact shape as parseIXBRL, with Japanese labels)
+ */
+export function parseXBRLCSV(files, options = {}) {
+  const { includeNonNumeric = false } = options;
+  const csvFiles = typeof files === 'string' ? [{ name: null, content: files }] : files;
+
+  try {
+    const rows = [];
+
+    csvFiles.forEach(file => {
+      const table = parseDelimited(file.content, '\t');
+      const header = (table[0] || []).map(cell => CSV_COLUMNS[cell.trim()] || null);
+      if (!header.includes('elementId')) return;
+
+      table.slice(1).forEach(cells => {
+        const row = { sourceFile: file.name };
+        header.forEach((key, i) => {
+          if (key) row[key] = (cells[i] || '').trim();
+        });
+        rows.push(row);
+      });
+    });
+
+    // DEI cover facts give the fiscal year and period dates needed to date contexts
+    const deiValue = (concept) => rows.find(row => row.elementId === `jpdei_cor:${concept}`)?.value || '';
+    const dei = {
+      fiscalYearStart: deiValue('CurrentFiscalYearStartDateDEI'),
+      fiscalYearEnd: deiValue('CurrentFiscalYearEndDateDEI'),
+      periodEnd: deiValue('CurrentPeriodEndDateDEI'),
+      typeOfCurrentPeriod: deiValue('TypeOfCurrentPeriodDEI'),
+      // Cover page filing date (jpcrp_cor:FilingDateCoverPage, jplvh_cor:FilingDateCoverPage, ...)
+      filingDate: rows.find(row => /:FilingDate/.test(row.elementId) && /^\d{4}-\d{2}-\d{2}$/.test(row.value))?.value || ''
+    };
+
+    const facts = [];
+    const contexts = {};
+    const units = {};
+
+    rows.forEach(row => {
+      const { elementId, contextId, unitId } = row;
+      if (!elementId || !contextId) return;
+
+      if (!contexts[contextId]) {
+        contexts[contextId] = {
+          id: contextId,
+          entity: '',
+          period: resolveContextPeriod(contextId, dei),
+          dimensions: contextIdDimensions(contextId, row.consolidation),
+          contextMembers: contextId.split('_').slice(1),
+          relativeYear: row.relativeYear,
+          consolidation: row.consolidation
+        };
+      }
+      if (unitId && !units[unitId]) {
+        units[unitId] = csvUnit(unitId);
+      }
+
+      const [namespace, concept] = elementId.includes(':') ? elementId.split(':', 2) : ['unknown', elementId];
+      const isNil = row.value === '－' || row.value === '';
+      const value = unitId && !isNil ? parseFloat(row.value) : null;
+      const context = contexts[contextId];
+
+      if (unitId && value !== null && !isNaN(value)) {
+        facts.push({
+          namespace,
+          concept,
+          label: row.label,
+          value,
+          rawValue: row.value,
+          contextRef: contextId,
+          unitRef: unitId,
+          unit: units[unitId].display,
+          unitType: units[unitId].type,
+          unitLabel: row.unitLabel,
+          context,
+          period: context.period,
+          dimensions: context.dimensions,
+          sourceFile: row.sourceFile
+        });
+      } else if (includeNonNumeric) {
+        facts.push({
+          namespace,
+          concept,
+          label: row.label,
+          value: null,
+          rawValue: row.value,
+          contextRef: contextId,
+          context,
+          period: context.period,
+          dimensions: context.dimensions,
+          type: unitId ? 'numeric' : 'text',
+          ...(isNil && { nil: true }),
+          sourceFile: row.sourceFile
+        });
+      }
+    });
 
     return {
       facts,
       contexts,
       units,
+      dei,
       total_facts: facts.length,
       numeric_facts: facts.filter(f => f.value !== null).length,
-      source: 'iXBRL Parser'
+      source: 'XBRL-CSV Parser (EDINET)'
     };
 
   } catch (error) {
-    throw new Error(`Failed to parse iXBRL: ${error.message}`);
+    throw new Error(`Failed to parse XBRL CSV: ${error.message}`);
   }
 }
 
+// DART statement divisions (sj_div)
+const DART_STATEMENTS = {
+  BS: 'Balance Sheet',
+  IS: 'Income Statement',
+  CIS: 'Statement of Comprehensive Income',
+  CF: 'Cash Flow Statement',
+  SCE: 'Statement of Changes in Equity'
+};
+
+// Months from the start of the fiscal year to the end of the reporting period, by report code
+const DART_REPORT_MONTHS = { '11013': 3, '11012': 6, '11014': 9, '11011': 12 };
+
+// DART account_id of accounts without a standard taxonomy element
+const DART_NON_STANDARD_ACCOUNT = '-표준계정코드 미사용-';
+
+/**
+ * Work out the reporting periods of a DART report
+ * The business year (bsns_year) is the fiscal year starting in that calendar year
+ * @param {string} businessYear - Business year (YYYY)
+ * @param {string} reportCode - Report code (11013: Q1, 11012: Q2, 11014: Q3, 11011: Annual)
+ * @param {number} fiscalYearEndMonth - Month the fiscal year ends in (1-12)
+ * @returns {Object} Interim flag and fiscal year start, quarter start and period end of the current, prior and pre-prior years
+ */
+function dartReportPeriods(businessYear, reportCode, fiscalYearEndMonth = 12) {
+  const months = DART_REPORT_MONTHS[reportCode] || 12;
+  const firstMonth = fiscalYearEndMonth % 12; // zero-based month after the fiscal year end
+  const iso = (year, month, day) => new Date(Date.UTC(year, month, day)).toISOString().split('T')[0];
+
+  const yearPeriods = yearsBack => {
+    const year = Number(businessYear) - yearsBack;
+    return {
+      fiscalYearStart: iso(year, firstMonth, 1),
+      quarterStart: iso(year, firstMonth + months - 3, 1),
+      end: iso(year, firstMonth + months, 0),
+      fiscalYearEnd: iso(year, firstMonth + 12, 0)
+    };
+  };
+
+  return {
+    interim: months < 12,
+    current: yearPeriods(0),
+    prior: yearPeriods(1),
+    prePrior: yearPeriods(2)
+  };
+}
+
+/**
+ * Read a DART period text ("2023.12.31 현재", "2023.01.01 ~ 2023.12.31")
+ * @returns {Object|null} { instant } or { startDate, endDate }
+ */
+function parseDartPeriodText(text) {
+  if (!text) return null;
+
+  const dates = [...text.matchAll(/(\d{4})[.\-/](\d{1,2})[.\-/](\d{1,2})/g)]
+    .map(match => `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`);
+
+  if (dates.length >= 2) return { startDate: dates[0], endDate: dates[1] };
+  if (dates.length === 1) return { instant: dates[0] };
+  return null;
+}
+
+/**
+ * Amount columns of a DART row as terms with their period role and dates
+ * Balance sheet amounts are instants; income statement amounts of interim reports are the
+ * quarter (thstrm_amount) and the year to date (thstrm_add_amount); cash flow and equity
+ * statements are always year to date
+ * @param {Object} row - fnlttSinglAcntAll / fnlttSinglAcnt row
+ * @param {Object} periods - From dartReportPeriods
+ * @returns {Object} Terms by role (current, currentCumulative, prior, priorCumulative, prePrior)
+ */
+function dartRowTerms(row, periods) {
+  const instant = row.sj_div === 'BS';
+  const quarterly = periods.interim && (row.sj_div === 'IS' || row.sj_div === 'CIS');
+
+  const duration = (year, fromQuarter) => ({
+    startDate: fromQuarter ? year.quarterStart : year.fiscalYearStart,
+    endDate: year.end
+  });
+
+  const columns = instant ? [
+    ['current', row.thstrm_nm, row.thstrm_amount, { instant: periods.current.end }, row.thstrm_dt],
+    ['prior', row.frmtrm_nm, row.frmtrm_amount, { instant: periods.prior.fiscalYearEnd }, row.frmtrm_dt],
+    ['prePrior', row.bfefrmtrm_nm, row.bfefrmtrm_amount, { instant: periods.prePrior.fiscalYearEnd }, row.bfefrmtrm_dt]
+  ] : quarterly ? [
+    ['current', row.thstrm_nm, row.thstrm_amount, duration(periods.current, true), row.thstrm_dt],
+    ['currentCumulative', row.thstrm_nm, row.thstrm_add_amount, duration(periods.current, false)],
+    ['prior', row.frmtrm_q_nm || row.frmtrm_nm, row.frmtrm_q_amount ?? row.frmtrm_amount, duration(periods.prior, true), row.frmtrm_dt],
+    ['priorCumulative', row.frmtrm_nm, row.frmtrm_add_amount, duration(periods.prior, false)]
+  ] : [
+    ['current', row.thstrm_nm, row.thstrm_amount, duration(periods.current, false), row.thstrm_dt],
+    ['prior', row.frmtrm_nm, row.frmtrm_amount, duration(periods.prior, false), row.frmtrm_dt],
+    ['prePrior', row.bfefrmtrm_nm, row.bfefrmtrm_amount, duration(periods.prePrior, false), row.bfefrmtrm_dt]
+  ];
+
+  const terms = {};
+  for (const [role, name, amount, period, periodText] of columns) {
+    if (amount === undefined || amount === null || String(amount).trim() === '') continue;
+
+    terms[role] = {
+      name: name || null,
+      rawValue: amount,
+      value: parseFactValue(amount),
+      period: parseDartPeriodText(periodText) || period
+    };
+  }
+
+  // In first-quarter reports the year to date is the quarter itself
+  for (const [cumulative, quarter] of [['currentCumulative', 'current'], ['priorCumulative', 'prior']]) {
+    if (terms[cumulative] && terms[quarter] && terms[cumulative].period.startDate === terms[quarter].period.startDate) {
+      delete terms[cumulative];
+    }
+  }
+
+  return terms;
+}
+
+/**
+ * Equity component of a statement of changes in equity row, as a dimension
+ * account_detail lists the member path ("자본 [member]|이익잉여금 [member]")
+ */
+function dartRowDimensions(row) {
+  const detail = (row.account_detail || '').trim();
+  if (row.sj_div !== 'SCE' || !detail || detail === '-') return {};
+
+  const member = detail.split('|').pop().replace(/\s*\[member\]\s*$/i, '').trim();
+  return member ? { ComponentsOfEquityAxis: member } : {};
+}
+
 /**
  * Parse XBRL from JSON format
- * Used for Korean DART financial statements
+ * Used for Korean DART financial statements (fnlttSinglAcntAll / fnlttSinglAcnt rows).
+ * Rows are grouped into statements by sj_div and ordered by ord; every amount column becomes
+ * one fact with its period role and period dates.
  * @param {Object} jsonData - XBRL data in JSON format
- * @returns {Object} Parsed XBRL data
+ * @param {Object} options - Options (fsDiv: CFS/OFS the list was requested for, basis: consolidated/separate,
+ *   fiscalYearEndMonth: month the fiscal year ends in, default 12)
+ * @returns {Object} Parsed statements and facts
  */
-export function parseXBRLJSON(jsonData) {
+export function parseXBRLJSON(jsonData, options = {}) {
+  const { fsDiv = null, basis = null, fiscalYearEndMonth = 12 } = options;
+
   try {
     const facts = [];
+    const statements = {};
+
+    const rows = Array.isArray(jsonData.list) ? jsonData.list : [];
+    const sorted = [...rows].sort((a, b) => (Number(a.ord) || 0) - (Number(b.ord) || 0));
+
+    for (const row of sorted) {
+      const periods = dartReportPeriods(row.bsns_year, row.reprt_code, fiscalYearEndMonth);
+      const terms = dartRowTerms(row, periods);
+      const accountId = row.account_id && row.account_id !== DART_NON_STANDARD_ACCOUNT ? row.account_id : null;
+      const accountDetail = row.account_detail && row.account_detail !== '-' ? row.account_detail : null;
+      const currency = row.currency || 'KRW';
+      const unitType = /PerShare/i.test(accountId || '') || /주당/.test(row.account_nm || '') ? 'perShare' : 'monetary';
+      const dimensions = dartRowDimensions(row);
+      const sjDiv = row.sj_div || 'UNKNOWN';
 
-    // DART returns financial statements as array of line items
-    if (Array.isArray(jsonData.list)) {
-      jsonData.list.forEach(item => {
-        // Each item has account_nm (account name), thstrm_amount (current term amount), etc.
-        const value = parseFactValue(item.thstrm_amount || item.frmtrm_amount || '0');
+      if (!statements[sjDiv]) {
+        statements[sjDiv] = {
+          sj_div: sjDiv,
+          name: DART_STATEMENTS[sjDiv] || row.sj_nm || sjDiv,
+          nameKo: row.sj_nm || null,
+          fs_div: fsDiv,
+          periods: {},
+          items: []
+        };
+      }
+      const statement = statements[sjDiv];
+
+      for (const [role, term] of Object.entries(terms)) {
+        if (!statement.periods[role]) {
+          statement.periods[role] = { name: term.name, ...term.period };
+        } else if (!statement.periods[role].name) {
+          statement.periods[role].name = term.name;
+        }
 
         facts.push({
           namespace: 'k-gaap',
-          concept: item.account_id || item.account_nm,
-          accountName: item.account_nm,
-          accountId: item.account_id,
-          value,
-          rawValue: item.thstrm_amount || item.frmtrm_amount,
-          currency: item.currency || 'KRW',
+          concept: accountId || row.account_nm,
+          accountName: row.account_nm,
+          accountId,
+          accountDetail,
+          statement: sjDiv,
+          value: term.value,
+          rawValue: term.rawValue,
+          currency,
+          unit: currency,
+          unitType,
           period: {
-            year: item.bsns_year,
-            reportType: item.reprt_code
+            ...term.period,
+            year: row.bsns_year,
+            reportType: row.reprt_code
           },
-          // Additional Korean-specific fields
-          currentTerm: parseFactValue(item.thstrm_amount),
-          previousTerm: parseFactValue(item.frmtrm_amount),
-          beforePreviousTerm: parseFactValue(item.bfefrmtrm_amount),
-          ord: item.ord, // Order/sequence
+          periodRole: role,
+          periodName: term.name,
+          dimensions,
+          ord: row.ord, // Order/sequence
+          fs_div: fsDiv,
+          basis,
           source: 'DART'
         });
+      }
+
+      statement.items.push({
+        ord: row.ord,
+        accountId,
+        accountName: row.account_nm,
+        accountDetail,
+        currency,
+        currentTerm: terms.current ? terms.current.value : null,
+        currentCumulative: terms.currentCumulative ? terms.currentCumulative.value : null,
+        previousTerm: terms.prior ? terms.prior.value : null,
+        previousCumulative: terms.priorCumulative ? terms.priorCumulative.value : null,
+        beforePreviousTerm: terms.prePrior ? terms.prePrior.value : null,
+        terms
       });
     }
 
+    // Statements in the usual order, others after
+    const order = Object.keys(DART_STATEMENTS);
+    const rank = statement => (order.includes(statement.sj_div) ? order.indexOf(statement.sj_div) : order.length);
+    const statementList = Object.values(statements)
+      .sort((a, b) => rank(a) - rank(b))
+      .map(statement => ({ ...statement, total_items: statement.items.length }));
+
     return {
+      statements: statementList,
+      total_statements: statementList.length,
       facts,
       total_facts: facts.length,
       numeric_facts: facts.filter(f => f.value !== null).length,
@@ -212,11 +1384,16 @@ export function parseXBRLJSON(jsonData) {
 /**
  * Classify fact type based on concept name and taxonomy (Enhanced)
  * Supports J-GAAP (Japan) and K-GAAP (Korea) taxonomies
+ * Concepts of a canonical metric (concept-map.js) take the metric's category; other concepts
+ * are classified by the keywords in their name
  * @param {string} concept - XBRL concept name
  * @param {string} taxonomy - Taxonomy (J-GAAP, K-GAAP, etc.)
  * @returns {string} Fact type classification
  */
 export function classifyFact(concept, taxonomy = 'unknown') {
+  const metric = metricOfConcept(concept);
+  if (metric) return METRICS[metric].category;
+
   const conceptLower = concept.toLowerCase();
 
   // Expense concepts - CHECK FIRST (more specific patterns like costofsales, 매출원가)
@@ -404,13 +1581,31 @@ export function extractDimensions(facts) {
  * @returns {Array} Filtered facts
  */
 export function filterFacts(facts, criteria = {}) {
-  const { concept, valueRange, period, hasValue, hasDimensions } = criteria;
+  const { concept, label, metric, valueRange, period, hasValue, hasDimensions, unitType } = criteria;
+
+  // Canonical metrics (string or array), e.g. "Revenue", ["TotalAssets", "TotalEquity"]
+  const metrics = metric ? (Array.isArray(metric) ? metric : [metric]).map(name => {
+    const resolved = resolveMetric(name);
+    if (!resolved) throw new Error(`Unknown metric "${name}". Available metrics: ${Object.keys(METRICS).join(', ')}`);
+    return resolved;
+  }) : null;
 
   return facts.filter(fact => {
     if (concept && !fact.concept.toLowerCase().includes(concept.toLowerCase())) {
       return false;
     }
 
+    // Labels and DART account names (e.g. "매출", "売上高")
+    if (label) {
+      const wanted = label.toLowerCase();
+      const names = [fact.label, fact.labelEn, fact.accountName].filter(Boolean);
+      if (!names.some(name => name.toLowerCase().includes(wanted))) return false;
+    }
+
+    if (metrics && !metrics.includes(metricOfFact(fact)?.name)) {
+      return false;
+    }
+
     if (hasValue && fact.value === null) {
       return false;
     }
@@ -430,6 +1625,12 @@ export function filterFacts(facts, criteria = {}) {
       return false;
     }
 
+    // Unit type: monetary, perShare, shares, pure, ratio, other (string or array)
+    if (unitType) {
+      const wanted = Array.isArray(unitType) ? unitType : [unitType];
+      if (!wanted.includes(fact.unitType)) return false;
+    }
+
     return true;
   });
 }
@@ -484,7 +1685,16 @@ export { parseFactValue };
 
 export default {
   parseIXBRL,
+  parseIXBRLDocumentSet,
+  parseXBRLInstance,
+  parseXBRLCSV,
   parseXBRLJSON,
+  parseLabelLinkbase,
+  mergeLabels,
+  applyLabels,
+  parseCalculationLinkbase,
+  parsePresentationLinkbase,
+  validateCalculations,
   classifyFact,
   extractDimensions,
   filterFacts,
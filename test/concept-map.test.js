@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveMetric, metricOfFact, selectMetricFacts } from '../src/concept-map.js';
+
+const FY2024 = { startDate: '2024-04-01', endDate: '2025-03-31' };
+const NON_CONSOLIDATED = { 'jpcrp_cor:ConsolidatedOrNonConsolidatedAxis': 'jpcrp_cor:NonConsolidatedMember' };
+
+const fact = (namespace, concept, value, extra = {}) => ({ namespace, concept, value, period: FY2024, dimensions: {}, ...extra });
+
+test('resolveMetric accepts canonical names and aliases', () => {
+  assert.equal(resolveMetric('revenue'), 'Revenue');
+  assert.equal(resolveMetric('Assets'), 'TotalAssets');
+  assert.equal(resolveMetric('net_income'), 'NetIncome');
+  assert.equal(resolveMetric('Inventories'), null);
+});
+
+test('metricOfFact maps DART account IDs and account names', () => {
+  assert.equal(metricOfFact({ namespace: 'k-gaap', concept: 'ifrs-full_Revenue', accountId: 'ifrs-full_Revenue' }).name, 'Revenue');
+  assert.equal(metricOfFact({ namespace: 'k-gaap', concept: 'ifrs_Revenue', accountId: 'ifrs_Revenue' }).name, 'Revenue');
+  assert.equal(metricOfFact({ namespace: 'k-gaap', concept: 'dart_OperatingIncomeLoss', accountId: 'dart_OperatingIncomeLoss' }).name, 'OperatingIncome');
+  assert.equal(metricOfFact({ namespace: 'k-gaap', concept: '영업수익', accountId: null, accountName: '영업수익' }).name, 'Revenue');
+  assert.equal(metricOfFact(fact('jpcrp_cor', 'RevenueFromExternalCustomers', 1)), null);
+});
+
+test('selectMetricFacts prefers primary statement concepts over the summary of business results', () => {
+  const selected = selectMetricFacts([
+    fact('jpcrp_cor', 'NetSalesSummaryOfBusinessResults', 1000),
+    fact('jppfs_cor', 'NetSales', 1000)
+  ], 'Revenue');
+
+  assert.deepEqual(selected.map(f => f.concept), ['NetSales']);
+});
+
+test('selectMetricFacts uses consolidated IFRS revenue, not parent-only J-GAAP net sales', () => {
+  const selected = selectMetricFacts([
+    fact('jpigp_cor', 'RevenueIFRS', 4000),
+    fact('jppfs_cor', 'NetSales', 900, { dimensions: NON_CONSOLIDATED })
+  ], 'Revenue');
+
+  assert.deepEqual(selected.map(f => [f.concept, f.value]), [['RevenueIFRS', 4000]]);
+});
+
+test('selectMetricFacts falls back to non-consolidated figures when there are no consolidated ones', () => {
+  const selected = selectMetricFacts([fact('jppfs_cor', 'NetSales', 900, { dimensions: NON_CONSOLIDATED })], 'Revenue');
+
+  assert.deepEqual(selected.map(f => f.value), [900]);
+});
+
+test('selectMetricFacts reads DART metrics from their primary statement once', () => {
+  const row = (statement, concept, value, dimensions = {}) =>
+    ({ namespace: 'k-gaap', concept, accountId: concept, statement, value, period: FY2024, dimensions });
+  const facts = [
+    row('IS', 'ifrs-full_ProfitLoss', 100),
+    row('CIS', 'ifrs-full_ProfitLoss', 100),
+    row('SCE', 'ifrs-full_ProfitLoss', 100, { ComponentsOfEquityAxis: '이익잉여금' }),
+    row('SCE', 'ifrs-full_ProfitLoss', 100),
+    row('BS', 'ifrs-full_Equity', 1000),
+    row('SCE', 'ifrs-full_Equity', 1000)
+  ];
+
+  assert.deepEqual(selectMetricFacts(facts, 'NetIncome').map(f => [f.statement, f.value]), [['IS', 100]]);
+  assert.deepEqual(selectMetricFacts(facts, 'TotalEquity').map(f => [f.statement, f.value]), [['BS', 1000]]);
+});
+
+test('selectMetricFacts keeps breakdown axes and drops other dimensions', () => {
+  const statements = ['IS', 'CIS', 'SCE'];
+  const selected = selectMetricFacts([
+    fact('jppfs_cor', 'ProfitLoss', 50, { statements }),
+    fact('jppfs_cor', 'ProfitLoss', 50, { statements }),
+    fact('jppfs_cor', 'ProfitLoss', 50, { statements, dimensions: { 'jppfs_cor:ComponentsOfEquityAxis': 'jppfs_cor:RetainedEarningsMember' } }),
+    fact('jppfs_cor', 'ProfitLoss', 30, { statements, dimensions: { 'jpcrp_cor:OperatingSegmentsAxis': 'jpcrp_cor:AMember' } })
+  ], 'NetIncome', { breakdownAxis: axis => /Segments/.test(axis) });
+
+  assert.deepEqual(selected.map(f => f.value), [50, 30]);
+});
+
+test('selectMetricFacts rejects unknown metrics', () => {
+  assert.throws(() => selectMetricFacts([], 'Foo'), /Unknown metric "Foo"/);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseLargeShareholdingFacts, buildHolderTimelines } from '../src/edinet-large-holdings.js';
+
+const fact = (concept, value, member = null) => ({
+  namespace: 'jplvh_cor',
+  concept,
+  value: typeof value === 'number' ? value : null,
+  rawValue: String(value),
+  dimensions: member ? { 'jplvh_cor:LargeVolumeHoldersAxis': `jplvh_cor:${member}` } : {}
+});
+
+const HOLDER_FACTS = [
+  fact('NameOfIssuer', '武田薬品工業株式会社'),
+  fact('SecurityCodeOfIssuer', '45020'),
+  fact('DateWhenFilingRequirementWasTriggered', '2024年4月1日'),
+  fact('Name', 'A Asset Management', 'FilerLargeVolumeHolder1Member'),
+  fact('PurposeOfHolding', '純投資', 'FilerLargeVolumeHolder1Member'),
+  fact('TotalNumberOfStocksEtcHeld', 1000, 'FilerLargeVolumeHolder1Member'),
+  fact('HoldingRatioOfShareCertificatesEtc', 0.04, 'FilerLargeVolumeHolder1Member'),
+  fact('Name', 'B Trust', 'JointHolder1Member'),
+  fact('TotalNumberOfStocksEtcHeld', 500, 'JointHolder1Member'),
+  fact('HoldingRatioOfShareCertificatesEtc', 0.02, 'JointHolder1Member')
+];
+
+test('parseLargeShareholdingFacts reads the issuer, holders and summary table', () => {
+  const parsed = parseLargeShareholdingFacts([
+    ...HOLDER_FACTS,
+    fact('TotalNumberOfStocksEtcHeld', 1500, 'TotalMember'),
+    fact('HoldingRatioOfShareCertificatesEtc', 0.06, 'TotalMember'),
+    fact('HoldingRatioOfShareCertificatesEtcPerLastReport', 0.05, 'TotalMember')
+  ]);
+
+  assert.equal(parsed.issuer_sec_code, '45020');
+  assert.equal(parsed.obligation_date, '2024-04-01');
+  assert.equal(parsed.filer_name, 'A Asset Management');
+  assert.deepEqual(parsed.holders.map(h => [h.name, h.shares_held, h.holding_ratio]),
+    [['A Asset Management', 1000, 4], ['B Trust', 500, 2]]);
+  assert.deepEqual(parsed.joint_holders, ['B Trust']);
+  assert.deepEqual(parsed.total, { shares_held: 1500, shares_outstanding: null, holding_ratio: 6, prior_holding_ratio: 5, ratio_change: 1 });
+});
+
+test('parseLargeShareholdingFacts sums the holders without a summary table', () => {
+  const { total } = parseLargeShareholdingFacts(HOLDER_FACTS);
+
+  assert.equal(total.shares_held, 1500);
+  assert.equal(total.holding_ratio, 6);
+  assert.equal(total.ratio_change, null);
+});
+
+test('buildHolderTimelines compares each report with the previous report of the holder', () => {
+  const report = (documentId, edinetCode, filerName, documentType, obligationDate, submitDate, ratio) => ({
+    document_id: documentId,
+    edinet_code: edinetCode,
+    filer_name: filerName,
+    document_type: documentType,
+    obligation_date: obligationDate,
+    submit_date: submitDate,
+    holders: [{ purpose_of_holding: '純投資' }],
+    joint_holders: [],
+    total: { shares_held: null, holding_ratio: ratio, prior_holding_ratio: null }
+  });
+
+  const timelines = buildHolderTimelines([
+    report('S3', 'E1', 'A', '350', '2024-06-01', '2024-06-05 09:00', 7.2),
+    report('S2', 'E1', 'A', '360', '2024-04-01', '2024-05-01 09:00', 5.1),
+    report('S4', 'E2', 'B', '350', '2024-03-01', '2024-03-06 09:00', 5.5),
+    report('S1', 'E1', 'A', '350', '2024-04-01', '2024-04-05 09:00', 5.1)
+  ]);
+
+  assert.deepEqual(timelines.map(t => t.edinet_code), ['E1', 'E2']);
+
+  const [a] = timelines;
+  assert.deepEqual(a.timeline.map(item => [item.document_id, item.amendment, item.ratio_change]),
+    [['S1', false, null], ['S2', true, 0], ['S3', false, 2.1]]);
+  assert.equal(a.reports, 3);
+  assert.equal(a.first_date, '2024-04-01');
+  assert.equal(a.latest_date, '2024-06-01');
+  assert.equal(a.latest_holding_ratio, 7.2);
+  assert.equal(a.net_ratio_change, 2.1);
+});
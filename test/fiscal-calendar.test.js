@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyPeriodEnd, fiscalPeriodDates, isFiscalPeriod, coversFiscalPeriod } from '../src/fiscal-calendar.js';
+
+test('fiscalPeriodDates names a March year-end fiscal year after the year it starts in', () => {
+  const fy = fiscalPeriodDates(2024, 'FY', 3);
+  assert.equal(fy.label, 'FY2024');
+  assert.equal(fy.start_date, '2024-04-01');
+  assert.equal(fy.end_date, '2025-03-31');
+
+  const q3 = fiscalPeriodDates(2024, 'Q3', 3);
+  assert.equal(q3.start_date, '2024-04-01');
+  assert.equal(q3.end_date, '2024-12-31');
+});
+
+test('classifyPeriodEnd places March year-end reports in the fiscal calendar', () => {
+  const annual = classifyPeriodEnd('2025-03-31', 3, 'annual');
+  assert.equal(annual.label, 'FY2024');
+  assert.equal(annual.start_date, '2024-04-01');
+
+  assert.equal(classifyPeriodEnd('2024-06-30', 3, 'quarterly').label, 'FY2024 Q1');
+  assert.equal(classifyPeriodEnd('2024-12-31', 3, 'quarterly').label, 'FY2024 Q3');
+  assert.equal(classifyPeriodEnd('2024-12-31', 12, 'annual').label, 'FY2024');
+});
+
+test('classifyPeriodEnd tells second-quarter reports from half-year reports', () => {
+  assert.equal(classifyPeriodEnd('2024-09-30', 3, 'quarterly').label, 'FY2024 Q2');
+  assert.equal(classifyPeriodEnd('2024-09-30', 3, 'semiannual').label, 'FY2024 H1');
+  assert.equal(classifyPeriodEnd('2024-09-30', 3).label, 'FY2024 H1');
+});
+
+test('classifyPeriodEnd rejects dates that end no fiscal period of the report kind', () => {
+  assert.equal(classifyPeriodEnd('2024-08-31', 3, 'quarterly'), null);
+  assert.equal(classifyPeriodEnd('2024-09-30', 3, 'annual'), null);
+  assert.equal(classifyPeriodEnd('', 3, 'annual'), null);
+});
+
+test('isFiscalPeriod matches Q2 and H1 with each other only', () => {
+  const q2 = classifyPeriodEnd('2024-09-30', 3, 'quarterly');
+  const h1 = classifyPeriodEnd('2024-09-30', 3, 'semiannual');
+
+  assert.equal(isFiscalPeriod(q2, 'H1'), true);
+  assert.equal(isFiscalPeriod(h1, 'Q2'), true);
+  assert.equal(isFiscalPeriod(q2, 'Q1'), false);
+  assert.equal(isFiscalPeriod(h1, 'FY'), false);
+});
+
+test('coversFiscalPeriod takes year-to-date amounts and period-end balances only', () => {
+  const h1 = fiscalPeriodDates(2024, 'H1', 3);
+
+  assert.equal(coversFiscalPeriod({ startDate: '2024-04-01', endDate: '2024-09-30' }, h1), true);
+  assert.equal(coversFiscalPeriod({ instant: '2024-09-30' }, h1), true);
+  // Three-month quarter of the interim report and prior-year comparatives
+  assert.equal(coversFiscalPeriod({ startDate: '2024-07-01', endDate: '2024-09-30' }, h1), false);
+  assert.equal(coversFiscalPeriod({ startDate: '2023-04-01', endDate: '2023-09-30' }, h1), false);
+  assert.equal(coversFiscalPeriod({ instant: '2024-03-31' }, h1), false);
+  assert.equal(coversFiscalPeriod(null, h1), false);
+});
+
+test('coversFiscalPeriod allows the period start of companies closing on the 20th', () => {
+  // Reported periods keep the end date stated in the report
+  const fy = { ...fiscalPeriodDates(2024, 'FY', 3), end_date: '2025-03-20' };
+
+  assert.equal(coversFiscalPeriod({ startDate: '2024-03-21', endDate: '2025-03-20' }, fy), true);
+  assert.equal(coversFiscalPeriod({ startDate: '2024-12-21', endDate: '2025-03-20' }, fy), false);
+});
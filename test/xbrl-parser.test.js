@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { filterFacts, parseXBRLCSV } from '../src/xbrl-parser.js';
+
+const facts = [
+  { namespace: 'jppfs_cor', concept: 'NetSales', label: '売上高', labelEn: 'Net sales', value: 1000, dimensions: {} },
+  { namespace: 'jppfs_cor', concept: 'CostOfSales', label: '売上原価', labelEn: 'Cost of sales', value: 600, dimensions: {} },
+  { namespace: 'k-gaap', concept: 'ifrs-full_Revenue', accountName: '매출액', value: 2000, dimensions: {} }
+];
+
+test('filterFacts matches concept against concept names only', () => {
+  assert.deepEqual(filterFacts(facts, { concept: 'sales' }).map(f => f.concept), ['NetSales', 'CostOfSales']);
+  assert.deepEqual(filterFacts(facts, { concept: '売上' }), []);
+});
+
+test('filterFacts matches label against labels and DART account names', () => {
+  assert.deepEqual(filterFacts(facts, { label: '売上高' }).map(f => f.concept), ['NetSales']);
+  assert.deepEqual(filterFacts(facts, { label: 'net sales' }).map(f => f.concept), ['NetSales']);
+  assert.deepEqual(filterFacts(facts, { label: '매출' }).map(f => f.concept), ['ifrs-full_Revenue']);
+});
+
+const csv = rows => ['要素ID\t項目名\tコンテキストID\t相対年度\t連結・個別\t期間・時点\tユニットID\t単位\t値', ...rows.map(row => row.join('\t'))].join('\n');
+const DEI_ROWS = [
+  ['jpdei_cor:CurrentFiscalYearStartDateDEI', '', 'FilingDateInstant', '', '', '', '', '', '2024-04-01'],
+  ['jpdei_cor:CurrentFiscalYearEndDateDEI', '', 'FilingDateInstant', '', '', '', '', '', '2025-03-31']
+];
+
+test('parseXBRLCSV keeps context ID suffixes out of the dimensions', () => {
+  const { facts } = parseXBRLCSV(csv([
+    ...DEI_ROWS,
+    ['jppfs_cor:NetSales', '売上高', 'CurrentYearDuration_NonConsolidatedMember', '当期', '個別', '期間', 'JPY', '円', '900'],
+    ['jpcrp_cor:NetSalesSummaryOfBusinessResults', '売上高', 'CurrentYearDuration_RetailMember', '当期', '連結', '期間', 'JPY', '円', '300']
+  ]));
+
+  assert.deepEqual(facts[0].dimensions, { 'jppfs_cor:ConsolidatedOrNonConsolidatedAxis': 'jppfs_cor:NonConsolidatedMember' });
+  assert.deepEqual(facts[0].period, { instant: '', startDate: '2024-04-01', endDate: '2025-03-31' });
+  assert.deepEqual(facts[1].dimensions, {});
+  assert.deepEqual(facts[1].context.contextMembers, ['RetailMember']);
+});
+
+test('parseXBRLCSV dates FilingDateInstant from the cover page and flags contexts it cannot date', () => {
+  const fact = { elementId: 'jpcrp_cor:NumberOfEmployees', row: ['提出日時点', 'その他', '時点', 'pure', '人', '10'] };
+  const dated = parseXBRLCSV(csv([
+    ...DEI_ROWS,
+    ['jpcrp_cor:FilingDateCoverPage', '提出日', 'FilingDateInstant', '', '', '時点', '', '', '2025-06-20'],
+    [fact.elementId, '従業員数', 'FilingDateInstant', ...fact.row]
+  ]));
+  assert.deepEqual(dated.facts[0].period, { instant: '2025-06-20', startDate: '', endDate: '' });
+
+  const undated = parseXBRLCSV(csv([...DEI_ROWS, [fact.elementId, '従業員数', 'FilingDateInstant', ...fact.row]]));
+  assert.equal(undated.facts[0].period.undated, true);
+  assert.equal(undated.facts[0].period.instant, '');
+});